@@ -0,0 +1,350 @@
+import React, { useState } from 'react';
+import { LogOut, MapPin, Pencil, Plus, Trash2 } from 'lucide-react';
+import { useAccount } from './accounts';
+import { AuthError } from './authService';
+import { COUNTRIES } from './checkoutModel';
+import {
+  PASSWORD_MIN,
+  MAX_SAVED_ADDRESSES,
+  emptySignIn,
+  emptySignUp,
+  validateSignIn,
+  validateSignUp,
+  emptySavedAddress,
+  validateSavedAddress,
+  upsertAddress,
+  removeAddress
+} from './accountModel';
+import { Link } from './router';
+import { useI18n } from './i18n';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Auth errors carry a code with its own message; anything else is a generic failure
+const describeAuthError = (error) => (
+  error instanceof AuthError && error.code ? `account.error.${error.code}` : 'account.error.generic'
+);
+
+// Sign in and sign up share one form; `mode` picks the fields and the check
+const AuthForm = ({ mode, onSubmit }) => {
+  const { t } = useI18n();
+  const [values, setValues] = useState(mode === 'signUp' ? emptySignUp : emptySignIn);
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+
+  const updateField = (field) => (e) => {
+    setValues({ ...values, [field]: e.target.value });
+    if (errors[field]) {
+      setErrors({ ...errors, [field]: undefined });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const nextErrors = mode === 'signUp' ? validateSignUp(values) : validateSignIn(values);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) return;
+
+    setSubmitting(true);
+    setSubmitError(null);
+    try {
+      await onSubmit(values);
+    } catch (error) {
+      console.error('Error signing in:', error);
+      setSubmitError(describeAuthError(error));
+      setSubmitting(false);
+    }
+  };
+
+  const renderField = (field, props = {}) => {
+    const id = `${mode}-${field}`;
+    const { hint, ...inputProps } = props;
+
+    return (
+      <div className="mb-4">
+        <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-2">{t(`account.field.${field}`)}</label>
+        <input
+          id={id}
+          value={values[field]}
+          onChange={updateField(field)}
+          aria-invalid={Boolean(errors[field])}
+          aria-describedby={[errors[field] && `${id}-error`, hint && `${id}-hint`].filter(Boolean).join(' ') || undefined}
+          className={inputClassName}
+          {...inputProps}
+        />
+        {hint && <p id={`${id}-hint`} className="text-sm text-gray-500 mt-1">{hint}</p>}
+        {errors[field] && <p id={`${id}-error`} className="text-sm text-red-600 mt-1">{t(errors[field], { min: PASSWORD_MIN })}</p>}
+      </div>
+    );
+  };
+
+  return (
+    <form onSubmit={handleSubmit} noValidate>
+      {mode === 'signUp' && renderField('name', { type: 'text', autoComplete: 'name' })}
+      {renderField('email', { type: 'email', autoComplete: 'email' })}
+      {renderField('password', mode === 'signUp'
+        ? { type: 'password', autoComplete: 'new-password', hint: t('account.passwordHint', { min: PASSWORD_MIN }) }
+        : { type: 'password', autoComplete: 'current-password' })}
+
+      {submitError && <p role="alert" className="text-sm text-red-600 mb-4">{t(submitError)}</p>}
+
+      <button
+        type="submit"
+        disabled={submitting}
+        className="w-full bg-blue-600 text-white py-2 rounded-lg font-medium hover:bg-blue-700 transition-colors disabled:opacity-50"
+      >
+        {t(submitting ? 'account.submitting' : `account.${mode}`)}
+      </button>
+    </form>
+  );
+};
+
+const AddressForm = ({ initialValues, onSubmit, onCancel }) => {
+  const { t } = useI18n();
+  const [values, setValues] = useState(initialValues);
+  const [errors, setErrors] = useState({});
+  const [makeDefault, setMakeDefault] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const nextErrors = validateSavedAddress(values);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) return;
+
+    setSaving(true);
+    setSubmitError(null);
+    try {
+      await onSubmit(values, { makeDefault });
+    } catch (error) {
+      console.error('Error saving address:', error);
+      setSubmitError(t('account.addressSaveError'));
+      setSaving(false);
+    }
+  };
+
+  // Labels and error messages are the checkout's, since the fields are the same
+  const renderField = (field, props = {}) => {
+    const id = `address-${field}`;
+    const Control = props.options ? 'select' : 'input';
+    const { options, ...inputProps } = props;
+
+    return (
+      <div className="mb-4">
+        <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-2">{t(`checkout.field.${field}`)}</label>
+        <Control
+          id={id}
+          value={values[field]}
+          onChange={(e) => setValues({ ...values, [field]: e.target.value })}
+          aria-invalid={Boolean(errors[field])}
+          aria-describedby={errors[field] ? `${id}-error` : undefined}
+          className={inputClassName}
+          {...inputProps}
+        >
+          {options && options.map(option => <option key={option} value={option}>{t(`country.${option}`)}</option>)}
+        </Control>
+        {errors[field] && <p id={`${id}-error`} className="text-sm text-red-600 mt-1">{t(errors[field])}</p>}
+      </div>
+    );
+  };
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="border border-gray-200 rounded-lg p-4 mb-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-4">
+        {renderField('fullName', { type: 'text', autoComplete: 'name' })}
+        {renderField('email', { type: 'email', autoComplete: 'email' })}
+        {renderField('phone', { type: 'tel', autoComplete: 'tel' })}
+        {renderField('line1', { type: 'text', autoComplete: 'address-line1' })}
+        {renderField('line2', { type: 'text', autoComplete: 'address-line2' })}
+        {renderField('city', { type: 'text', autoComplete: 'address-level2' })}
+        {renderField('region', { type: 'text', autoComplete: 'address-level1' })}
+        {renderField('postalCode', { type: 'text', autoComplete: 'postal-code' })}
+        {renderField('country', { options: COUNTRIES, autoComplete: 'country-name' })}
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+        <input type="checkbox" checked={makeDefault} onChange={(e) => setMakeDefault(e.target.checked)} />
+        {t('account.makeDefault')}
+      </label>
+
+      {submitError && <p role="alert" className="text-sm text-red-600 mb-4">{submitError}</p>}
+
+      <div className="flex gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-medium rounded-lg transition-colors"
+        >
+          {t('account.cancel')}
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {t(saving ? 'account.saving' : 'account.saveAddress')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Address book on the profile; the first address is the default at checkout
+const AddressBook = ({ user, onChange }) => {
+  const { t } = useI18n();
+  // null, 'new', or the id of the address being edited
+  const [editing, setEditing] = useState(null);
+  const addresses = user.addresses;
+
+  const saveAddress = async (address, options) => {
+    await onChange(upsertAddress(addresses, address, options));
+    setEditing(null);
+  };
+
+  return (
+    <section aria-labelledby="address-book-title">
+      <div className="flex items-center justify-between mb-3">
+        <h3 id="address-book-title" className="text-lg font-semibold">{t('account.addresses')}</h3>
+        {editing === null && addresses.length < MAX_SAVED_ADDRESSES && (
+          <button
+            onClick={() => setEditing('new')}
+            className="inline-flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-700"
+          >
+            <Plus size={16} aria-hidden="true" />
+            {t('account.addAddress')}
+          </button>
+        )}
+      </div>
+
+      {editing === 'new' && (
+        <AddressForm initialValues={emptySavedAddress(user)} onSubmit={saveAddress} onCancel={() => setEditing(null)} />
+      )}
+
+      {addresses.length === 0 && editing !== 'new' && (
+        <p className="text-gray-600">{t('account.noAddresses')}</p>
+      )}
+
+      <ul className="space-y-3">
+        {addresses.map((address, index) => (
+          <li key={address.id}>
+            {editing === address.id ? (
+              <AddressForm initialValues={address} onSubmit={saveAddress} onCancel={() => setEditing(null)} />
+            ) : (
+              <div className="flex gap-3 border border-gray-200 rounded-lg p-4 text-sm">
+                <MapPin size={18} className="shrink-0 text-gray-400" aria-hidden="true" />
+                <div className="flex-1">
+                  <p className="font-medium text-gray-900">
+                    {address.fullName}
+                    {index === 0 && (
+                      <span className="ms-2 px-2 py-0.5 rounded-full bg-blue-100 text-blue-800 text-xs">{t('account.default')}</span>
+                    )}
+                  </p>
+                  <p>{address.line1}{address.line2 && `, ${address.line2}`}</p>
+                  <p>{address.city}{address.region && `, ${address.region}`} {address.postalCode}</p>
+                  <p>{t(`country.${address.country}`)}</p>
+                </div>
+                <div className="flex flex-col items-end gap-1">
+                  <button
+                    onClick={() => setEditing(address.id)}
+                    aria-label={t('account.editAddress', { name: address.fullName })}
+                    className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-700"
+                  >
+                    <Pencil size={14} aria-hidden="true" />
+                    {t('account.edit')}
+                  </button>
+                  {index > 0 && (
+                    <button
+                      onClick={() => onChange(upsertAddress(addresses, address, { makeDefault: true }))}
+                      className="text-gray-600 hover:text-gray-900"
+                    >
+                      {t('account.makeDefault')}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onChange(removeAddress(addresses, address.id))}
+                    aria-label={t('account.removeAddress', { name: address.fullName })}
+                    className="inline-flex items-center gap-1 text-red-600 hover:text-red-700"
+                  >
+                    <Trash2 size={14} aria-hidden="true" />
+                    {t('account.remove')}
+                  </button>
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+// Sign-in and sign-up at /account for guests, the profile once signed in
+const AccountPage = () => {
+  const account = useAccount();
+  const { t } = useI18n();
+  const [mode, setMode] = useState('signIn');
+
+  if (account.status === 'loading') {
+    return <p className="text-center text-gray-600 py-8">{t('account.loading')}</p>;
+  }
+
+  if (!account.user) {
+    return (
+      <div className="max-w-md mx-auto bg-white rounded-lg shadow p-6">
+        <div role="tablist" aria-label={t('account.title')} className="flex mb-6 border-b">
+          {['signIn', 'signUp'].map(tab => (
+            <button
+              key={tab}
+              role="tab"
+              id={`account-tab-${tab}`}
+              aria-selected={mode === tab}
+              aria-controls="account-panel"
+              onClick={() => setMode(tab)}
+              className={`flex-1 pb-2 border-b-2 font-medium ${
+                mode === tab ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {t(`account.${tab}`)}
+            </button>
+          ))}
+        </div>
+        <div role="tabpanel" id="account-panel" aria-labelledby={`account-tab-${mode}`}>
+          <p className="text-sm text-gray-600 mb-4">{t('account.cartMergeHint')}</p>
+          {/* Keyed so switching tabs starts a fresh form */}
+          <AuthForm key={mode} mode={mode} onSubmit={mode === 'signUp' ? account.signUp : account.signIn} />
+        </div>
+      </div>
+    );
+  }
+
+  const { user } = account;
+
+  return (
+    <div className="max-w-3xl mx-auto bg-white rounded-lg shadow p-6">
+      <div className="flex flex-wrap items-start justify-between gap-3 mb-6">
+        <div>
+          <h2 className="text-xl font-semibold">{t('account.greeting', { name: user.name })}</h2>
+          <p className="text-sm text-gray-600">{user.email}</p>
+        </div>
+        <div className="flex items-center gap-3">
+          <Link to="/account/orders" className="text-sm font-medium text-blue-600 hover:text-blue-700">
+            {t('account.orderHistory')}
+          </Link>
+          <button
+            onClick={account.signOut}
+            className="inline-flex items-center gap-1 px-3 py-1.5 bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-medium rounded-lg"
+          >
+            <LogOut size={16} className="rtl:rotate-180" aria-hidden="true" />
+            {t('account.signOut')}
+          </button>
+        </div>
+      </div>
+
+      <AddressBook user={user} onChange={addresses => account.updateProfile({ addresses })} />
+    </div>
+  );
+};
+
+export default AccountPage;
@@ -0,0 +1,408 @@
+import React, { useEffect, useState } from 'react';
+import { AlertTriangle, Download, Pencil, Plus, Trash2, Upload } from 'lucide-react';
+import { canEditProducts, useProductSource } from './productSource';
+import { useCurrency } from './currency';
+import { hasVariants } from './variants';
+import { useI18n } from './i18n';
+import { useDescribeMessage } from './useDescribeMessage';
+import { isOnline } from './useOnlineStatus';
+import {
+  describeAdminError,
+  emptyProductForm,
+  toFormValues,
+  validateProductForm,
+  fromFormValues,
+  toCsv,
+  toJson,
+  readProductImport,
+  importProducts
+} from './productAdmin';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const downloadFile = (filename, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// `onSubmit` resolves once the source has saved; a rejection is shown on the form.
+// With `stockFromVariants` the stock is the variants' total, shown but not saved.
+const ProductForm = ({ heading, initialValues, categories, stockFromVariants = false, onSubmit, onCancel }) => {
+  const { t } = useI18n();
+  const describeMessage = useDescribeMessage();
+  const [values, setValues] = useState(initialValues);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const nextErrors = validateProductForm(values);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) return;
+
+    setSaving(true);
+    setSubmitError(null);
+    try {
+      const { stock, ...fields } = fromFormValues(values);
+      await onSubmit(stockFromVariants ? fields : { ...fields, stock });
+    } catch (error) {
+      console.error('Error saving product:', error);
+      setSubmitError(describeAdminError(error, { online: isOnline() }));
+      setSaving(false);
+    }
+  };
+
+  const renderField = (field, props = {}) => {
+    const id = `admin-${field}`;
+    const Control = props.multiline ? 'textarea' : 'input';
+    const { multiline, hint, ...inputProps } = props;
+
+    return (
+      <div className="mb-4">
+        <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-2">
+          {t(`admin.field.${field}`)}
+        </label>
+        <Control
+          id={id}
+          value={values[field]}
+          onChange={(e) => setValues({ ...values, [field]: e.target.value })}
+          aria-invalid={Boolean(errors[field])}
+          aria-describedby={[errors[field] && `${id}-error`, hint && `${id}-hint`].filter(Boolean).join(' ') || undefined}
+          className={inputClassName}
+          {...inputProps}
+        />
+        {hint && <p id={`${id}-hint`} className="text-sm text-gray-500 mt-1">{hint}</p>}
+        {errors[field] && <p id={`${id}-error`} className="text-sm text-red-600 mt-1">{t(errors[field])}</p>}
+      </div>
+    );
+  };
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="bg-white rounded-lg shadow p-6 mb-6">
+      <h3 className="text-lg font-semibold mb-4">{heading}</h3>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-4">
+        {renderField('title')}
+        {renderField('category', { list: 'admin-categories' })}
+        {renderField('price', { type: 'number', min: '0', step: '0.01', inputMode: 'decimal' })}
+        {stockFromVariants
+          ? renderField('stock', { type: 'number', readOnly: true, hint: t('admin.stockFromVariants') })
+          : renderField('stock', { type: 'number', min: '0', step: '1', inputMode: 'numeric', hint: t('admin.stockHint') })}
+      </div>
+      {renderField('image', { type: 'url', placeholder: 'https://' })}
+      {renderField('description', { multiline: true, rows: 4 })}
+      <datalist id="admin-categories">
+        {categories.map(category => <option key={category} value={category} />)}
+      </datalist>
+
+      {submitError && <p role="alert" className="text-sm text-red-600 mb-4">{t('admin.saveError', { message: describeMessage(submitError) })}</p>}
+
+      <div className="flex gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-medium rounded-lg transition-colors"
+        >
+          {t('admin.cancel')}
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {t(saving ? 'admin.saving' : 'admin.save')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Merchandiser screen at /admin. Every change is written through the
+// product source, then `onCatalogChange` lets the storefront reload.
+const AdminProducts = ({ productSource, onCatalogChange }) => {
+  const contextSource = useProductSource();
+  const source = productSource || contextSource;
+  const editable = canEditProducts(source);
+  const { formatPrice } = useCurrency();
+  const { t, categoryName, formatNumber } = useI18n();
+  const describeMessage = useDescribeMessage();
+  const [products, setProducts] = useState([]);
+  const [status, setStatus] = useState('loading');
+  // null, 'new', or the id of the product being edited
+  const [editing, setEditing] = useState(null);
+  const [confirmingDelete, setConfirmingDelete] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [importReport, setImportReport] = useState(null);
+
+  const loadProducts = async () => {
+    try {
+      setProducts(await source.listProducts());
+      setStatus('ready');
+    } catch (error) {
+      console.error('Error fetching products:', error);
+      setStatus('error');
+    }
+  };
+
+  useEffect(() => {
+    setStatus('loading');
+    loadProducts();
+  }, [source]);
+
+  const afterChange = async () => {
+    await loadProducts();
+    if (onCatalogChange) onCatalogChange();
+  };
+
+  const saveProduct = async (fields) => {
+    if (editing === 'new') {
+      await source.createProduct(fields);
+    } else {
+      await source.updateProduct(editing, fields);
+    }
+    setEditing(null);
+    await afterChange();
+  };
+
+  const deleteProduct = async (id) => {
+    setConfirmingDelete(null);
+    setActionError(null);
+    try {
+      await source.deleteProduct(id);
+      await afterChange();
+    } catch (error) {
+      console.error('Error deleting product:', error);
+      setActionError(describeAdminError(error, { online: isOnline() }));
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const format = /\.json$/i.test(file.name) || file.type === 'application/json' ? 'json' : 'csv';
+    setImporting(true);
+    setImportReport(null);
+    try {
+      const { error, products: rows, rejected } = readProductImport(await file.text(), format);
+      if (error) {
+        setImportReport({ fileError: error });
+        return;
+      }
+      const result = await importProducts(source, rows, products.map(p => p.id));
+      // Validation and source failures in one list, in file order
+      const problems = [
+        ...rejected.map(({ row, errors }) => ({ row, errors: Object.values(errors) })),
+        ...result.failed.map(({ row, error }) => ({ row, errors: [], problem: describeAdminError(error, { online: isOnline() }) }))
+      ].sort((a, b) => a.row - b.row);
+      setImportReport({ created: result.created, updated: result.updated, problems });
+      if (result.created + result.updated > 0) await afterChange();
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const exportProducts = (format) => {
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'json') {
+      downloadFile(`products-${date}.json`, toJson(products), 'application/json');
+    } else {
+      downloadFile(`products-${date}.csv`, toCsv(products), 'text/csv');
+    }
+  };
+
+  const categories = [...new Set(products.map(p => p.category))];
+  const editingProduct = products.find(p => String(p.id) === String(editing));
+
+  if (status === 'loading') {
+    return <div className="text-center text-gray-600 py-16">{t('catalog.loading')}</div>;
+  }
+
+  if (status === 'error') {
+    return (
+      <div role="alert" className="bg-white rounded-lg shadow p-8 text-center">
+        <p className="text-gray-700 text-lg mb-4">{t('admin.loadError')}</p>
+        <button onClick={loadProducts} className="text-blue-600 hover:underline">{t('catalog.tryAgain')}</button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h2 className="text-xl font-semibold">{t('admin.title', { count: products.length })}</h2>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          {editable && (
+            <>
+              <button
+                onClick={() => setEditing('new')}
+                className="inline-flex items-center gap-1 px-3 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700"
+              >
+                <Plus size={16} aria-hidden="true" />
+                {t('admin.add')}
+              </button>
+              <label className="inline-flex items-center gap-1 px-3 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-medium rounded-lg cursor-pointer focus-within:ring-2 focus-within:ring-blue-500">
+                <Upload size={16} aria-hidden="true" />
+                {t(importing ? 'admin.importing' : 'admin.import')}
+                <input
+                  type="file"
+                  accept=".csv,.json,text/csv,application/json"
+                  onChange={handleImport}
+                  disabled={importing}
+                  className="sr-only"
+                />
+              </label>
+            </>
+          )}
+          {['csv', 'json'].map(format => (
+            <button
+              key={format}
+              onClick={() => exportProducts(format)}
+              className="inline-flex items-center gap-1 px-3 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-medium rounded-lg"
+            >
+              <Download size={16} aria-hidden="true" />
+              {t(`admin.export.${format}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!editable && (
+        <p role="status" className="flex items-center gap-2 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-4 mb-4 text-sm">
+          <AlertTriangle size={18} className="shrink-0" />
+          {t('admin.readOnly')}
+        </p>
+      )}
+
+      {importReport && (
+        <div role="status" className="bg-white rounded-lg shadow p-4 mb-4 text-sm">
+          {importReport.fileError ? (
+            <p className="text-red-600">{t(importReport.fileError.key, importReport.fileError.params)}</p>
+          ) : (
+            <>
+              <p className="text-gray-700">
+                {t('admin.importSummary', { created: importReport.created, updated: importReport.updated })}
+              </p>
+              {importReport.problems.length > 0 && (
+                <>
+                  <p className="text-red-600 mt-2">{t('admin.importFailed', { count: importReport.problems.length })}</p>
+                  <table className="mt-2 w-full text-start">
+                    <thead>
+                      <tr className="text-gray-500">
+                        <th scope="col" className="py-1 pe-4 font-medium text-start">{t('admin.column.row')}</th>
+                        <th scope="col" className="py-1 font-medium text-start">{t('admin.column.problems')}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {importReport.problems.map(({ row, errors, problem }) => (
+                        <tr key={row} className="border-t border-gray-100 align-top">
+                          <td className="py-1 pe-4">{formatNumber(row)}</td>
+                          <td className="py-1 text-red-700">{[...errors.map(key => t(key)), problem && describeMessage(problem)].filter(Boolean).join(' ')}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {editing && (editing === 'new' || editingProduct) && (
+        <ProductForm
+          key={editing}
+          heading={editing === 'new' ? t('admin.newProduct') : t('admin.editProduct', { title: editingProduct.title })}
+          initialValues={editing === 'new' ? emptyProductForm : toFormValues(editingProduct)}
+          categories={categories}
+          stockFromVariants={editing !== 'new' && hasVariants(editingProduct)}
+          onSubmit={saveProduct}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {actionError && (
+        <p role="alert" className="text-sm text-red-600 mb-4">{t('admin.deleteError', { message: describeMessage(actionError) })}</p>
+      )}
+
+      {products.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-8 text-center">
+          <p className="text-gray-500 text-lg">{t('catalog.noProducts')}</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th scope="col" className="px-4 py-3 font-medium text-start">{t('admin.field.title')}</th>
+                <th scope="col" className="px-4 py-3 font-medium text-start">{t('admin.field.category')}</th>
+                <th scope="col" className="px-4 py-3 font-medium text-end">{t('admin.field.price')}</th>
+                <th scope="col" className="px-4 py-3 font-medium text-end">{t('admin.field.stock')}</th>
+                {editable && <th scope="col" className="px-4 py-3"><span className="sr-only">{t('admin.column.actions')}</span></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {products.map(product => (
+                <tr key={product.id} className="border-t border-gray-100">
+                  <td className="px-4 py-3">
+                    <div className="flex items-center gap-3">
+                      <img src={product.image} alt="" className="w-10 h-10 object-contain bg-gray-50 rounded" />
+                      <span className="font-medium text-gray-900">{product.title}</span>
+                    </div>
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">{categoryName(product.category)}</td>
+                  <td className="px-4 py-3 text-end">{formatPrice(product.price)}</td>
+                  <td className="px-4 py-3 text-end">{product.stock == null ? t('admin.untracked') : formatNumber(product.stock)}</td>
+                  {editable && (
+                    <td className="px-4 py-3">
+                      {confirmingDelete === product.id ? (
+                        <div className="flex justify-end gap-2">
+                          <button
+                            onClick={() => deleteProduct(product.id)}
+                            className="px-2 py-1 bg-red-600 text-white rounded hover:bg-red-700"
+                          >
+                            {t('admin.confirmDelete', { title: product.title })}
+                          </button>
+                          <button onClick={() => setConfirmingDelete(null)} className="px-2 py-1 rounded hover:bg-gray-100">
+                            {t('admin.cancel')}
+                          </button>
+                        </div>
+                      ) : (
+                        <div className="flex justify-end gap-2">
+                          <button
+                            onClick={() => setEditing(product.id)}
+                            aria-label={t('admin.editProduct', { title: product.title })}
+                            className="p-1 text-gray-600 hover:text-blue-600"
+                          >
+                            <Pencil size={16} aria-hidden="true" />
+                          </button>
+                          <button
+                            onClick={() => setConfirmingDelete(product.id)}
+                            aria-label={t('admin.deleteProduct', { title: product.title })}
+                            className="p-1 text-gray-600 hover:text-red-600"
+                          >
+                            <Trash2 size={16} aria-hidden="true" />
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminProducts;
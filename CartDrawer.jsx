@@ -0,0 +1,114 @@
+import React, { useEffect, useRef } from 'react';
+import { ShoppingCart, X } from 'lucide-react';
+import { useCurrency } from './currency';
+import { useFocusTrap } from './useFocusTrap';
+import { Link } from './router';
+import QuantityStepper from './QuantityStepper';
+import { getSku, describeVariant, getLineTitle } from './variants';
+import { useI18n } from './i18n';
+
+// Slide-over summary of the cart. Stays mounted so it can animate; while
+// closed it's `invisible`, which also takes it out of the tab order.
+const CartDrawer = ({ open, onClose, cart, subtotal, getMaxQuantity, onUpdateQuantity, onRemove, onLimit, onCheckout }) => {
+  const { format, formatPrice } = useCurrency();
+  const { t } = useI18n();
+  const panelRef = useRef(null);
+
+  useFocusTrap(panelRef, open, onClose);
+
+  // Keep the page behind from scrolling while the drawer is up
+  useEffect(() => {
+    if (!open) return undefined;
+    const { overflow } = document.body.style;
+    document.body.style.overflow = 'hidden';
+    return () => {
+      document.body.style.overflow = overflow;
+    };
+  }, [open]);
+
+  return (
+    <div className={`fixed inset-0 z-30 ${open ? '' : 'invisible'}`}>
+      <div
+        onClick={onClose}
+        aria-hidden="true"
+        className={`absolute inset-0 bg-black/40 transition-opacity duration-300 ${open ? 'opacity-100' : 'opacity-0'}`}
+      />
+      <div
+        ref={panelRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="cart-drawer-title"
+        tabIndex={-1}
+        className={`absolute inset-y-0 end-0 w-full max-w-md bg-white shadow-xl flex flex-col transition-transform duration-300 motion-reduce:transition-none ${
+          open ? 'translate-x-0' : 'translate-x-full rtl:-translate-x-full'
+        }`}
+      >
+        <div className="flex items-center justify-between px-6 py-4 border-b">
+          <h2 id="cart-drawer-title" className="text-lg font-semibold">{t('drawer.title')}</h2>
+          <button onClick={onClose} aria-label={t('drawer.close')} className="text-gray-500 hover:text-gray-800">
+            <X size={20} />
+          </button>
+        </div>
+
+        {cart.length === 0 ? (
+          <div className="flex-1 flex flex-col items-center justify-center text-center p-6">
+            <ShoppingCart size={48} className="text-gray-300 mb-3" />
+            <p className="text-gray-500">{t('cart.empty')}</p>
+          </div>
+        ) : (
+          <ul className="flex-1 overflow-y-auto divide-y px-6">
+            {cart.map(item => {
+              const sku = getSku(item);
+              return (
+                <li key={sku} className="flex gap-3 py-4">
+                  <img src={item.image} alt="" className="w-16 h-16 object-contain bg-gray-50 rounded" />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-gray-900 line-clamp-2">{item.title}</p>
+                    {describeVariant(item) && <p className="text-xs text-gray-600">{describeVariant(item)}</p>}
+                    <p className="text-sm text-blue-600 font-semibold mb-2">{formatPrice(item.price)}</p>
+                    <QuantityStepper
+                      id={`drawer-quantity-${sku}`}
+                      label={getLineTitle(item)}
+                      value={item.quantity}
+                      max={getMaxQuantity(sku)}
+                      onChange={quantity => onUpdateQuantity(sku, quantity)}
+                      onLimit={max => onLimit(item, max)}
+                      size="sm"
+                    />
+                  </div>
+                  <button
+                    onClick={() => onRemove(sku)}
+                    aria-label={t('cart.remove', { title: getLineTitle(item) })}
+                    className="self-start text-red-600 hover:text-red-700"
+                  >
+                    <X size={18} aria-hidden="true" />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        <div className="border-t px-6 py-4">
+          <div className="flex justify-between font-semibold mb-1">
+            <span>{t('drawer.subtotal')}</span>
+            <span>{format(subtotal)}</span>
+          </div>
+          <p className="text-xs text-gray-500 mb-4">{t('drawer.note')}</p>
+          <button
+            onClick={onCheckout}
+            disabled={cart.length === 0}
+            className="w-full bg-blue-600 text-white py-3 rounded-lg font-medium hover:bg-blue-700 transition-colors disabled:bg-gray-300 disabled:text-gray-500"
+          >
+            {t('drawer.checkout')}
+          </button>
+          <Link to="/cart" onClick={onClose} className="block text-center text-sm text-blue-600 hover:underline mt-3">
+            {t('drawer.viewCart')}
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CartDrawer;
@@ -0,0 +1,364 @@
+import React, { useState } from 'react';
+import { CheckCircle, ChevronLeft, Clock } from 'lucide-react';
+import { SHIPPING_METHODS, COUNTRIES, emptyAddress, validateAddress, getShippingMethod, getShippingPrice, getOrderTotals, buildOrder } from './checkoutModel';
+import { useOrderService } from './orderService';
+import { enqueueAction } from './offlineQueue';
+import { useOnlineStatus } from './useOnlineStatus';
+import { useCurrency } from './currency';
+import { getLineTotal } from './tax';
+import { toCheckoutAddress } from './accountModel';
+import { getSku, getLineTitle } from './variants';
+import { useDescribeMessage } from './useDescribeMessage';
+import { useI18n } from './i18n';
+
+const STEPS = ['address', 'shipping', 'review', 'confirmation'];
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// `error` is a message key from validateAddress
+const Field = ({ id, label, error, optional, children }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="mb-4">
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-2">
+        {label}
+        {optional && <span className="text-gray-500 font-normal"> {t('checkout.optional')}</span>}
+      </label>
+      {children}
+      {error && <p id={`${id}-error`} className="text-sm text-red-600 mt-1">{t(error)}</p>}
+    </div>
+  );
+};
+
+// Offline, the order is queued with its cart and sent once the connection
+// is back; `onOrderPlaced` then gets null instead of the placed order.
+// Signed-in shoppers pass their `userId` and `savedAddresses`, the first
+// of which is prefilled.
+const Checkout = ({ cart, couponCodes = [], userId = null, savedAddresses = [], onCancel, onOrderPlaced, onDone }) => {
+  const orderService = useOrderService();
+  const online = useOnlineStatus();
+  const { format } = useCurrency();
+  const { t } = useI18n();
+  const describeMessage = useDescribeMessage();
+  const [step, setStep] = useState('address');
+  const [savedAddressId, setSavedAddressId] = useState(savedAddresses.length > 0 ? savedAddresses[0].id : '');
+  const [address, setAddress] = useState(() => (savedAddresses.length > 0 ? toCheckoutAddress(savedAddresses[0]) : emptyAddress));
+  const [errors, setErrors] = useState({});
+  const [shippingMethodId, setShippingMethodId] = useState(SHIPPING_METHODS[0].id);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [order, setOrder] = useState(null);
+  const [queued, setQueued] = useState(false);
+
+  const stepIndex = STEPS.indexOf(step);
+  const shippingMethod = getShippingMethod(shippingMethodId);
+  const totals = getOrderTotals(cart, address, shippingMethodId, couponCodes);
+
+  const pickSavedAddress = (id) => {
+    const saved = savedAddresses.find(a => a.id === id);
+    setSavedAddressId(id);
+    setAddress(saved ? toCheckoutAddress(saved) : emptyAddress);
+    setErrors({});
+  };
+
+  const updateField = (field) => (e) => {
+    setAddress({ ...address, [field]: e.target.value });
+    // Once edited it's a new address, not the saved one
+    setSavedAddressId('');
+    // Clear a field's error as soon as the user edits it
+    if (errors[field]) {
+      setErrors({ ...errors, [field]: undefined });
+    }
+  };
+
+  const submitAddress = (e) => {
+    e.preventDefault();
+    const nextErrors = validateAddress(address);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length === 0) {
+      setStep('shipping');
+    }
+  };
+
+  const placeOrder = async () => {
+    if (!online) {
+      enqueueAction('submitOrder', { cart, address, shippingMethodId, couponCodes, userId });
+      setQueued(true);
+      setStep('confirmation');
+      onOrderPlaced(null);
+      return;
+    }
+
+    setSubmitting(true);
+    setSubmitError(null);
+    try {
+      const placed = await orderService.submitOrder({
+        ...buildOrder(cart, address, shippingMethodId, couponCodes),
+        ...(userId && { userId })
+      });
+      setOrder(placed);
+      setStep('confirmation');
+      onOrderPlaced(placed);
+    } catch (error) {
+      console.error('Error placing order:', error);
+      setSubmitError(t('checkout.submitError'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderField = (field, props = {}) => (
+    <Field id={`checkout-${field}`} label={t(`checkout.field.${field}`)} error={errors[field]} optional={props.optional}>
+      <input
+        id={`checkout-${field}`}
+        type={props.type || 'text'}
+        value={address[field]}
+        onChange={updateField(field)}
+        autoComplete={props.autoComplete}
+        aria-invalid={Boolean(errors[field])}
+        aria-describedby={errors[field] ? `checkout-${field}-error` : undefined}
+        className={inputClassName}
+      />
+    </Field>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold">{t('checkout.title')}</h2>
+          {step !== 'confirmation' && (
+            <button onClick={onCancel} className="text-sm text-gray-600 hover:text-gray-900">
+              {t('checkout.backToCart')}
+            </button>
+          )}
+        </div>
+
+        {/* Step indicator */}
+        <ol className="flex gap-2 mb-6 text-sm">
+          {STEPS.map((s, index) => (
+            <li
+              key={s}
+              aria-current={s === step ? 'step' : undefined}
+              className={`flex-1 border-b-2 pb-2 ${
+                index <= stepIndex ? 'border-blue-600 text-blue-600 font-medium' : 'border-gray-200 text-gray-500'
+              }`}
+            >
+              {index + 1}. {t(`checkout.step.${s}`)}
+            </li>
+          ))}
+        </ol>
+
+        {step === 'address' && (
+          <form onSubmit={submitAddress} noValidate>
+            {savedAddresses.length > 0 && (
+              <Field id="checkout-saved-address" label={t('checkout.savedAddress')}>
+                <select
+                  id="checkout-saved-address"
+                  value={savedAddressId}
+                  onChange={(e) => pickSavedAddress(e.target.value)}
+                  className={inputClassName}
+                >
+                  {savedAddresses.map(saved => (
+                    <option key={saved.id} value={saved.id}>{saved.fullName}, {saved.line1}, {saved.city}</option>
+                  ))}
+                  <option value="">{t('checkout.newAddress')}</option>
+                </select>
+              </Field>
+            )}
+
+            <h3 className="font-semibold mb-3">{t('checkout.contact')}</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-4">
+              {renderField('fullName', { autoComplete: 'name' })}
+              {renderField('email', { type: 'email', autoComplete: 'email' })}
+              {renderField('phone', { type: 'tel', autoComplete: 'tel', optional: true })}
+            </div>
+
+            <h3 className="font-semibold mb-3 mt-2">{t('checkout.shippingAddress')}</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-4">
+              {renderField('line1', { autoComplete: 'address-line1' })}
+              {renderField('line2', { autoComplete: 'address-line2', optional: true })}
+              {renderField('city', { autoComplete: 'address-level2' })}
+              {renderField('region', { autoComplete: 'address-level1', optional: true })}
+              {renderField('postalCode', { autoComplete: 'postal-code' })}
+              <Field id="checkout-country" label={t('checkout.field.country')} error={errors.country}>
+                <select
+                  id="checkout-country"
+                  value={address.country}
+                  onChange={updateField('country')}
+                  autoComplete="country-name"
+                  className={inputClassName}
+                >
+                  {COUNTRIES.map(country => (
+                    <option key={country} value={country}>{t(`country.${country}`)}</option>
+                  ))}
+                </select>
+              </Field>
+            </div>
+
+            <button
+              type="submit"
+              className="w-full bg-blue-600 text-white py-2 rounded-lg font-medium hover:bg-blue-700 transition-colors"
+            >
+              {t('checkout.continueToShipping')}
+            </button>
+          </form>
+        )}
+
+        {step === 'shipping' && (
+          <div>
+            <fieldset className="space-y-3 mb-6">
+              <legend className="font-semibold mb-3">{t('checkout.shippingMethod')}</legend>
+              {SHIPPING_METHODS.map(method => (
+                <label
+                  key={method.id}
+                  className={`flex items-center gap-3 p-4 border rounded-lg cursor-pointer ${
+                    method.id === shippingMethodId ? 'border-blue-600 bg-blue-50' : 'border-gray-200'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="shipping-method"
+                    value={method.id}
+                    checked={method.id === shippingMethodId}
+                    onChange={() => setShippingMethodId(method.id)}
+                  />
+                  <span className="flex-1">
+                    <span className="block font-medium">{t(`shipping.${method.id}`)}</span>
+                    <span className="block text-sm text-gray-500">{t(`shipping.${method.id}.eta`)}</span>
+                  </span>
+                  <span className="font-semibold">
+                    {getShippingPrice(method, totals) === 0 ? t('checkout.free') : format(method.price)}
+                  </span>
+                </label>
+              ))}
+            </fieldset>
+
+            <div className="flex gap-3">
+              <button
+                onClick={() => setStep('address')}
+                className="inline-flex items-center gap-1 px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded-lg font-medium"
+              >
+                <ChevronLeft size={18} className="rtl:rotate-180" />
+                {t('checkout.back')}
+              </button>
+              <button
+                onClick={() => setStep('review')}
+                className="flex-1 bg-blue-600 text-white py-2 rounded-lg font-medium hover:bg-blue-700 transition-colors"
+              >
+                {t('checkout.reviewOrder')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'review' && (
+          <div>
+            <ul className="divide-y border border-gray-200 rounded-lg mb-4">
+              {cart.map(item => (
+                <li key={getSku(item)} className="flex justify-between gap-4 p-3 text-sm">
+                  <span className="flex-1">{getLineTitle(item)} × {item.quantity}</span>
+                  <span className="font-medium">{format(getLineTotal(item))}</span>
+                </li>
+              ))}
+            </ul>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4 text-sm">
+              <div>
+                <h3 className="font-semibold mb-1">{t('checkout.shipTo')}</h3>
+                <p>{address.fullName}</p>
+                <p>{address.line1}{address.line2 && `, ${address.line2}`}</p>
+                <p>{address.city}{address.region && `, ${address.region}`} {address.postalCode}</p>
+                <p>{t(`country.${address.country}`)}</p>
+                <p className="text-gray-500">{address.email}</p>
+              </div>
+              <div>
+                <h3 className="font-semibold mb-1">{t('checkout.shipping')}</h3>
+                <p>{t(`shipping.${shippingMethod.id}`)} ({t(`shipping.${shippingMethod.id}.eta`)})</p>
+              </div>
+            </div>
+
+            <div className="border-t pt-4 mb-4 space-y-1">
+              <div className="flex justify-between">
+                <span>{t('checkout.subtotal')}</span>
+                <span>{format(totals.subtotal)}</span>
+              </div>
+              {totals.discounts.filter(discount => discount.amount > 0).map(discount => (
+                <div key={discount.id} className="flex justify-between text-green-700">
+                  <span>{describeMessage(discount.label)}{discount.code && ` (${discount.code})`}</span>
+                  <span>-{format(discount.amount)}</span>
+                </div>
+              ))}
+              <div className="flex justify-between">
+                <span>{t('checkout.shipping')}</span>
+                <span>{totals.shipping === 0 ? t('checkout.free') : format(totals.shipping)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span>{t('checkout.tax')}</span>
+                <span>{format(totals.tax)}</span>
+              </div>
+              <div className="flex justify-between text-xl font-bold">
+                <span>{t('checkout.total')}</span>
+                <span className="text-blue-600">{format(totals.total)}</span>
+              </div>
+            </div>
+
+            {submitError && <p role="alert" className="text-sm text-red-600 mb-3">{submitError}</p>}
+
+            <div className="flex gap-3">
+              <button
+                onClick={() => setStep('shipping')}
+                disabled={submitting}
+                className="inline-flex items-center gap-1 px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded-lg font-medium disabled:opacity-50"
+              >
+                <ChevronLeft size={18} className="rtl:rotate-180" />
+                {t('checkout.back')}
+              </button>
+              <button
+                onClick={placeOrder}
+                disabled={submitting}
+                className="flex-1 bg-blue-600 text-white py-2 rounded-lg font-medium hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                {t(submitting ? 'checkout.placingOrder' : online ? 'checkout.placeOrder' : 'checkout.placeOrderOffline')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'confirmation' && order && (
+          <div className="text-center py-6">
+            <CheckCircle size={48} className="mx-auto text-green-600 mb-3" />
+            <h3 className="text-xl font-semibold mb-2">{t('checkout.thanks')}</h3>
+            <p className="text-gray-600 mb-1">
+              {t('checkout.orderNumber')} <span className="font-mono font-semibold text-gray-900">{order.id}</span>
+            </p>
+            <p className="text-gray-600 mb-6">{t('checkout.confirmationSent', { email: order.address.email })}</p>
+            <button
+              onClick={onDone}
+              className="bg-blue-600 text-white px-6 py-2 rounded-lg font-medium hover:bg-blue-700 transition-colors"
+            >
+              {t('checkout.continueShopping')}
+            </button>
+          </div>
+        )}
+
+        {step === 'confirmation' && queued && (
+          <div className="text-center py-6">
+            <Clock size={48} className="mx-auto text-amber-600 mb-3" />
+            <h3 className="text-xl font-semibold mb-2">{t('checkout.queuedTitle')}</h3>
+            <p className="text-gray-600 mb-6">{t('checkout.queuedBody', { email: address.email })}</p>
+            <button
+              onClick={onDone}
+              className="bg-blue-600 text-white px-6 py-2 rounded-lg font-medium hover:bg-blue-700 transition-colors"
+            >
+              {t('checkout.continueShopping')}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Checkout;
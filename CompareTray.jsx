@@ -0,0 +1,52 @@
+import React from 'react';
+import { Scale, X } from 'lucide-react';
+import { MAX_COMPARE } from './compare';
+import { Link } from './router';
+import { useI18n } from './i18n';
+
+// Sticky bar listing the products picked for comparison; comparing needs two
+const CompareTray = ({ items, onRemove, onClear }) => {
+  const { t } = useI18n();
+
+  if (items.length === 0) return null;
+
+  return (
+    <section
+      aria-label={t('compare.trayLabel')}
+      className="sticky bottom-0 z-10 bg-white border-t shadow-[0_-2px_8px_rgba(0,0,0,0.08)]"
+    >
+      <div className="max-w-7xl mx-auto px-4 py-3 flex flex-wrap items-center gap-3">
+        <ul className="flex flex-1 flex-wrap gap-2">
+          {items.map(item => (
+            <li key={item.id} className="flex items-center gap-2 border border-gray-200 rounded-lg ps-1 pe-2 py-1 max-w-[14rem]">
+              <img src={item.image} alt="" className="w-8 h-8 object-contain bg-gray-50 rounded" />
+              <span className="text-sm truncate">{item.title}</span>
+              <button
+                onClick={() => onRemove(item)}
+                aria-label={t('compare.remove', { title: item.title })}
+                className="text-gray-500 hover:text-gray-800"
+              >
+                <X size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+        <p className="text-sm text-gray-600">{t('compare.count', { count: items.length, max: MAX_COMPARE })}</p>
+        <button onClick={onClear} className="text-sm text-gray-600 hover:text-gray-900">{t('compare.clear')}</button>
+        {items.length > 1 ? (
+          <Link
+            to="/compare"
+            className="inline-flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-blue-700"
+          >
+            <Scale size={18} aria-hidden="true" />
+            {t('compare.open')}
+          </Link>
+        ) : (
+          <p className="text-sm text-gray-500">{t('compare.pickAnother')}</p>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default CompareTray;
@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from 'react';
+import { Scale, X } from 'lucide-react';
+import { COMPARE_FIELDS, fieldDiffers } from './compare';
+import { getAvailable } from './inventory';
+import { combineRatings } from './reviews';
+import { useReviewStore } from './reviewStore';
+import { useCurrency } from './currency';
+import StarRating from './StarRating';
+import StockStatus from './StockStatus';
+import { Link, productPath } from './router';
+import { useI18n } from './i18n';
+
+// Side-by-side table at /compare. Ratings fold in written reviews, like the
+// product page's summary; rows where the products differ are highlighted.
+const CompareView = ({ products, cart, onAddToCart, onRemove, onClear, backTo }) => {
+  const reviewStore = useReviewStore();
+  const { formatPrice } = useCurrency();
+  const { t, formatNumber, categoryName } = useI18n();
+  const [ratings, setRatings] = useState({});
+  const productIds = products.map(product => product.id).join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(products.map(product => reviewStore.listReviews(product.id)
+      .then(reviews => [product.id, combineRatings(product.rating, reviews)])
+      // Without its reviews a product still compares on the catalog rating
+      .catch(() => [product.id, product.rating])))
+      .then(entries => {
+        if (!cancelled) setRatings(Object.fromEntries(entries));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [productIds, reviewStore]);
+
+  const renderValue = (product, field) => {
+    const rating = ratings[product.id] || product.rating;
+    switch (field) {
+      case 'price':
+        return <span className="text-lg font-bold text-blue-600">{formatPrice(product.price)}</span>;
+      case 'category':
+        return categoryName(product.category);
+      case 'rating':
+        return <StarRating rate={rating.rate} />;
+      case 'reviewCount':
+        return formatNumber(rating.count);
+      case 'stock':
+        return <StockStatus product={product} cart={cart} />;
+      case 'description':
+        return <p className="text-sm text-gray-700 line-clamp-6">{product.description}</p>;
+      default:
+        return null;
+    }
+  };
+
+  if (products.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow p-8 text-center">
+        <Scale size={48} className="mx-auto text-gray-300 mb-3" />
+        <p className="text-gray-500 mb-4">{t('compare.empty')}</p>
+        <Link to={backTo} className="text-blue-600 hover:underline">{t('nav.backToCatalog')}</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h2 className="text-xl font-semibold">{t('compare.title')}</h2>
+        <div className="flex items-center gap-4 text-sm">
+          <button onClick={onClear} className="text-gray-600 hover:text-gray-900">{t('compare.clear')}</button>
+          <Link to={backTo} className="text-blue-600 hover:text-blue-700">{t('nav.backToCatalog')}</Link>
+        </div>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        <span className="inline-block w-3 h-3 align-middle me-1 rounded-sm bg-yellow-100 border border-yellow-300" aria-hidden="true" />
+        {t('compare.legend')}
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full table-fixed border-collapse text-start">
+          <caption className="sr-only">{t('compare.caption', { count: products.length })}</caption>
+          <thead>
+            <tr>
+              <td className="w-32" />
+              {products.map(product => (
+                <th key={product.id} scope="col" className="p-3 align-top font-normal min-w-[12rem]">
+                  <div className="relative">
+                    <button
+                      onClick={() => onRemove(product)}
+                      aria-label={t('compare.remove', { title: product.title })}
+                      className="absolute top-0 end-0 p-1 rounded-full bg-white shadow text-gray-500 hover:text-gray-800"
+                    >
+                      <X size={14} />
+                    </button>
+                    <img src={product.image} alt="" className="w-full h-32 object-contain bg-gray-50 rounded mb-2" />
+                    <Link to={productPath(product.id)} className="block font-medium text-gray-900 hover:text-blue-600 line-clamp-2">
+                      {product.title}
+                    </Link>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {COMPARE_FIELDS.map(field => {
+              const differs = products.length > 1 && fieldDiffers(products, field, ratings);
+              return (
+                <tr key={field} className={`border-t ${differs ? 'bg-yellow-50' : ''}`}>
+                  <th scope="row" className="p-3 text-sm font-medium text-gray-700 align-top text-start">
+                    {t(`compare.field.${field}`)}
+                    {differs && <span className="block text-xs font-normal text-yellow-800">{t('compare.differs')}</span>}
+                  </th>
+                  {products.map(product => (
+                    <td key={product.id} className="p-3 align-top">{renderValue(product, field)}</td>
+                  ))}
+                </tr>
+              );
+            })}
+            <tr className="border-t">
+              <td />
+              {products.map(product => {
+                const available = getAvailable(product, cart) > 0;
+                return (
+                  <td key={product.id} className="p-3">
+                    <button
+                      onClick={() => onAddToCart(product)}
+                      disabled={!available}
+                      aria-label={t('compare.addToCart', { title: product.title })}
+                      className={`w-full py-2 rounded-lg font-medium transition-colors ${
+                        available ? 'bg-blue-600 text-white hover:bg-blue-700' : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                      }`}
+                    >
+                      {t('product.addToCart')}
+                    </button>
+                  </td>
+                );
+              })}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default CompareView;
@@ -0,0 +1,131 @@
+import React from 'react';
+import { Star } from 'lucide-react';
+import { RATING_OPTIONS } from './filters';
+import { useCurrency } from './currency';
+import { useI18n } from './i18n';
+
+const FacetFilters = ({ categories, filters, counts, priceBounds, onChange }) => {
+  const { formatPrice } = useCurrency();
+  const { t, categoryName, formatNumber } = useI18n();
+  const priceRange = filters.priceRange || priceBounds;
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  const toggleCategory = (category) => {
+    const selected = filters.categories.includes(category)
+      ? filters.categories.filter(c => c !== category)
+      : [...filters.categories, category];
+    update({ categories: selected });
+  };
+
+  // Store null once the range is back to the full catalog so it isn't "active"
+  const updatePriceRange = (bound, value) => {
+    const next = { ...priceRange, [bound]: Number(value) };
+    if (bound === 'min') next.min = Math.min(next.min, next.max);
+    if (bound === 'max') next.max = Math.max(next.max, next.min);
+    const isFullRange = next.min <= priceBounds.min && next.max >= priceBounds.max;
+    update({ priceRange: isFullRange ? null : next });
+  };
+
+  return (
+    <>
+      {/* Categories */}
+      <fieldset className="mb-4">
+        <legend className="block text-sm font-medium text-gray-700 mb-2">{t('filters.category')}</legend>
+        <div className="space-y-1">
+          {categories.map(category => (
+            <label key={category} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={filters.categories.includes(category)}
+                onChange={() => toggleCategory(category)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <span className="flex-1">{categoryName(category)}</span>
+              <span className="text-gray-500">{formatNumber(counts.categories[category] || 0)}</span>
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      {/* Price range */}
+      <fieldset className="mb-4">
+        <legend className="block text-sm font-medium text-gray-700 mb-2">{t('filters.price')}</legend>
+        <div className="flex justify-between text-sm text-gray-600 mb-1">
+          <span>{formatPrice(priceRange.min)}</span>
+          <span>{formatPrice(priceRange.max)}</span>
+        </div>
+        <label htmlFor="price-min" className="sr-only">{t('filters.minPrice')}</label>
+        <input
+          id="price-min"
+          type="range"
+          min={priceBounds.min}
+          max={priceBounds.max}
+          step="1"
+          value={priceRange.min}
+          onChange={(e) => updatePriceRange('min', e.target.value)}
+          className="w-full accent-blue-600"
+        />
+        <label htmlFor="price-max" className="sr-only">{t('filters.maxPrice')}</label>
+        <input
+          id="price-max"
+          type="range"
+          min={priceBounds.min}
+          max={priceBounds.max}
+          step="1"
+          value={priceRange.max}
+          onChange={(e) => updatePriceRange('max', e.target.value)}
+          className="w-full accent-blue-600"
+        />
+      </fieldset>
+
+      {/* Minimum rating */}
+      <fieldset className="mb-4">
+        <legend className="block text-sm font-medium text-gray-700 mb-2">{t('filters.rating')}</legend>
+        <div className="space-y-1">
+          <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="radio"
+              name="min-rating"
+              checked={filters.minRating === 0}
+              onChange={() => update({ minRating: 0 })}
+            />
+            <span className="flex-1">{t('filters.anyRating')}</span>
+          </label>
+          {RATING_OPTIONS.map(rating => (
+            <label key={rating} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="radio"
+                name="min-rating"
+                checked={filters.minRating === rating}
+                onChange={() => update({ minRating: rating })}
+              />
+              <span className="flex-1 inline-flex items-center gap-1">
+                {formatNumber(rating)}
+                <Star size={14} className="text-yellow-500 fill-yellow-500" aria-hidden="true" />
+                {t('filters.andUp')}
+              </span>
+              <span className="text-gray-500">{formatNumber(counts.ratings[rating])}</span>
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      {/* Availability */}
+      <div className="mb-4">
+        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={filters.inStockOnly}
+            onChange={(e) => update({ inStockOnly: e.target.checked })}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <span className="flex-1">{t('filters.inStockOnly')}</span>
+          <span className="text-gray-500">{formatNumber(counts.inStock)}</span>
+        </label>
+      </div>
+    </>
+  );
+};
+
+export default FacetFilters;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { WifiOff } from 'lucide-react';
+import { useI18n } from './i18n';
+
+// Shown while the browser reports no connection
+const OfflineBanner = ({ pendingOrders = 0 }) => {
+  const { t } = useI18n();
+
+  return (
+    <div role="status" className="bg-gray-900 text-white text-sm">
+      <div className="max-w-7xl mx-auto px-4 py-2 flex flex-wrap items-center gap-x-3 gap-y-1">
+        <WifiOff size={16} className="shrink-0" aria-hidden="true" />
+        <span>{t('offline.banner')}</span>
+        {pendingOrders > 0 && (
+          <span className="text-gray-300">{t('offline.pendingOrders', { count: pendingOrders })}</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OfflineBanner;
@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react';
+import { Package } from 'lucide-react';
+import { useAccount } from './accounts';
+import { useOrderService } from './orderService';
+import { useCurrency } from './currency';
+import { Link } from './router';
+import { getSku, getLineTitle } from './variants';
+import { useI18n } from './i18n';
+
+// Past orders of the signed-in shopper at /account/orders, newest first
+const OrderHistory = () => {
+  const { user, status: accountStatus } = useAccount();
+  const orderService = useOrderService();
+  const { format } = useCurrency();
+  const { t, formatDate } = useI18n();
+  const [orders, setOrders] = useState([]);
+  const [status, setStatus] = useState('loading');
+  const userId = user ? user.id : null;
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    let cancelled = false;
+    setStatus('loading');
+    orderService.listOrders({ userId })
+      .then(list => {
+        if (cancelled) return;
+        setOrders(list);
+        setStatus('ready');
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Error fetching orders:', error);
+        setStatus('error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, orderService]);
+
+  if (accountStatus === 'loading') {
+    return <p className="text-center text-gray-600 py-8">{t('account.loading')}</p>;
+  }
+
+  if (!user) {
+    return (
+      <div className="max-w-md mx-auto bg-white rounded-lg shadow p-8 text-center">
+        <p className="text-gray-700 mb-4">{t('orders.signInRequired')}</p>
+        <Link to="/account" className="text-blue-600 hover:underline">{t('account.signIn')}</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold">{t('orders.title')}</h2>
+        <Link to="/account" className="text-sm text-blue-600 hover:text-blue-700">{t('orders.backToAccount')}</Link>
+      </div>
+
+      {status === 'loading' && <p className="text-gray-600">{t('orders.loading')}</p>}
+      {status === 'error' && <p role="alert" className="text-red-600">{t('orders.loadError')}</p>}
+
+      {status === 'ready' && orders.length === 0 && (
+        <div className="text-center py-8">
+          <Package size={48} className="mx-auto text-gray-300 mb-3" />
+          <p className="text-gray-500">{t('orders.empty')}</p>
+        </div>
+      )}
+
+      {status === 'ready' && orders.length > 0 && (
+        <ul className="space-y-4">
+          {orders.map(order => (
+            <li key={order.id}>
+              <article aria-labelledby={`order-${order.id}-title`} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex flex-wrap items-baseline justify-between gap-2 mb-3">
+                  <h3 id={`order-${order.id}-title`} className="font-mono font-semibold text-gray-900">{order.id}</h3>
+                  <p className="text-sm text-gray-600">{formatDate(order.placedAt, { dateStyle: 'medium' })}</p>
+                  <span className="px-2 py-0.5 rounded-full bg-green-100 text-green-800 text-xs font-medium">
+                    {t(`orders.status.${order.status}`)}
+                  </span>
+                </div>
+                <ul className="text-sm text-gray-700 space-y-1 mb-3">
+                  {order.items.map(item => (
+                    <li key={getSku(item)} className="flex justify-between gap-4">
+                      <span className="flex-1">{getLineTitle(item)} × {item.quantity}</span>
+                      <span>{format(item.price * item.quantity)}</span>
+                    </li>
+                  ))}
+                </ul>
+                <div className="flex justify-between border-t pt-2 font-semibold">
+                  <span>{t('checkout.total')}</span>
+                  <span className="text-blue-600">{format(order.total)}</span>
+                </div>
+              </article>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OrderHistory;
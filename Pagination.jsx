@@ -0,0 +1,97 @@
+import React, { useEffect, useRef } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { useI18n } from './i18n';
+
+// Page numbers around the current page, with the first and last always shown
+const getPageItems = (page, pageCount) => {
+  const pages = new Set([1, pageCount, page - 1, page, page + 1]);
+  const sorted = [...pages].filter(p => p >= 1 && p <= pageCount).sort((a, b) => a - b);
+
+  const items = [];
+  sorted.forEach((p, index) => {
+    if (index > 0 && p - sorted[index - 1] > 1) items.push(`gap-${p}`);
+    items.push(p);
+  });
+  return items;
+};
+
+const Pagination = ({ page, pageCount, hasMore, onChange }) => {
+  const { t, formatNumber } = useI18n();
+  // Pages beyond what's loaded exist when the source has more to send
+  const lastKnownPage = hasMore ? pageCount + 1 : pageCount;
+  if (lastKnownPage <= 1) return null;
+
+  const buttonClassName = 'min-w-[2.5rem] px-3 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <nav aria-label={t('pagination.label')} className="flex flex-wrap items-center justify-center gap-1 mt-6">
+      <button
+        onClick={() => onChange(page - 1)}
+        disabled={page <= 1}
+        className={`${buttonClassName} inline-flex items-center gap-1 bg-white shadow hover:bg-gray-50`}
+      >
+        <ChevronLeft size={16} className="rtl:rotate-180" />
+        {t('pagination.previous')}
+      </button>
+      {getPageItems(page, pageCount).map(item => (
+        typeof item === 'string' ? (
+          <span key={item} className="px-2 text-gray-400">…</span>
+        ) : (
+          <button
+            key={item}
+            onClick={() => onChange(item)}
+            aria-current={item === page ? 'page' : undefined}
+            className={`${buttonClassName} ${
+              item === page ? 'bg-blue-600 text-white' : 'bg-white shadow hover:bg-gray-50'
+            }`}
+          >
+            {formatNumber(item)}
+          </button>
+        )
+      ))}
+      <button
+        onClick={() => onChange(page + 1)}
+        disabled={page >= lastKnownPage}
+        className={`${buttonClassName} inline-flex items-center gap-1 bg-white shadow hover:bg-gray-50`}
+      >
+        {t('pagination.next')}
+        <ChevronRight size={16} className="rtl:rotate-180" />
+      </button>
+    </nav>
+  );
+};
+
+// Loads more when scrolled into view; the button is the fallback for
+// browsers without IntersectionObserver and for keyboard users
+export const LoadMoreTrigger = ({ onLoadMore, loading, disabled }) => {
+  const { t } = useI18n();
+  const ref = useRef(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+  onLoadMoreRef.current = onLoadMore;
+
+  useEffect(() => {
+    if (disabled || loading || typeof IntersectionObserver === 'undefined' || !ref.current) return undefined;
+
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) onLoadMoreRef.current();
+    }, { rootMargin: '600px 0px' });
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [disabled, loading]);
+
+  if (disabled) return null;
+
+  return (
+    <div ref={ref} className="flex justify-center mt-6">
+      <button
+        onClick={onLoadMore}
+        disabled={loading}
+        className="px-6 py-2 bg-white shadow rounded-lg font-medium text-gray-800 hover:bg-gray-50 disabled:opacity-50"
+      >
+        {t(loading ? 'pagination.loading' : 'pagination.loadMore')}
+      </button>
+    </div>
+  );
+};
+
+export default Pagination;
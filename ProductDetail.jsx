@@ -0,0 +1,170 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronLeft, Minus, Plus } from 'lucide-react';
+import { useProductSource } from './productSource';
+import { useCurrency } from './currency';
+import { getAvailable } from './inventory';
+import { Link } from './router';
+import StarRating from './StarRating';
+import StockStatus from './StockStatus';
+import ProductReviews from './ProductReviews';
+import VariantPicker from './VariantPicker';
+import { hasVariants, findVariant, getDefaultSelection, toPurchasable } from './variants';
+import { useI18n } from './i18n';
+
+// Uses the loaded catalog when it has the product, otherwise fetches just
+// this one so deep links don't wait for the whole catalog. `onView` hears
+// about each product once it's on screen.
+const ProductDetail = ({ productId, products, productSource, cart, onAddToCart, onView, backTo = '/' }) => {
+  const contextSource = useProductSource();
+  const source = productSource || contextSource;
+  const { formatPrice } = useCurrency();
+  const { t, categoryName } = useI18n();
+  const catalogProduct = products.find(p => String(p.id) === String(productId));
+  const [fetchedProduct, setFetchedProduct] = useState(null);
+  const [status, setStatus] = useState(catalogProduct ? 'ready' : 'loading');
+  const [quantity, setQuantity] = useState(1);
+  // Chosen options, by product id so another product starts from its default
+  const [selections, setSelections] = useState({});
+
+  useEffect(() => {
+    if (catalogProduct) {
+      setStatus('ready');
+      return undefined;
+    }
+
+    let cancelled = false;
+    setStatus('loading');
+    source.getProduct(productId)
+      .then(product => {
+        if (cancelled) return;
+        setFetchedProduct(product);
+        setStatus(product ? 'ready' : 'notFound');
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Error fetching product:', error);
+        setStatus('error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [productId, source, Boolean(catalogProduct)]);
+
+  const product = catalogProduct || fetchedProduct;
+  const shownId = status === 'ready' && product ? product.id : null;
+
+  useEffect(() => {
+    if (shownId !== null && onView) onView(product);
+  }, [shownId]);
+
+  if (status === 'loading') {
+    return <div className="text-center text-gray-600 py-16">{t('product.loading')}</div>;
+  }
+
+  if (status !== 'ready' || !product) {
+    return (
+      <div className="bg-white rounded-lg shadow p-8 text-center">
+        <p className="text-gray-700 text-lg mb-4">
+          {t(status === 'notFound' ? 'product.notFound' : 'product.loadError')}
+        </p>
+        <Link to={backTo} className="text-blue-600 hover:underline">{t('nav.backToCatalog')}</Link>
+      </div>
+    );
+  }
+
+  // What the add button buys: the product itself or the chosen variant,
+  // which is missing when no variant has that combination of options
+  const selection = hasVariants(product) ? selections[product.id] || getDefaultSelection(product) : null;
+  const variant = selection && findVariant(product, selection);
+  const purchasable = selection ? variant && toPurchasable(product, variant) : product;
+  const shown = purchasable || product;
+
+  const available = purchasable ? getAvailable(purchasable, cart) : 0;
+  const clampedQuantity = Math.max(1, Math.min(quantity, available));
+
+  const addToCart = () => {
+    onAddToCart(purchasable, clampedQuantity);
+    setQuantity(1);
+  };
+
+  return (
+    <div>
+      <Link to={backTo} className="inline-flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900 mb-4">
+        <ChevronLeft size={16} className="rtl:rotate-180" />
+        {t('nav.backToCatalog')}
+      </Link>
+
+      <div className="bg-white rounded-lg shadow grid grid-cols-1 md:grid-cols-2 gap-8 p-6">
+        <div className="aspect-square bg-gray-50 rounded-lg p-8">
+          <img src={shown.image} alt={product.title} className="w-full h-full object-contain" />
+        </div>
+
+        <div>
+          <p className="text-sm text-gray-600 mb-2">{categoryName(product.category)}</p>
+          <h1 className="text-2xl font-bold text-gray-900 mb-3">{product.title}</h1>
+          <StarRating rate={product.rating.rate} count={product.rating.count} className="mb-4" />
+          <p className="text-3xl font-bold text-blue-600 mb-4">{formatPrice(shown.price)}</p>
+          {purchasable
+            ? <StockStatus product={purchasable} cart={cart} className="mb-4" />
+            : <p className="text-sm font-medium text-red-600 mb-4">{t('variants.unavailable')}</p>}
+          <p className="text-gray-700 leading-relaxed mb-6">{product.description}</p>
+
+          {selection && (
+            <VariantPicker
+              product={product}
+              selection={selection}
+              onChange={next => setSelections({ ...selections, [product.id]: next })}
+              idPrefix={`product-${product.id}`}
+            />
+          )}
+
+          <div className="flex items-center gap-3">
+            <div className="flex items-center border border-gray-300 rounded-lg">
+              <button
+                onClick={() => setQuantity(clampedQuantity - 1)}
+                disabled={available === 0 || clampedQuantity <= 1}
+                aria-label={t('product.decrease')}
+                className="px-3 py-2 hover:bg-gray-100 disabled:opacity-50"
+              >
+                <Minus size={16} />
+              </button>
+              <input
+                type="number"
+                min="1"
+                max={Number.isFinite(available) ? available : undefined}
+                value={available === 0 ? 0 : clampedQuantity}
+                onChange={(e) => setQuantity(Number(e.target.value) || 1)}
+                disabled={available === 0}
+                aria-label={t('product.quantity')}
+                className="w-16 text-center py-2 border-x border-gray-300"
+              />
+              <button
+                onClick={() => setQuantity(clampedQuantity + 1)}
+                disabled={available === 0 || clampedQuantity >= available}
+                aria-label={t('product.increase')}
+                className="px-3 py-2 hover:bg-gray-100 disabled:opacity-50"
+              >
+                <Plus size={16} />
+              </button>
+            </div>
+            <button
+              onClick={addToCart}
+              disabled={available === 0}
+              className={`flex-1 py-2 rounded-lg font-medium transition-colors ${
+                available === 0
+                  ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                  : 'bg-blue-600 text-white hover:bg-blue-700'
+              }`}
+            >
+              {t('product.addToCart')}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <ProductReviews product={product} />
+    </div>
+  );
+};
+
+export default ProductDetail;
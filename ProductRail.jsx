@@ -0,0 +1,52 @@
+import React from 'react';
+import { getAvailable } from './inventory';
+import { useCurrency } from './currency';
+import StarRating from './StarRating';
+import { Link, productPath } from './router';
+import { useI18n } from './i18n';
+
+// A titled, horizontally scrolling row of compact product cards
+const ProductRail = ({ id, title, products, cart, onAddToCart, action }) => {
+  const { formatPrice } = useCurrency();
+  const { t } = useI18n();
+
+  return (
+    <section aria-labelledby={`${id}-title`} className="mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h2 id={`${id}-title`} className="text-lg font-semibold">{title}</h2>
+        {action}
+      </div>
+      <ul className="flex gap-4 overflow-x-auto pb-2 snap-x">
+        {products.map(product => {
+          const available = getAvailable(product, cart) > 0;
+          return (
+            <li key={product.id} className="w-44 shrink-0 snap-start bg-white rounded-lg shadow p-3 flex flex-col">
+              <Link to={productPath(product.id)} className="block group">
+                <img src={product.image} alt="" className="w-full h-28 object-contain bg-gray-50 rounded mb-2" />
+                <span className="block text-sm font-medium text-gray-900 line-clamp-2 h-10 group-hover:text-blue-600">
+                  {product.title}
+                </span>
+              </Link>
+              <p className="font-bold text-blue-600 mt-1">{formatPrice(product.price)}</p>
+              <StarRating rate={product.rating.rate} size={12} className="mb-2" />
+              {onAddToCart && (
+                <button
+                  onClick={() => onAddToCart(product)}
+                  disabled={!available}
+                  aria-label={t('recommendations.addToCart', { title: product.title })}
+                  className={`mt-auto w-full py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                    available ? 'bg-blue-600 text-white hover:bg-blue-700' : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                  }`}
+                >
+                  {t('product.addToCart')}
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+};
+
+export default ProductRail;
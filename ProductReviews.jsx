@@ -0,0 +1,247 @@
+import React, { useEffect, useState } from 'react';
+import { ThumbsUp } from 'lucide-react';
+import { useReviewStore } from './reviewStore';
+import {
+  REVIEW_SORTS,
+  REVIEW_BODY_MIN,
+  REVIEW_BODY_MAX,
+  emptyReview,
+  validateReview,
+  sortReviews,
+  getRatingDistribution,
+  combineRatings
+} from './reviews';
+import { readJson, writeJson } from './storage';
+import StarRating from './StarRating';
+import StarPicker from './StarPicker';
+import { useI18n } from './i18n';
+
+// Reviews this browser has already marked helpful
+const VOTES_KEY = 'mini-ecommerce:review-votes';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Review section of the product page. The summary folds written reviews
+// into the catalog's aggregate rating; the histogram covers written reviews only.
+const ProductReviews = ({ product }) => {
+  const store = useReviewStore();
+  const { t, formatNumber, formatDate } = useI18n();
+  const [reviews, setReviews] = useState([]);
+  const [status, setStatus] = useState('loading');
+  const [sortOrder, setSortOrder] = useState(REVIEW_SORTS[0]);
+  const [values, setValues] = useState(emptyReview);
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [posted, setPosted] = useState(false);
+  const [votes, setVotes] = useState(() => readJson(VOTES_KEY) || []);
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus('loading');
+    store.listReviews(product.id)
+      .then(list => {
+        if (cancelled) return;
+        setReviews(list);
+        setStatus('ready');
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Error fetching reviews:', error);
+        setStatus('error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [product.id, store]);
+
+  const updateField = (field, value) => {
+    setValues({ ...values, [field]: value });
+    setPosted(false);
+    // Clear a field's error as soon as the user edits it
+    if (errors[field]) {
+      setErrors({ ...errors, [field]: undefined });
+    }
+  };
+
+  const submitReview = async (e) => {
+    e.preventDefault();
+    const nextErrors = validateReview(values);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) return;
+
+    setSubmitting(true);
+    setSubmitError(null);
+    try {
+      const review = await store.addReview(product.id, values);
+      setReviews([...reviews, review]);
+      setValues(emptyReview);
+      setPosted(true);
+    } catch (error) {
+      console.error('Error posting review:', error);
+      setSubmitError(t('reviews.submitError'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const voteHelpful = async (reviewId) => {
+    if (votes.includes(reviewId)) return;
+    try {
+      const updated = await store.voteHelpful(reviewId);
+      setReviews(reviews.map(review => (review.id === reviewId ? updated : review)));
+      const nextVotes = [...votes, reviewId];
+      setVotes(nextVotes);
+      writeJson(VOTES_KEY, nextVotes);
+    } catch (error) {
+      console.error('Error voting on review:', error);
+    }
+  };
+
+  const summary = combineRatings(product.rating, reviews);
+  const distribution = getRatingDistribution(reviews);
+
+  return (
+    <section aria-labelledby="reviews-title" className="bg-white rounded-lg shadow p-6 mt-6 grid grid-cols-1 md:grid-cols-3 gap-8">
+      <div>
+        <h2 id="reviews-title" className="text-xl font-semibold mb-3">{t('reviews.title')}</h2>
+        <p className="text-4xl font-bold text-gray-900">
+          {formatNumber(summary.rate, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}
+        </p>
+        <StarRating rate={summary.rate} className="mb-1" />
+        <p className="text-sm text-gray-600 mb-4">{t('reviews.basedOn', { count: summary.count })}</p>
+
+        {reviews.length > 0 && (
+          <>
+            <p className="text-sm text-gray-600 mb-2">{t('reviews.histogramLabel', { count: reviews.length })}</p>
+            <ul className="space-y-1 text-sm">
+              {distribution.map(({ stars, count }) => (
+                <li key={stars} className="flex items-center gap-2">
+                  <span className="w-16 shrink-0 text-gray-700">{t('reviews.stars', { count: stars })}</span>
+                  <span className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden" aria-hidden="true">
+                    <span
+                      className="block h-full bg-yellow-500"
+                      style={{ width: `${(count / reviews.length) * 100}%` }}
+                    />
+                  </span>
+                  <span className="w-8 shrink-0 text-end text-gray-600">{formatNumber(count)}</span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+
+      <div className="md:col-span-2">
+        {status === 'loading' && <p className="text-gray-600">{t('reviews.loading')}</p>}
+        {status === 'error' && <p role="alert" className="text-red-600">{t('reviews.loadError')}</p>}
+
+        {status === 'ready' && reviews.length === 0 && (
+          <p className="text-gray-600 mb-6">{t('reviews.empty')}</p>
+        )}
+
+        {status === 'ready' && reviews.length > 0 && (
+          <>
+            <div className="flex items-center justify-end gap-2 mb-3 text-sm">
+              <label htmlFor="review-sort" className="text-gray-700">{t('catalog.sortLabel')}</label>
+              <select
+                id="review-sort"
+                value={sortOrder}
+                onChange={(e) => setSortOrder(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {REVIEW_SORTS.map(order => (
+                  <option key={order} value={order}>{t(`reviews.sort.${order}`)}</option>
+                ))}
+              </select>
+            </div>
+            <ul className="divide-y divide-gray-100 mb-6">
+              {sortReviews(reviews, sortOrder).map(review => (
+                <li key={review.id} className="py-4">
+                  <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mb-1">
+                    <StarRating rate={review.rating} size={14} />
+                    <span className="font-medium text-gray-900">{review.author}</span>
+                    <span className="text-sm text-gray-500">{formatDate(review.createdAt, { dateStyle: 'medium' })}</span>
+                  </div>
+                  <p className="text-gray-700 whitespace-pre-line mb-2">{review.body}</p>
+                  <button
+                    onClick={() => voteHelpful(review.id)}
+                    aria-pressed={votes.includes(review.id)}
+                    className={`inline-flex items-center gap-1 text-sm ${
+                      votes.includes(review.id) ? 'text-blue-700' : 'text-gray-600 hover:text-blue-600'
+                    }`}
+                  >
+                    <ThumbsUp size={14} aria-hidden="true" />
+                    {t('reviews.helpful', { count: review.helpful })}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <form onSubmit={submitReview} noValidate className="border-t pt-6">
+          <h3 className="text-lg font-semibold mb-4">{t('reviews.write')}</h3>
+
+          <div className="mb-4">
+            <p id="review-rating-label" className="block text-sm font-medium text-gray-700 mb-2">{t('reviews.field.rating')}</p>
+            <StarPicker
+              name="review-rating"
+              value={values.rating}
+              onChange={rating => updateField('rating', rating)}
+              labelledBy="review-rating-label"
+              describedBy={errors.rating ? 'review-rating-error' : undefined}
+              invalid={Boolean(errors.rating)}
+            />
+            {errors.rating && <p id="review-rating-error" className="text-sm text-red-600 mt-1">{t(errors.rating)}</p>}
+          </div>
+
+          <div className="mb-4">
+            <label htmlFor="review-author" className="block text-sm font-medium text-gray-700 mb-2">{t('reviews.field.author')}</label>
+            <input
+              id="review-author"
+              type="text"
+              value={values.author}
+              onChange={(e) => updateField('author', e.target.value)}
+              autoComplete="nickname"
+              aria-invalid={Boolean(errors.author)}
+              aria-describedby={errors.author ? 'review-author-error' : undefined}
+              className={inputClassName}
+            />
+            {errors.author && <p id="review-author-error" className="text-sm text-red-600 mt-1">{t(errors.author)}</p>}
+          </div>
+
+          <div className="mb-4">
+            <label htmlFor="review-body" className="block text-sm font-medium text-gray-700 mb-2">{t('reviews.field.body')}</label>
+            <textarea
+              id="review-body"
+              rows={4}
+              value={values.body}
+              onChange={(e) => updateField('body', e.target.value)}
+              aria-invalid={Boolean(errors.body)}
+              aria-describedby={`review-body-hint${errors.body ? ' review-body-error' : ''}`}
+              className={inputClassName}
+            />
+            <p id="review-body-hint" className="text-sm text-gray-500 mt-1">
+              {t('reviews.bodyHint', { min: REVIEW_BODY_MIN, max: REVIEW_BODY_MAX, length: values.body.trim().length })}
+            </p>
+            {errors.body && <p id="review-body-error" className="text-sm text-red-600 mt-1">{t(errors.body, { min: REVIEW_BODY_MIN, max: REVIEW_BODY_MAX })}</p>}
+          </div>
+
+          {submitError && <p role="alert" className="text-sm text-red-600 mb-4">{submitError}</p>}
+          <div role="status" className="text-sm text-green-700 mb-4 empty:hidden">{posted ? t('reviews.posted') : ''}</div>
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {t(submitting ? 'reviews.submitting' : 'reviews.submit')}
+          </button>
+        </form>
+      </div>
+    </section>
+  );
+};
+
+export default ProductReviews;
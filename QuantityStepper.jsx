@@ -0,0 +1,72 @@
+import React, { useEffect, useState } from 'react';
+import { Minus, Plus } from 'lucide-react';
+import { useI18n } from './i18n';
+
+// Editable quantity with -/+ buttons. The input is a native number field,
+// so assistive tech gets a spinbutton with its min, max and value.
+// Typed values are only committed once they're whole numbers in range;
+// anything past `max` goes to `onLimit` instead.
+const QuantityStepper = ({ id, label, value, max = Infinity, onChange, onLimit, size = 'md' }) => {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(String(value));
+
+  useEffect(() => {
+    setDraft(String(value));
+  }, [value]);
+
+  const commit = (next) => {
+    if (next > max) {
+      if (onLimit) onLimit(max);
+      return;
+    }
+    onChange(next);
+  };
+
+  const handleInput = (e) => {
+    setDraft(e.target.value);
+    const next = Number(e.target.value);
+    if (e.target.value !== '' && Number.isInteger(next) && next >= 1) {
+      commit(next);
+    }
+  };
+
+  const buttonClassName = size === 'sm'
+    ? 'px-2 py-1 bg-gray-200 hover:bg-gray-300 rounded disabled:opacity-50'
+    : 'px-3 py-1.5 bg-gray-200 hover:bg-gray-300 rounded disabled:opacity-50';
+
+  return (
+    <div className="flex items-center gap-2">
+      <button
+        type="button"
+        onClick={() => onChange(value - 1)}
+        aria-label={t(value <= 1 ? 'quantity.remove' : 'quantity.decrease', { label })}
+        className={buttonClassName}
+      >
+        <Minus size={14} aria-hidden="true" />
+      </button>
+      <input
+        id={id}
+        type="number"
+        inputMode="numeric"
+        min="1"
+        max={Number.isFinite(max) ? max : undefined}
+        value={draft}
+        onChange={handleInput}
+        onBlur={() => setDraft(String(value))}
+        aria-label={t('quantity.label', { label })}
+        className={`${size === 'sm' ? 'w-12' : 'w-16'} text-center py-1 border border-gray-300 rounded`}
+      />
+      <button
+        type="button"
+        onClick={() => commit(value + 1)}
+        aria-label={t('quantity.increase', { label })}
+        aria-disabled={value >= max}
+        className={`${buttonClassName} ${value >= max ? 'opacity-50 cursor-not-allowed' : ''}`}
+      >
+        <Plus size={14} aria-hidden="true" />
+      </button>
+    </div>
+  );
+};
+
+export default QuantityStepper;
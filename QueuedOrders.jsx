@@ -0,0 +1,62 @@
+import React from 'react';
+import { AlertTriangle, CheckCircle, X } from 'lucide-react';
+import { useI18n } from './i18n';
+
+// Results of replaying orders placed offline: ones that went through, and
+// ones whose prices or stock changed and need the shopper's go-ahead
+const QueuedOrders = ({ conflicts, placed, describeChange, onAccept, onCancel, onDismissPlaced }) => {
+  const { t } = useI18n();
+
+  if (conflicts.length === 0 && placed.length === 0) return null;
+
+  return (
+    <div className="space-y-3 mb-6">
+      {placed.map(order => (
+        <div key={order.id} role="status" className="flex items-center gap-3 bg-green-50 border border-green-200 text-green-800 rounded-lg p-4 text-sm">
+          <CheckCircle size={18} className="shrink-0" aria-hidden="true" />
+          <p className="flex-1">{t('offline.orderPlaced', { id: order.id })}</p>
+          <button onClick={() => onDismissPlaced(order.id)} aria-label={t('toast.dismiss')} className="hover:text-green-900">
+            <X size={16} />
+          </button>
+        </div>
+      ))}
+
+      {conflicts.map(action => (
+        <section
+          key={action.id}
+          aria-labelledby={`${action.id}-title`}
+          className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-4 text-sm"
+        >
+          <h2 id={`${action.id}-title`} className="flex items-center gap-2 font-semibold mb-2">
+            <AlertTriangle size={18} aria-hidden="true" />
+            {t('offline.conflictTitle')}
+          </h2>
+          <ul className="list-disc ps-5 space-y-1 mb-3">
+            {action.conflict.changes.map(change => (
+              <li key={`${change.type}-${change.id}`}>{describeChange(change)}</li>
+            ))}
+          </ul>
+          {action.conflict.cart.length === 0 && <p className="mb-3">{t('offline.conflictEmpty')}</p>}
+          <div className="flex flex-wrap gap-2">
+            {action.conflict.cart.length > 0 && (
+              <button
+                onClick={() => onAccept(action)}
+                className="px-3 py-1.5 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700"
+              >
+                {t('offline.placeUpdated')}
+              </button>
+            )}
+            <button
+              onClick={() => onCancel(action.id)}
+              className="px-3 py-1.5 bg-white border border-yellow-300 font-medium rounded-lg hover:bg-yellow-100"
+            >
+              {t('offline.cancelOrder')}
+            </button>
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default QueuedOrders;
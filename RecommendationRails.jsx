@@ -0,0 +1,48 @@
+import React, { useEffect, useState } from 'react';
+import { useRecommender } from './recommender';
+import ProductRail from './ProductRail';
+import { useI18n } from './i18n';
+
+// Recommendation rails for the products in `seeds`. Recommendations are
+// extras, so a failing recommender just leaves the rails out.
+const RecommendationRails = ({ seeds, products, exclude = [], cart, onAddToCart }) => {
+  const recommender = useRecommender();
+  const { t } = useI18n();
+  const [rails, setRails] = useState([]);
+  // Rails are asked for again only when the ids involved change
+  const seedKey = seeds.map(seed => seed.id).join(',');
+  const excludeKey = exclude.join(',');
+
+  useEffect(() => {
+    if (seeds.length === 0) {
+      setRails([]);
+      return undefined;
+    }
+    let cancelled = false;
+    recommender.recommend({ seeds, products, exclude })
+      .then(result => {
+        if (!cancelled) setRails(result);
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Error fetching recommendations:', error);
+        setRails([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [recommender, seedKey, excludeKey, products]);
+
+  return rails.map(rail => (
+    <ProductRail
+      key={rail.id}
+      id={`rail-${rail.id}`}
+      title={t(`recommendations.${rail.id}`)}
+      products={rail.products}
+      cart={cart}
+      onAddToCart={onAddToCart}
+    />
+  ));
+};
+
+export default RecommendationRails;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { Bell, BellOff, X } from 'lucide-react';
+import { useCurrency } from './currency';
+import { getAvailable, getMaxQuantity } from './inventory';
+import { getSku, describeVariant } from './variants';
+import { Link, productPath } from './router';
+import { useI18n } from './i18n';
+
+// Rows for the wishlist and the saved-for-later list. Stock comes from the
+// live catalog through `getProduct`, which gets the stored item; the snapshot
+// is the fallback. Saved lines are handled by SKU, wishlist items by id.
+const SavedItemList = ({ items, cart, getProduct, actionLabel, onMove, onRemove, isNotifying, onToggleNotify }) => {
+  const { formatPrice } = useCurrency();
+  const { t } = useI18n();
+
+  return (
+    <ul className="space-y-3">
+      {items.map(item => {
+        const key = getSku(item);
+        const product = getProduct(item) || item;
+        const outOfStock = getMaxQuantity(product) === 0;
+        const available = getAvailable(product, cart);
+        const notifying = isNotifying(key);
+
+        return (
+          <li key={key} className="flex gap-4 p-4 border border-gray-200 rounded-lg">
+            <img
+              src={product.image}
+              alt={product.title}
+              className="w-16 h-16 object-contain bg-gray-50 rounded"
+            />
+            <div className="flex-1 min-w-0">
+              <h3 className="font-medium text-gray-900 mb-1">
+                <Link to={productPath(item.id)} className="hover:text-blue-600">{product.title}</Link>
+              </h3>
+              {describeVariant(item) && <p className="text-sm text-gray-600 mb-1">{describeVariant(item)}</p>}
+              <p className="text-blue-600 font-semibold mb-2">
+                {formatPrice(product.price)}
+                {item.quantity > 1 && <span className="text-sm text-gray-500 font-normal"> × {item.quantity}</span>}
+              </p>
+
+              {outOfStock ? (
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className="text-red-600 font-medium">{t('stock.out')}</span>
+                  <button
+                    onClick={() => onToggleNotify(key)}
+                    aria-pressed={notifying}
+                    className={`inline-flex items-center gap-1 px-2 py-1 rounded-full border ${
+                      notifying
+                        ? 'bg-amber-50 border-amber-300 text-amber-800'
+                        : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    {notifying ? <Bell size={14} /> : <BellOff size={14} />}
+                    {t(notifying ? 'saved.notifying' : 'saved.notify')}
+                  </button>
+                </div>
+              ) : (
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  {notifying && <span className="text-green-700 font-medium">{t('saved.backInStock')}</span>}
+                  <button
+                    onClick={() => onMove(item)}
+                    disabled={available === 0}
+                    className="px-3 py-1 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 disabled:bg-gray-300 disabled:text-gray-500 disabled:cursor-not-allowed"
+                  >
+                    {actionLabel}
+                  </button>
+                  {available === 0 && <span className="text-amber-700">{t('stock.reserved', { count: product.stock })}</span>}
+                </div>
+              )}
+            </div>
+            <button
+              onClick={() => onRemove(key)}
+              aria-label={t('saved.remove', { title: product.title })}
+              className="self-start text-gray-500 hover:text-red-600"
+            >
+              <X size={18} />
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default SavedItemList;
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { Search } from 'lucide-react';
+import { getHighlightRanges } from './search';
+import { useI18n } from './i18n';
+
+// Wraps the parts of `text` matching `query` in <mark>
+export const Highlight = ({ text, query }) => {
+  const ranges = getHighlightRanges(text, query);
+  if (ranges.length === 0) return text;
+
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(<mark key={start} className="bg-yellow-200 text-inherit rounded-sm">{text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  if (cursor < text.length) parts.push(text.slice(cursor));
+  return <>{parts}</>;
+};
+
+// Search input with an autocomplete listbox, following the ARIA combobox pattern
+const SearchBox = ({ value, onChange, suggestions, query }) => {
+  const { t, categoryName } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const showSuggestions = open && value.trim() !== '' && suggestions.length > 0;
+
+  const choose = (product) => {
+    onChange(product.title);
+    setOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex(index => Math.min(index + 1, suggestions.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => Math.max(index - 1, -1));
+    } else if (e.key === 'Enter' && showSuggestions && activeIndex >= 0) {
+      e.preventDefault();
+      choose(suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <Search className="absolute start-3 top-2.5 text-gray-400" size={18} />
+      <input
+        id="product-search"
+        type="text"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showSuggestions}
+        aria-controls="product-search-suggestions"
+        aria-activedescendant={showSuggestions && activeIndex >= 0 ? `product-suggestion-${activeIndex}` : undefined}
+        autoComplete="off"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+          setActiveIndex(-1);
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        // Delay so a click on a suggestion lands before the list closes
+        onBlur={() => setTimeout(() => setOpen(false), 100)}
+        placeholder={t('catalog.searchPlaceholder')}
+        className="w-full ps-10 pe-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+      {showSuggestions && (
+        <ul
+          id="product-search-suggestions"
+          role="listbox"
+          className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-72 overflow-auto"
+        >
+          {suggestions.map((product, index) => (
+            <li
+              key={product.id}
+              id={`product-suggestion-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose(product)}
+              className={`px-3 py-2 cursor-pointer text-sm ${index === activeIndex ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+            >
+              <span className="block text-gray-900 line-clamp-1">
+                <Highlight text={product.title} query={query} />
+              </span>
+              <span className="block text-xs text-gray-500">{categoryName(product.category)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
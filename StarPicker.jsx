@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { Star } from 'lucide-react';
+import { useI18n } from './i18n';
+
+// Star input built on native radios, so arrow keys move between values
+const StarPicker = ({ name, value, onChange, labelledBy, describedBy, invalid = false }) => {
+  const { t } = useI18n();
+  const [hovered, setHovered] = useState(0);
+  const shown = hovered || value;
+
+  return (
+    <div
+      role="radiogroup"
+      aria-labelledby={labelledBy}
+      aria-describedby={describedBy}
+      aria-invalid={invalid}
+      onMouseLeave={() => setHovered(0)}
+      className="flex gap-1"
+    >
+      {[1, 2, 3, 4, 5].map(star => (
+        <label key={star} onMouseEnter={() => setHovered(star)} className="cursor-pointer">
+          <input
+            type="radio"
+            name={name}
+            value={star}
+            checked={value === star}
+            onChange={() => onChange(star)}
+            className="sr-only peer"
+          />
+          <Star
+            size={28}
+            aria-hidden="true"
+            className={`rounded peer-focus-visible:ring-2 peer-focus-visible:ring-blue-500 ${
+              shown >= star ? 'text-yellow-500 fill-yellow-500' : 'text-gray-300'
+            }`}
+          />
+          <span className="sr-only">{t('reviews.stars', { count: star })}</span>
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default StarPicker;
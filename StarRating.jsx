@@ -0,0 +1,34 @@
+import React from 'react';
+import { Star } from 'lucide-react';
+import { useI18n } from './i18n';
+
+// Read-only stars, filled to the nearest half
+const StarRating = ({ rate, count, size = 16, className = '' }) => {
+  const { t, formatNumber } = useI18n();
+  const rounded = Math.round(rate * 2) / 2;
+
+  return (
+    <div className={`flex items-center gap-1 ${className}`}>
+      <span className="flex" role="img" aria-label={t('product.rating', { rate: formatNumber(rate, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) })}>
+        {[1, 2, 3, 4, 5].map(star => (
+          <span key={star} className="relative inline-block" style={{ width: size, height: size }}>
+            <Star size={size} className="absolute text-gray-300" aria-hidden="true" />
+            {rounded >= star - 0.5 && (
+              <span
+                className="absolute inset-0 overflow-hidden"
+                style={{ width: rounded >= star ? '100%' : '50%' }}
+              >
+                <Star size={size} className="text-yellow-500 fill-yellow-500" aria-hidden="true" />
+              </span>
+            )}
+          </span>
+        ))}
+      </span>
+      {count !== undefined && (
+        <span className="text-sm text-gray-500">({formatNumber(count)})</span>
+      )}
+    </div>
+  );
+};
+
+export default StarRating;
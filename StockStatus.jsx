@@ -0,0 +1,27 @@
+import React from 'react';
+import { AlertTriangle, CheckCircle, XCircle } from 'lucide-react';
+import { getStockState, STOCK_STATUS_CLASSES } from './inventory';
+import { useI18n } from './i18n';
+
+// Icon as well as colour, so the status doesn't rely on colour alone
+const STOCK_STATUS_ICONS = {
+  in: CheckCircle,
+  low: AlertTriangle,
+  reserved: AlertTriangle,
+  out: XCircle
+};
+
+const StockStatus = ({ product, cart, className = '' }) => {
+  const { t } = useI18n();
+  const { status, count } = getStockState(product, cart);
+  const Icon = STOCK_STATUS_ICONS[status];
+
+  return (
+    <p className={`inline-flex items-center gap-1 text-sm font-medium ${STOCK_STATUS_CLASSES[status]} ${className}`}>
+      <Icon size={14} aria-hidden="true" />
+      {t(`stock.${status}`, { count })}
+    </p>
+  );
+};
+
+export default StockStatus;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { CheckCircle, X } from 'lucide-react';
+import { useI18n } from './i18n';
+
+// Visual confirmation only; the storefront's live region does the
+// announcing. `toast` is `{ id, message, actionLabel, onAction }` or null.
+const Toast = ({ toast, onDismiss }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="fixed bottom-4 inset-x-4 sm:inset-x-auto sm:end-4 z-40 flex justify-center">
+      {toast && (
+        <div key={toast.id} className="flex items-center gap-3 bg-gray-900 text-white text-sm rounded-lg shadow-lg px-4 py-3">
+          <CheckCircle size={18} className="text-green-400 shrink-0" />
+          <span>{toast.message}</span>
+          {toast.onAction && (
+            <button onClick={toast.onAction} className="font-medium text-blue-300 hover:text-blue-200">
+              {toast.actionLabel}
+            </button>
+          )}
+          <button onClick={onDismiss} aria-label={t('toast.dismiss')} className="text-gray-400 hover:text-white">
+            <X size={16} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Toast;
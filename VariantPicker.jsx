@@ -0,0 +1,81 @@
+import React from 'react';
+import { isOptionAvailable } from './variants';
+import { useI18n } from './i18n';
+
+const selectClassName = 'w-full px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// One control per option. `compact` (product cards) uses selects; the product
+// page shows every value as a radio. Values whose variant is sold out or
+// doesn't exist stay selectable, so the shopper sees why they can't buy it.
+const VariantPicker = ({ product, selection, onChange, idPrefix, compact = false }) => {
+  const { t } = useI18n();
+
+  const select = (name, value) => onChange({ ...selection, [name]: value });
+
+  if (compact) {
+    return (
+      <div className="grid grid-cols-2 gap-2 mb-3">
+        {product.options.map(option => {
+          const id = `${idPrefix}-${option.name}`;
+          return (
+            <div key={option.name}>
+              <label htmlFor={id} className="block text-xs text-gray-600 mb-1">{option.name}</label>
+              <select
+                id={id}
+                value={selection[option.name]}
+                onChange={(e) => select(option.name, e.target.value)}
+                className={selectClassName}
+              >
+                {option.values.map(value => (
+                  <option key={value} value={value}>
+                    {isOptionAvailable(product, selection, option.name, value) ? value : t('variants.soldOutValue', { value })}
+                  </option>
+                ))}
+              </select>
+            </div>
+          );
+        })}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4 mb-6">
+      {product.options.map(option => (
+        <fieldset key={option.name}>
+          <legend className="text-sm font-medium text-gray-700 mb-2">
+            {t('variants.optionLabel', { name: option.name, value: selection[option.name] })}
+          </legend>
+          <div className="flex flex-wrap gap-2">
+            {option.values.map(value => {
+              const available = isOptionAvailable(product, selection, option.name, value);
+              const checked = selection[option.name] === value;
+              return (
+                <label key={value} className="cursor-pointer">
+                  <input
+                    type="radio"
+                    name={`${idPrefix}-${option.name}`}
+                    value={value}
+                    checked={checked}
+                    onChange={() => select(option.name, value)}
+                    className="sr-only peer"
+                  />
+                  <span
+                    className={`inline-block px-3 py-1.5 rounded-lg border text-sm peer-focus-visible:ring-2 peer-focus-visible:ring-blue-500 ${
+                      checked ? 'border-blue-600 bg-blue-50 text-blue-700 font-medium' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                    } ${available ? '' : 'line-through text-gray-400'}`}
+                  >
+                    {value}
+                  </span>
+                  {!available && <span className="sr-only">{t('variants.soldOut')}</span>}
+                </label>
+              );
+            })}
+          </div>
+        </fieldset>
+      ))}
+    </div>
+  );
+};
+
+export default VariantPicker;
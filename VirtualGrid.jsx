@@ -0,0 +1,110 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { focusCard, handleGridKeyDown } from './gridNavigation';
+
+// Column counts for the grid-cols-1 / sm:grid-cols-2 / lg:grid-cols-3 classes
+const getColumns = () => {
+  if (typeof window === 'undefined') return 1;
+  if (window.innerWidth >= 1024) return 3;
+  return window.innerWidth >= 640 ? 2 : 1;
+};
+
+const ROW_GAP = 16;
+
+// Renders only the rows near the viewport, with spacers standing in for the
+// rest so the page keeps its full scroll height
+const VirtualGrid = ({ items, renderItem, getKey, estimatedRowHeight = 440, overscan = 2 }) => {
+  const containerRef = useRef(null);
+  const gridRef = useRef(null);
+  const [columns, setColumns] = useState(getColumns);
+  const [rowHeight, setRowHeight] = useState(estimatedRowHeight);
+  const [visibleRows, setVisibleRows] = useState({ first: 0, last: 3 });
+  // Index of a card keyboard navigation is waiting to focus once it mounts
+  const pendingFocus = useRef(null);
+
+  const rowCount = Math.ceil(items.length / columns);
+
+  useEffect(() => {
+    let frame = null;
+
+    const update = () => {
+      frame = null;
+      if (!containerRef.current) return;
+      const nextColumns = getColumns();
+      const top = containerRef.current.getBoundingClientRect().top;
+      const first = Math.max(0, Math.floor(-top / rowHeight) - overscan);
+      const last = Math.ceil((window.innerHeight - top) / rowHeight) + overscan;
+      setColumns(nextColumns);
+      setVisibleRows(current => (current.first === first && current.last === last ? current : { first, last }));
+    };
+
+    const schedule = () => {
+      if (frame === null) frame = window.requestAnimationFrame(update);
+    };
+
+    update();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) window.cancelAnimationFrame(frame);
+    };
+  }, [rowHeight, overscan]);
+
+  // Use the real card height once one has rendered
+  useEffect(() => {
+    const firstCard = gridRef.current && gridRef.current.firstElementChild;
+    if (firstCard && firstCard.offsetHeight > 0) {
+      const measured = firstCard.offsetHeight + ROW_GAP;
+      if (Math.abs(measured - rowHeight) > 1) setRowHeight(measured);
+    }
+  });
+
+  const first = Math.min(visibleRows.first, Math.max(rowCount - 1, 0));
+  const last = Math.min(visibleRows.last, rowCount - 1);
+  const visibleItems = items.slice(first * columns, (last + 1) * columns);
+
+  useEffect(() => {
+    if (pendingFocus.current === null || !gridRef.current) return;
+    const card = gridRef.current.children[pendingFocus.current - first * columns];
+    if (card) {
+      pendingFocus.current = null;
+      focusCard(card);
+    }
+  });
+
+  // Mount the card's row and scroll to it; the effect above focuses it
+  const scrollToIndex = (index) => {
+    const row = Math.floor(index / columns);
+    pendingFocus.current = index;
+    setVisibleRows({ first: Math.max(0, row - overscan), last: row + overscan });
+    const containerTop = containerRef.current.getBoundingClientRect().top + window.scrollY;
+    window.scrollTo(0, containerTop + row * rowHeight);
+  };
+
+  // The page's own handler only knows the mounted cards, so it's skipped
+  // once this one has moved focus
+  const handleKeyDown = (e) => {
+    handleGridKeyDown(e, { offset: first * columns, total: items.length, columns, scrollToIndex });
+    if (e.isDefaultPrevented()) e.stopPropagation();
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      onKeyDown={handleKeyDown}
+      style={{
+        paddingTop: first * rowHeight,
+        paddingBottom: Math.max(rowCount - last - 1, 0) * rowHeight
+      }}
+    >
+      <div ref={gridRef} className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+        {visibleItems.map(item => (
+          <React.Fragment key={getKey(item)}>{renderItem(item)}</React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default VirtualGrid;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import VirtualGrid from './VirtualGrid';
+
+const items = Array.from({ length: 30 }, (_, i) => ({ id: i + 1 }));
+
+const renderCard = (item) => (
+  <article data-product-card>
+    <a href={`/product/${item.id}`} data-card-focus>Product {item.id}</a>
+  </article>
+);
+
+const press = (key) => act(() => {
+  fireEvent.keyDown(document.activeElement, { key });
+});
+
+describe('VirtualGrid keyboard navigation', () => {
+  beforeAll(() => {
+    window.scrollTo = jest.fn();
+    window.innerWidth = 1024;
+    window.innerHeight = 768;
+  });
+
+  it('brings cards outside the rendered window into view before focusing them', () => {
+    render(<VirtualGrid items={items} getKey={item => item.id} renderItem={renderCard} />);
+    expect(screen.queryByText('Product 30')).toBeNull();
+
+    screen.getByText('Product 1').focus();
+    press('End');
+    expect(document.activeElement.textContent).toBe('Product 30');
+    expect(window.scrollTo).toHaveBeenCalled();
+
+    press('ArrowUp');
+    expect(document.activeElement.textContent).toBe('Product 27');
+
+    press('Home');
+    expect(document.activeElement.textContent).toBe('Product 1');
+  });
+
+  it('stays put at the edges of the list', () => {
+    render(<VirtualGrid items={items} getKey={item => item.id} renderItem={renderCard} />);
+    screen.getByText('Product 1').focus();
+    press('ArrowLeft');
+    press('ArrowUp');
+    expect(document.activeElement.textContent).toBe('Product 1');
+  });
+});
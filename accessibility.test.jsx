@@ -0,0 +1,77 @@
+import React from 'react';
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
+import { axe, toHaveNoViolations } from 'jest-axe';
+import App from './react';
+import QuantityStepper from './QuantityStepper';
+import { I18nProvider } from './i18n';
+import { createMemorySource } from './productSource';
+import fixture from './products.fixture.json';
+
+expect.extend(toHaveNoViolations);
+
+const renderStore = async () => {
+  const view = render(<App productSource={createMemorySource(fixture)} serviceWorkerUrl={null} />);
+  await screen.findAllByRole('button', { name: 'Add to Cart' });
+  return view;
+};
+
+// Clicks, then lets timers started by the click (e.g. the cart badge bump) run out
+const clickAndSettle = async (element) => {
+  await act(async () => {
+    fireEvent.click(element);
+    await new Promise(resolve => setTimeout(resolve, 250));
+  });
+};
+
+const addFirstProduct = () => clickAndSettle(screen.getAllByRole('button', { name: 'Add to Cart' })[0]);
+
+beforeAll(() => {
+  window.scrollTo = () => {};
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  window.history.pushState(null, '', '/');
+});
+
+describe('accessibility', () => {
+  it('has no violations in the catalog grid', async () => {
+    const { container } = await renderStore();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('has no violations in the cart list', async () => {
+    const { container } = await renderStore();
+    await addFirstProduct();
+    await clickAndSettle(container.querySelector('a[href="/cart"]'));
+
+    const list = await screen.findByRole('list', { name: 'Items in your cart' });
+    expect(within(list).getAllByRole('spinbutton')).toHaveLength(1);
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('has no violations in the open mini-cart drawer', async () => {
+    const { container } = await renderStore();
+    await addFirstProduct();
+    await clickAndSettle(screen.getByRole('button', { name: /1 item/ }));
+
+    const drawer = screen.getByRole('dialog');
+    expect(within(drawer).getByRole('spinbutton').value).toBe('1');
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('exposes the quantity as a labelled spinbutton', async () => {
+    const { container } = render(
+      <I18nProvider locale="en">
+        <QuantityStepper id="qty" label="Mug" value={2} max={5} onChange={() => {}} />
+      </I18nProvider>
+    );
+
+    const spinbutton = screen.getByRole('spinbutton', { name: 'Quantity of Mug' });
+    expect(spinbutton.getAttribute('min')).toBe('1');
+    expect(spinbutton.getAttribute('max')).toBe('5');
+    screen.getByRole('button', { name: 'Increase quantity of Mug' });
+    screen.getByRole('button', { name: 'Decrease quantity of Mug' });
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
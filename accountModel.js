@@ -0,0 +1,64 @@
+import { EMAIL_PATTERN, emptyAddress, validateAddress } from './checkoutModel';
+
+export const PASSWORD_MIN = 8;
+export const NAME_MAX = 80;
+
+// Most addresses one account's address book may hold
+export const MAX_SAVED_ADDRESSES = 5;
+
+export const emptySignIn = {
+  email: '',
+  password: ''
+};
+
+export const emptySignUp = {
+  name: '',
+  email: '',
+  password: ''
+};
+
+// Returns a map of field name to message key; empty when the form is valid
+export const validateSignIn = (values) => {
+  const errors = {};
+
+  if (!EMAIL_PATTERN.test(values.email.trim())) errors.email = 'account.error.email';
+  if (!values.password) errors.password = 'account.error.passwordRequired';
+
+  return errors;
+};
+
+export const validateSignUp = (values) => {
+  const errors = validateSignIn(values);
+  const name = values.name.trim();
+
+  if (!name || name.length > NAME_MAX) errors.name = 'account.error.name';
+  if (values.password.length < PASSWORD_MIN) errors.password = 'account.error.passwordShort';
+
+  return errors;
+};
+
+// Saved addresses use the checkout shape plus an id, so they validate the same way
+export const emptySavedAddress = (user) => ({
+  ...emptyAddress,
+  fullName: user ? user.name : '',
+  email: user ? user.email : ''
+});
+
+export const validateSavedAddress = validateAddress;
+
+// Adds or replaces an address; `makeDefault` moves it to the front
+export const upsertAddress = (addresses, address, { makeDefault = false } = {}) => {
+  const saved = address.id ? address : { ...address, id: `ADDR-${Date.now().toString(36)}` };
+  const others = addresses.filter(existing => existing.id !== saved.id);
+  if (makeDefault) return [saved, ...others];
+
+  const index = addresses.findIndex(existing => existing.id === saved.id);
+  return index === -1
+    ? [...others, saved]
+    : [...others.slice(0, index), saved, ...others.slice(index)];
+};
+
+export const removeAddress = (addresses, id) => addresses.filter(address => address.id !== id);
+
+// Checkout copies the fields it needs, leaving the id behind
+export const toCheckoutAddress = ({ id, ...address }) => ({ ...emptyAddress, ...address });
@@ -0,0 +1,66 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { useAuthService } from './authService';
+
+const AccountContext = createContext(null);
+
+// `status` is 'loading' until the previous session has been checked; a user
+// present once it turns 'ready' was restored rather than freshly signed in
+export const AccountProvider = ({ children }) => {
+  const auth = useAuthService();
+  const [user, setUser] = useState(null);
+  const [status, setStatus] = useState('loading');
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus('loading');
+    auth.getSession()
+      .then(sessionUser => {
+        if (!cancelled) setUser(sessionUser);
+      })
+      .catch(error => {
+        console.error('Error restoring session:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setStatus('ready');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [auth]);
+
+  const value = useMemo(() => ({
+    user,
+    status,
+    signIn: async (credentials) => {
+      const signedIn = await auth.signIn(credentials);
+      setUser(signedIn);
+      return signedIn;
+    },
+    signUp: async (details) => {
+      const signedUp = await auth.signUp(details);
+      setUser(signedUp);
+      return signedUp;
+    },
+    signOut: async () => {
+      await auth.signOut();
+      setUser(null);
+    },
+    updateProfile: async (changes) => {
+      const updated = await auth.updateProfile(user.id, changes);
+      setUser(updated);
+      return updated;
+    },
+    getCart: () => auth.getCart(user.id),
+    saveCart: (items) => auth.saveCart(user.id, items)
+  }), [auth, user, status]);
+
+  return <AccountContext.Provider value={value}>{children}</AccountContext.Provider>;
+};
+
+export const useAccount = () => {
+  const context = useContext(AccountContext);
+  if (!context) {
+    throw new Error('useAccount must be used inside an AccountProvider');
+  }
+  return context;
+};
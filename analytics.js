@@ -0,0 +1,67 @@
+import { createContext, useContext } from 'react';
+import { BASE_CURRENCY, fromMinorUnits, multiply, sum, toMinorUnits } from './money';
+
+// Sends every event to each adapter. An adapter is any object with
+// `send({ name, params, timestamp })`; one that throws doesn't stop the rest.
+export const createAnalytics = (adapters = []) => ({
+  track: (name, params = {}) => {
+    const event = { name, params, timestamp: Date.now() };
+    adapters.forEach(adapter => {
+      try {
+        adapter.send(event);
+      } catch (error) {
+        console.warn(`Analytics adapter failed on ${name}:`, error);
+      }
+    });
+  }
+});
+
+export const createConsoleAdapter = ({ logger = console } = {}) => ({
+  name: 'console',
+  send: ({ name, params }) => logger.info(`[analytics] ${name}`, params)
+});
+
+// Keeps events in order for tests and debugging
+export const createMemoryAdapter = () => {
+  const events = [];
+
+  return {
+    name: 'memory',
+    events,
+    send: (event) => {
+      events.push(event);
+    },
+    eventsNamed: (name) => events.filter(event => event.name === name),
+    clear: () => {
+      events.length = 0;
+    }
+  };
+};
+
+// GA4 ecommerce item; prices are in the base currency's major units
+export const toAnalyticsItem = (product, { quantity = 1, index, listName } = {}) => ({
+  item_id: String(product.id),
+  item_name: product.title,
+  item_category: product.category,
+  ...(product.sku && { item_variant: product.sku }),
+  price: product.price,
+  quantity,
+  ...(index !== undefined && { index }),
+  ...(listName && { item_list_name: listName })
+});
+
+// `currency`, `value` and `items`, the shape shared by GA4 ecommerce events
+export const ecommerceParams = (items) => ({
+  currency: BASE_CURRENCY,
+  value: fromMinorUnits(sum(items.map(item => multiply(toMinorUnits(item.price), item.quantity)))),
+  items
+});
+
+// Nothing is sent until an AnalyticsProvider supplies a bus with adapters
+export const defaultAnalytics = createAnalytics();
+
+export const AnalyticsContext = createContext(defaultAnalytics);
+
+export const AnalyticsProvider = AnalyticsContext.Provider;
+
+export const useAnalytics = () => useContext(AnalyticsContext);
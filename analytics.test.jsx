@@ -0,0 +1,88 @@
+import React from 'react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import App from './react';
+import { AnalyticsProvider, createAnalytics, createMemoryAdapter } from './analytics';
+import { createMemorySource } from './productSource';
+import fixture from './products.fixture.json';
+
+const renderStore = async (url, source = createMemorySource(fixture)) => {
+  window.history.pushState(null, '', url);
+  const memory = createMemoryAdapter();
+  render(
+    <AnalyticsProvider value={createAnalytics([memory])}>
+      <App productSource={source} serviceWorkerUrl={null} />
+    </AnalyticsProvider>
+  );
+  await screen.findAllByRole('button', { name: 'Add to Cart' });
+  return memory;
+};
+
+beforeAll(() => {
+  window.scrollTo = () => {};
+});
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('storefront analytics', () => {
+  it('tracks a search from the opening URL once the catalog has loaded', async () => {
+    const memory = await renderStore('/?q=backpack');
+
+    const searches = memory.eventsNamed('search');
+    expect(searches.map(event => event.params)).toEqual([{ search_term: 'backpack', result_count: 1 }]);
+  });
+
+  it('tracks a search typed while more of the catalog is still loading', async () => {
+    // Two batches; the second waits until the test lets it through
+    const products = Array.from({ length: 60 }, (_, i) => ({ ...fixture[0], id: i + 1, title: `Backpack ${i + 1}` }));
+    const memorySource = createMemorySource(products);
+    let releaseBatch;
+    const batchReleased = new Promise(resolve => {
+      releaseBatch = resolve;
+    });
+    const source = {
+      ...memorySource,
+      listPage: async (page) => {
+        if (page.offset > 0) await batchReleased;
+        return memorySource.listPage(page);
+      }
+    };
+    const memory = await renderStore('/', source);
+
+    fireEvent.change(screen.getByLabelText('Search Products'), { target: { value: 'backpack' } });
+    await act(() => new Promise(resolve => setTimeout(resolve, 300)));
+    expect(memory.eventsNamed('search')).toEqual([]);
+
+    await act(async () => releaseBatch());
+    expect(memory.eventsNamed('search').map(event => event.params)).toEqual([{ search_term: 'backpack', result_count: 60 }]);
+  });
+
+  it('tracks each settled search term once', async () => {
+    const memory = await renderStore('/');
+    const searchBox = screen.getByLabelText('Search Products');
+    const settle = () => act(() => new Promise(resolve => setTimeout(resolve, 300)));
+
+    fireEvent.change(searchBox, { target: { value: 'backpack' } });
+    await settle();
+    fireEvent.change(searchBox, { target: { value: '' } });
+    await settle();
+    fireEvent.change(searchBox, { target: { value: 'backpack' } });
+    await settle();
+
+    expect(memory.eventsNamed('search').map(event => event.params.search_term)).toEqual(['backpack', 'backpack']);
+  });
+
+  it('tracks a dragged price range once, after it settles', async () => {
+    const memory = await renderStore('/');
+    const slider = screen.getByLabelText('Maximum price');
+    const max = Number(slider.max);
+
+    [1, 2, 3, 4, 5].forEach(step => fireEvent.change(slider, { target: { value: max - step } }));
+    await act(() => new Promise(resolve => setTimeout(resolve, 300)));
+
+    expect(memory.eventsNamed('filter_change').map(event => event.params)).toEqual([
+      { filter_name: 'priceRange', filter_value: `${Number(slider.min)}-${max - 5}`, active_filters: 1 }
+    ]);
+  });
+});
@@ -0,0 +1,118 @@
+import { createContext, useContext } from 'react';
+import { readJson, writeJson } from './storage';
+
+const ACCOUNTS_KEY = 'mini-ecommerce:accounts';
+const SESSION_KEY = 'mini-ecommerce:session';
+
+// `code` picks the message shown to the user: `account.error.<code>`
+export class AuthError extends Error {
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+const randomId = (prefix) => `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+// Web Crypto only exists on secure origins (https, localhost); plain http
+// hosts get a form error rather than a TypeError
+const hashPassword = async (password, salt) => {
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    throw new AuthError('Password hashing needs a secure (https) origin', { code: 'insecureOrigin' });
+  }
+  const bytes = new TextEncoder().encode(`${salt}:${password}`);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// The public part of an account record
+const toUser = ({ id, name, email, addresses }) => ({ id, name, email, addresses });
+
+// Accounts, sessions and account carts kept in this browser. A stand-in for
+// a real identity backend: the hashing keeps passwords out of plain sight in
+// storage, not safe from anyone who can read it.
+export const createLocalAuthService = ({ latency = 300, accountsKey = ACCOUNTS_KEY, sessionKey = SESSION_KEY } = {}) => {
+  const readAccounts = () => readJson(accountsKey) || {};
+  const writeAccounts = (accounts) => writeJson(accountsKey, accounts);
+
+  const findByEmail = (email) => Object.values(readAccounts()).find(account => account.email === normalizeEmail(email));
+
+  const requireAccount = (userId) => {
+    const account = readAccounts()[userId];
+    if (!account) {
+      throw new AuthError(`Account ${userId} does not exist`, { code: 'noAccount' });
+    }
+    return account;
+  };
+
+  const saveAccount = (account) => {
+    writeAccounts({ ...readAccounts(), [account.id]: account });
+    return account;
+  };
+
+  return {
+    name: 'local',
+    // The signed-in user from an earlier visit, if any
+    getSession: async () => {
+      const userId = readJson(sessionKey);
+      const account = userId && readAccounts()[userId];
+      return account ? toUser(account) : null;
+    },
+    signUp: async ({ name, email, password }) => {
+      await wait(latency);
+      if (findByEmail(email)) {
+        throw new AuthError(`An account already exists for ${email}`, { code: 'emailTaken' });
+      }
+      const salt = randomId('salt');
+      const account = saveAccount({
+        id: randomId('user'),
+        name: name.trim(),
+        email: normalizeEmail(email),
+        addresses: [],
+        cart: [],
+        salt,
+        passwordHash: await hashPassword(password, salt)
+      });
+      writeJson(sessionKey, account.id);
+      return toUser(account);
+    },
+    signIn: async ({ email, password }) => {
+      await wait(latency);
+      const account = findByEmail(email);
+      if (!account || account.passwordHash !== await hashPassword(password, account.salt)) {
+        throw new AuthError('Email or password is incorrect', { code: 'invalidCredentials' });
+      }
+      writeJson(sessionKey, account.id);
+      return toUser(account);
+    },
+    signOut: async () => {
+      writeJson(sessionKey, null);
+    },
+    // `changes` may hold `name` and `addresses`
+    updateProfile: async (userId, { name, addresses }) => {
+      const account = requireAccount(userId);
+      return toUser(saveAccount({
+        ...account,
+        ...(name !== undefined && { name: name.trim() }),
+        ...(addresses !== undefined && { addresses })
+      }));
+    },
+    getCart: async (userId) => requireAccount(userId).cart || [],
+    saveCart: async (userId, items) => {
+      saveAccount({ ...requireAccount(userId), cart: items });
+    }
+  };
+};
+
+export const defaultAuthService = createLocalAuthService();
+
+export const AuthServiceContext = createContext(defaultAuthService);
+
+export const AuthServiceProvider = AuthServiceContext.Provider;
+
+export const useAuthService = () => useContext(AuthServiceContext);
@@ -0,0 +1,39 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import { AuthError, createLocalAuthService } from './authService';
+
+const account = { name: 'Ana', email: 'ana@example.com', password: 'correct horse' };
+
+describe('createLocalAuthService', () => {
+  const { subtle } = globalThis.crypto;
+
+  // jsdom lacks TextEncoder and crypto.subtle; each test supplies subtle as needed
+  beforeAll(() => {
+    globalThis.TextEncoder = TextEncoder;
+  });
+
+  beforeEach(() => localStorage.clear());
+
+  afterEach(() => {
+    Object.defineProperty(globalThis.crypto, 'subtle', { value: subtle, configurable: true });
+  });
+
+  it('signs up and back in with a hashed password', async () => {
+    Object.defineProperty(globalThis.crypto, 'subtle', { value: webcrypto.subtle, configurable: true });
+    const auth = createLocalAuthService({ latency: 0 });
+
+    const user = await auth.signUp(account);
+    await auth.signOut();
+    expect(await auth.signIn({ email: 'ANA@example.com ', password: account.password })).toEqual(user);
+    expect(localStorage.getItem('mini-ecommerce:accounts')).not.toContain(account.password);
+  });
+
+  it('reports a missing Web Crypto as an AuthError', async () => {
+    Object.defineProperty(globalThis.crypto, 'subtle', { value: undefined, configurable: true });
+    const auth = createLocalAuthService({ latency: 0 });
+
+    const signUp = auth.signUp(account);
+    await expect(signUp).rejects.toBeInstanceOf(AuthError);
+    await expect(signUp).rejects.toMatchObject({ code: 'insecureOrigin' });
+  });
+});
@@ -0,0 +1,7 @@
+// Used by Jest only; the app's own bundler handles JSX in the browser
+module.exports = {
+  presets: [
+    ['@babel/preset-env', { targets: { node: 'current' } }],
+    ['@babel/preset-react', { runtime: 'automatic' }]
+  ]
+};
@@ -0,0 +1,112 @@
+import { readJson, writeJson, subscribeToKey } from './storage';
+import { getMaxQuantity } from './inventory';
+import { getSku, getLineTitle, resolveLine } from './variants';
+
+const CART_KEY = 'mini-ecommerce:cart';
+export const CART_SCHEMA_VERSION = 1;
+
+// Upgrade older payloads; anything unrecognised is discarded
+const migrate = (saved) => {
+  if (Array.isArray(saved)) {
+    // Unversioned: a bare array of cart lines
+    return { version: 1, items: saved };
+  }
+  if (saved && saved.version === CART_SCHEMA_VERSION && Array.isArray(saved.items)) {
+    return saved;
+  }
+  return null;
+};
+
+const isValidLine = (line) => line && line.id != null && Number.isFinite(line.quantity) && line.quantity > 0;
+
+const parseCart = (saved) => {
+  const migrated = migrate(saved);
+  return migrated ? migrated.items.filter(isValidLine) : [];
+};
+
+export const readSavedCart = () => parseCart(readJson(CART_KEY));
+
+export const writeSavedCart = (cart) => {
+  writeJson(CART_KEY, { version: CART_SCHEMA_VERSION, items: cart });
+};
+
+// Calls back with the new cart whenever another tab changes it
+export const subscribeToSavedCart = (callback) => {
+  return subscribeToKey(CART_KEY, saved => callback(parseCart(saved)));
+};
+
+// Refresh saved lines from the live catalog and report what had to change.
+// While only part of the catalog is loaded (`complete: false`), lines for
+// products not seen yet are kept as they are.
+export const reconcileCart = (cart, products, { complete = true } = {}) => {
+  const changes = [];
+  const reconciled = [];
+
+  cart.forEach(line => {
+    const id = getSku(line);
+    const product = resolveLine(line, products);
+
+    if (!product) {
+      // Loaded but without this variant counts as gone, even mid-catalog
+      if (complete || products.some(p => p.id === line.id)) {
+        changes.push({ type: 'removed', id, title: line.title && getLineTitle(line) });
+      } else {
+        reconciled.push(line);
+      }
+      return;
+    }
+
+    const title = getLineTitle(product);
+    const maxQuantity = getMaxQuantity(product);
+    if (maxQuantity === 0) {
+      changes.push({ type: 'removed', id, title });
+      return;
+    }
+
+    let quantity = line.quantity;
+    if (quantity > maxQuantity) {
+      changes.push({ type: 'clamped', id, title, from: quantity, to: maxQuantity });
+      quantity = maxQuantity;
+    }
+
+    if (line.price !== product.price) {
+      changes.push({ type: 'price', id, title, from: line.price, to: product.price });
+    }
+
+    reconciled.push({ ...product, quantity });
+  });
+
+  return { cart: reconciled, changes };
+};
+
+// Fold the guest's cart into the one saved with the account. Quantities of
+// the same product add up, capped at what stock allows, as addToCart would.
+// Stock comes from the live catalog when the product is loaded.
+export const mergeCarts = (accountCart, guestCart, products = []) => {
+  const changes = [];
+  const merged = [];
+
+  const lines = [...accountCart, ...guestCart];
+  const skus = [...new Set(lines.map(getSku))];
+
+  skus.forEach(id => {
+    const matching = lines.filter(line => getSku(line) === id);
+    // The live product if loaded, else the latest snapshot (the guest's line)
+    const latest = matching[matching.length - 1];
+    const product = resolveLine(latest, products) || latest;
+    const requested = matching.reduce((sum, line) => sum + line.quantity, 0);
+    const maxQuantity = getMaxQuantity(product);
+    const title = getLineTitle(product);
+
+    if (maxQuantity === 0) {
+      changes.push({ type: 'removed', id, title });
+      return;
+    }
+    if (requested > maxQuantity) {
+      changes.push({ type: 'clamped', id, title, from: requested, to: maxQuantity });
+    }
+    merged.push({ ...product, quantity: Math.min(requested, maxQuantity) });
+  });
+
+  return { cart: merged, changes };
+};
@@ -0,0 +1,153 @@
+import React, { createContext, useContext, useEffect, useMemo, useReducer } from 'react';
+import { getMaxQuantity } from './inventory';
+import { getSku } from './variants';
+import { readSavedCart, writeSavedCart, subscribeToSavedCart } from './cartStorage';
+
+const HISTORY_LIMIT = 20;
+
+export const initialCartState = { items: [], history: [] };
+
+// Remember the cart as it was before a user action so it can be undone
+const withHistory = (state, action, items) => {
+  if (items === state.items) return state;
+  const history = [...state.history, { type: action.type, id: action.id ?? (action.product && getSku(action.product)), items: state.items }];
+  return { items, history: history.slice(-HISTORY_LIMIT) };
+};
+
+// Lines are keyed by SKU, so each variant of a product gets its own line
+const addItem = (items, product, quantity) => {
+  const sku = getSku(product);
+  const existingItem = items.find(item => getSku(item) === sku);
+  const current = existingItem ? existingItem.quantity : 0;
+  const next = Math.min(current + quantity, getMaxQuantity(product));
+
+  if (next <= current) return items;
+
+  if (existingItem) {
+    return items.map(item =>
+      getSku(item) === sku
+        ? { ...item, quantity: next }
+        : item
+    );
+  }
+  return [...items, { ...product, quantity: next }];
+};
+
+const setQuantity = (items, id, quantity, max) => {
+  const existingItem = items.find(item => getSku(item) === id);
+
+  // Over the limit is ignored rather than clamped, like the quantity buttons
+  if (!existingItem || quantity > max || quantity === existingItem.quantity) return items;
+
+  return items.map(item =>
+    getSku(item) === id
+      ? { ...item, quantity }
+      : item
+  );
+};
+
+const sameLine = (a, b) => {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+};
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, index) => sameLine(line, b[index]));
+
+export const cartReducer = (state, action) => {
+  switch (action.type) {
+    case 'ADD':
+      return withHistory(state, action, addItem(state.items, action.product, action.quantity ?? 1));
+
+    case 'REMOVE': {
+      const items = state.items.filter(item => getSku(item) !== action.id);
+      return items.length === state.items.length ? state : withHistory(state, action, items);
+    }
+
+    // Leaves the cart like REMOVE, but the line lives on elsewhere (e.g.
+    // saved for later), so it isn't reported as `lastRemoved`
+    case 'MOVE_OUT': {
+      const items = state.items.filter(item => getSku(item) !== action.id);
+      return items.length === state.items.length ? state : withHistory(state, action, items);
+    }
+
+    case 'SET_QTY':
+      if (action.quantity <= 0) {
+        return cartReducer(state, { type: 'REMOVE', id: action.id });
+      }
+      return withHistory(state, action, setQuantity(state.items, action.id, action.quantity, action.max ?? Infinity));
+
+    case 'CLEAR':
+      return state.items.length === 0 ? state : withHistory(state, action, []);
+
+    // Wholesale replacement from storage, another tab or reconciliation;
+    // older snapshots may no longer be valid, so history starts over
+    case 'RESTORE':
+      return { items: action.items, history: [] };
+
+    // The same lines refreshed from the catalog. Unlike RESTORE the history
+    // is kept, so "Undo remove" survives the next batch of products loading.
+    case 'RECONCILE':
+      return sameLines(state.items, action.items) ? state : { ...state, items: action.items };
+
+    case 'UNDO': {
+      if (state.history.length === 0) return state;
+      const previous = state.history[state.history.length - 1];
+      return { items: previous.items, history: state.history.slice(0, -1) };
+    }
+
+    default:
+      throw new Error(`Unknown cart action: ${action.type}`);
+  }
+};
+
+const CartContext = createContext(null);
+
+export const CartProvider = ({ children, initialItems, persist = true }) => {
+  const [state, dispatch] = useReducer(cartReducer, initialCartState, initial => ({
+    ...initial,
+    items: initialItems ?? (persist ? readSavedCart() : [])
+  }));
+
+  useEffect(() => {
+    if (persist) {
+      writeSavedCart(state.items);
+    }
+  }, [state.items, persist]);
+
+  useEffect(() => {
+    if (!persist) return undefined;
+    return subscribeToSavedCart(items => dispatch({ type: 'RESTORE', items }));
+  }, [persist]);
+
+  // Lines are addressed by SKU (see getSku), as `id` for lines without variants
+  const value = useMemo(() => {
+    const lastAction = state.history[state.history.length - 1];
+
+    return {
+      cart: state.items,
+      // The line removed by the latest action, if that action was a removal
+      lastRemoved: lastAction && lastAction.type === 'REMOVE'
+        ? lastAction.items.find(item => getSku(item) === lastAction.id)
+        : null,
+      canUndo: state.history.length > 0,
+      addItem: (product, quantity = 1) => dispatch({ type: 'ADD', product, quantity }),
+      removeItem: (id) => dispatch({ type: 'REMOVE', id }),
+      moveOut: (id) => dispatch({ type: 'MOVE_OUT', id }),
+      setQuantity: (id, quantity, max) => dispatch({ type: 'SET_QTY', id, quantity, max }),
+      clear: () => dispatch({ type: 'CLEAR' }),
+      restore: (items) => dispatch({ type: 'RESTORE', items }),
+      reconcile: (items) => dispatch({ type: 'RECONCILE', items }),
+      undo: () => dispatch({ type: 'UNDO' })
+    };
+  }, [state]);
+
+  return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
+};
+
+export const useCart = () => {
+  const context = useContext(CartContext);
+  if (!context) {
+    throw new Error('useCart must be used inside a CartProvider');
+  }
+  return context;
+};
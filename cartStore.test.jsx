@@ -0,0 +1,186 @@
+import React from 'react';
+import { act, render, renderHook } from '@testing-library/react';
+import { cartReducer, initialCartState, CartProvider, useCart } from './cartStore';
+
+const shirt = { id: 1, title: 'Shirt', price: 20, stock: 3 };
+const mug = { id: 2, title: 'Mug', price: 8, stock: null };
+const shirtM = { ...shirt, sku: '1-M', selectedOptions: { Size: 'M' }, stock: 2 };
+
+const run = (actions, state = initialCartState) => actions.reduce(cartReducer, state);
+
+describe('cartReducer', () => {
+  describe('ADD', () => {
+    it('adds a new line with the given quantity', () => {
+      const state = run([{ type: 'ADD', product: mug, quantity: 2 }]);
+      expect(state.items).toEqual([{ ...mug, quantity: 2 }]);
+    });
+
+    it('defaults to one unit and increments an existing line', () => {
+      const state = run([{ type: 'ADD', product: mug }, { type: 'ADD', product: mug }]);
+      expect(state.items).toEqual([{ ...mug, quantity: 2 }]);
+    });
+
+    it('clamps the quantity to the stock', () => {
+      const state = run([{ type: 'ADD', product: shirt, quantity: 2 }, { type: 'ADD', product: shirt, quantity: 5 }]);
+      expect(state.items[0].quantity).toBe(3);
+    });
+
+    it('leaves the state alone when nothing more can be added', () => {
+      const full = run([{ type: 'ADD', product: shirt, quantity: 3 }]);
+      expect(cartReducer(full, { type: 'ADD', product: shirt })).toBe(full);
+
+      const soldOut = { ...mug, id: 3, stock: 0 };
+      expect(cartReducer(initialCartState, { type: 'ADD', product: soldOut })).toBe(initialCartState);
+    });
+
+    it('keeps each variant on its own line, clamped to its own stock', () => {
+      const state = run([
+        { type: 'ADD', product: shirt },
+        { type: 'ADD', product: shirtM, quantity: 5 }
+      ]);
+      expect(state.items.map(item => [item.sku ?? item.id, item.quantity])).toEqual([[1, 1], ['1-M', 2]]);
+    });
+  });
+
+  describe('REMOVE', () => {
+    it('removes the line with the given SKU', () => {
+      const state = run([
+        { type: 'ADD', product: shirt },
+        { type: 'ADD', product: shirtM },
+        { type: 'REMOVE', id: '1-M' }
+      ]);
+      expect(state.items).toEqual([{ ...shirt, quantity: 1 }]);
+    });
+
+    it('ignores unknown lines', () => {
+      const state = run([{ type: 'ADD', product: mug }]);
+      expect(cartReducer(state, { type: 'REMOVE', id: 99 })).toBe(state);
+    });
+  });
+
+  describe('SET_QTY', () => {
+    const withMug = run([{ type: 'ADD', product: mug }]);
+
+    it('sets the quantity of a line', () => {
+      expect(cartReducer(withMug, { type: 'SET_QTY', id: 2, quantity: 4 }).items[0].quantity).toBe(4);
+    });
+
+    it('removes the line at zero', () => {
+      expect(cartReducer(withMug, { type: 'SET_QTY', id: 2, quantity: 0 }).items).toEqual([]);
+    });
+
+    it('ignores quantities over the given max', () => {
+      expect(cartReducer(withMug, { type: 'SET_QTY', id: 2, quantity: 4, max: 3 })).toBe(withMug);
+    });
+
+    it('ignores unchanged quantities and unknown lines', () => {
+      expect(cartReducer(withMug, { type: 'SET_QTY', id: 2, quantity: 1 })).toBe(withMug);
+      expect(cartReducer(withMug, { type: 'SET_QTY', id: 99, quantity: 2 })).toBe(withMug);
+    });
+  });
+
+  describe('CLEAR', () => {
+    it('empties the cart', () => {
+      const state = run([{ type: 'ADD', product: mug }, { type: 'CLEAR' }]);
+      expect(state.items).toEqual([]);
+      expect(state.history).toHaveLength(2);
+    });
+
+    it('does nothing on an empty cart', () => {
+      expect(cartReducer(initialCartState, { type: 'CLEAR' })).toBe(initialCartState);
+    });
+  });
+
+  describe('RESTORE', () => {
+    it('replaces the items and starts the history over', () => {
+      const items = [{ ...shirt, quantity: 2 }];
+      const state = run([{ type: 'ADD', product: mug }, { type: 'RESTORE', items }]);
+      expect(state).toEqual({ items, history: [] });
+    });
+  });
+
+  describe('RECONCILE', () => {
+    const state = run([{ type: 'ADD', product: mug }, { type: 'ADD', product: shirt }, { type: 'REMOVE', id: 1 }]);
+
+    it('updates the lines and keeps the history', () => {
+      const items = [{ ...mug, price: 9, quantity: 1 }];
+      const next = cartReducer(state, { type: 'RECONCILE', items });
+      expect(next.items).toEqual(items);
+      expect(next.history).toBe(state.history);
+      expect(cartReducer(next, { type: 'UNDO' }).items.map(item => item.id)).toEqual([2, 1]);
+    });
+
+    it('leaves the state alone when no line changed', () => {
+      expect(cartReducer(state, { type: 'RECONCILE', items: [{ ...state.items[0] }] })).toBe(state);
+    });
+  });
+
+  describe('UNDO', () => {
+    it('steps back through the history', () => {
+      const state = run([
+        { type: 'ADD', product: mug },
+        { type: 'ADD', product: shirt },
+        { type: 'REMOVE', id: 1 },
+        { type: 'UNDO' }
+      ]);
+      expect(state.items.map(item => item.id)).toEqual([2, 1]);
+      expect(run([{ type: 'UNDO' }, { type: 'UNDO' }], state).items).toEqual([]);
+    });
+
+    it('does nothing without history', () => {
+      expect(cartReducer(initialCartState, { type: 'UNDO' })).toBe(initialCartState);
+    });
+
+    it('keeps at most 20 steps', () => {
+      const adds = Array.from({ length: 25 }, () => ({ type: 'ADD', product: mug }));
+      expect(run(adds).history).toHaveLength(20);
+    });
+  });
+
+  it('throws on unknown actions', () => {
+    expect(() => cartReducer(initialCartState, { type: 'NOPE' })).toThrow('Unknown cart action: NOPE');
+  });
+});
+
+describe('useCart', () => {
+  const wrapper = ({ children }) => <CartProvider persist={false}>{children}</CartProvider>;
+
+  it('throws outside a CartProvider', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(() => renderHook(() => useCart())).toThrow('useCart must be used inside a CartProvider');
+    console.error.mockRestore();
+  });
+
+  it('reports the last removed line until it is undone', () => {
+    const { result } = renderHook(() => useCart(), { wrapper });
+
+    act(() => result.current.addItem(mug));
+    act(() => result.current.removeItem(2));
+    expect(result.current.cart).toEqual([]);
+    expect(result.current.lastRemoved).toEqual({ ...mug, quantity: 1 });
+
+    act(() => result.current.undo());
+    expect(result.current.cart).toEqual([{ ...mug, quantity: 1 }]);
+    expect(result.current.lastRemoved).toBeNull();
+  });
+
+  it('does not report lines moved out as removed', () => {
+    const { result } = renderHook(() => useCart(), { wrapper });
+
+    act(() => result.current.addItem(mug));
+    act(() => result.current.moveOut(2));
+    expect(result.current.cart).toEqual([]);
+    expect(result.current.lastRemoved).toBeNull();
+  });
+
+  it('persists the cart when asked to', () => {
+    localStorage.clear();
+    const Add = () => {
+      const { addItem } = useCart();
+      React.useEffect(() => addItem(mug), []);
+      return null;
+    };
+    render(<CartProvider><Add /></CartProvider>);
+    expect(JSON.parse(localStorage.getItem('mini-ecommerce:cart')).items).toEqual([{ ...mug, quantity: 1 }]);
+  });
+});
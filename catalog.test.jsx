@@ -0,0 +1,64 @@
+import React from 'react';
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
+import App from './react';
+import { createMemorySource } from './productSource';
+
+// More products than one catalog batch, the cheapest last
+const products = Array.from({ length: 100 }, (_, i) => ({
+  id: i + 1,
+  title: `P${i + 1}`,
+  price: 200 - (i + 1),
+  description: '',
+  category: i % 2 ? 'electronics' : 'jewelery',
+  image: '',
+  rating: { rate: 4, count: 10 },
+  stock: 5
+}));
+
+const renderCatalog = async (url) => {
+  window.history.pushState(null, '', url);
+  render(<App productSource={createMemorySource(products)} serviceWorkerUrl={null} />);
+  await screen.findAllByRole('button', { name: 'Add to Cart' });
+};
+
+const cardTitles = () => screen.getAllByRole('article').map(card => within(card).getByRole('heading').textContent);
+
+beforeAll(() => {
+  window.scrollTo = () => {};
+});
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('catalog paging', () => {
+  it('sorts the whole catalog, not just the batches loaded so far', async () => {
+    await renderCatalog('/?sort=low-high');
+    expect(screen.getByRole('heading', { name: 'Products (100)' })).toBeTruthy();
+    expect(cardTitles().slice(0, 3)).toEqual(['P100', 'P99', 'P98']);
+  });
+
+  it('filters the whole catalog', async () => {
+    await renderCatalog('/?category=electronics');
+    expect(screen.getByRole('heading', { name: 'Products (50)' })).toBeTruthy();
+  });
+
+  it('only loads the first batch while nothing needs the rest', async () => {
+    await renderCatalog('/');
+    expect(screen.getByRole('heading', { name: 'Products (48+)' })).toBeTruthy();
+    expect(cardTitles()[0]).toBe('P1');
+  });
+
+  it('adds one history entry for a dragged price range', async () => {
+    await renderCatalog('/');
+    const slider = screen.getByLabelText('Minimum price');
+    const min = Number(slider.min);
+    const entries = window.history.length;
+
+    [1, 2, 3, 4].forEach(step => fireEvent.change(slider, { target: { value: min + step } }));
+    await act(() => new Promise(resolve => setTimeout(resolve, 300)));
+
+    expect(window.history.length).toBe(entries + 1);
+    expect(window.location.search).toBe(`?minPrice=${min + 4}&maxPrice=${slider.max}`);
+  });
+});
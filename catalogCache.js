@@ -0,0 +1,13 @@
+import { readJson, writeJson } from './storage';
+
+const CACHE_KEY = 'mini-ecommerce:catalog';
+
+export const readCachedCatalog = () => {
+  const cached = readJson(CACHE_KEY);
+  if (!cached || !Array.isArray(cached.products)) return null;
+  return cached;
+};
+
+export const writeCachedCatalog = (products) => {
+  writeJson(CACHE_KEY, { savedAt: Date.now(), products });
+};
@@ -0,0 +1,83 @@
+import { BASE_CURRENCY, toMinorUnits } from './money';
+import { calculateTotals } from './tax';
+import { applyDiscounts } from './discounts';
+
+// Prices in base-currency minor units; the UI names each method with its
+// `shipping.<id>` and `shipping.<id>.eta` messages
+export const SHIPPING_METHODS = [
+  { id: 'standard', price: 499 },
+  { id: 'express', price: 1499 },
+  { id: 'overnight', price: 2999 }
+];
+
+export const COUNTRIES = ['United States', 'Canada', 'United Kingdom', 'Germany', 'France', 'India', 'Australia'];
+
+export const emptyAddress = {
+  fullName: '',
+  email: '',
+  phone: '',
+  line1: '',
+  line2: '',
+  city: '',
+  region: '',
+  postalCode: '',
+  country: COUNTRIES[0]
+};
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const POSTAL_CODE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 -]{1,8}[A-Za-z0-9]$/;
+const PHONE_PATTERN = /^\+?[0-9 ()-]{7,20}$/;
+
+// Returns a map of field name to message key; empty when the address is valid
+export const validateAddress = (address) => {
+  const errors = {};
+
+  if (!address.fullName.trim()) errors.fullName = 'checkout.error.fullName';
+  if (!EMAIL_PATTERN.test(address.email.trim())) errors.email = 'checkout.error.email';
+  if (address.phone.trim() && !PHONE_PATTERN.test(address.phone.trim())) {
+    errors.phone = 'checkout.error.phone';
+  }
+  if (!address.line1.trim()) errors.line1 = 'checkout.error.line1';
+  if (!address.city.trim()) errors.city = 'checkout.error.city';
+  if (!POSTAL_CODE_PATTERN.test(address.postalCode.trim())) errors.postalCode = 'checkout.error.postalCode';
+  if (!COUNTRIES.includes(address.country)) errors.country = 'checkout.error.country';
+
+  return errors;
+};
+
+export const getShippingMethod = (id) => SHIPPING_METHODS.find(method => method.id === id);
+
+// What a method costs once free-shipping promotions are taken into account
+export const getShippingPrice = (method, discounts) => (
+  discounts.freeShipping.includes(method.id) ? 0 : method.price
+);
+
+export const getOrderTotals = (cart, address, shippingMethodId, couponCodes = []) => {
+  const discounts = applyDiscounts(cart, { codes: couponCodes });
+
+  return {
+    ...calculateTotals(cart, {
+      region: address.country,
+      shipping: getShippingPrice(getShippingMethod(shippingMethodId), discounts),
+      discounts
+    }),
+    discounts: discounts.discounts.map(({ id, code, label, amount }) => ({ id, code, label, amount })),
+    freeShipping: discounts.freeShipping
+  };
+};
+
+// Order amounts are minor units of the base currency, whatever the display currency
+export const buildOrder = (cart, address, shippingMethodId, couponCodes = []) => ({
+  currency: BASE_CURRENCY,
+  items: cart.map(item => ({
+    id: item.id,
+    ...(item.sku && { sku: item.sku, selectedOptions: item.selectedOptions }),
+    title: item.title,
+    price: toMinorUnits(item.price),
+    quantity: item.quantity
+  })),
+  address,
+  shippingMethod: shippingMethodId,
+  couponCodes,
+  ...getOrderTotals(cart, address, shippingMethodId, couponCodes)
+});
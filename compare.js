@@ -0,0 +1,46 @@
+import { isStockTracked } from './inventory';
+
+export const MAX_COMPARE = 4;
+
+// Rows of the comparison table, top to bottom; the UI shows `compare.field.<id>`
+export const COMPARE_FIELDS = ['price', 'category', 'rating', 'reviewCount', 'stock', 'description'];
+
+// Adding past the cap is refused rather than dropping the oldest item
+export const toggleCompare = (items, product) => {
+  if (items.some(item => item.id === product.id)) {
+    return { items: items.filter(item => item.id !== product.id) };
+  }
+  if (items.length >= MAX_COMPARE) {
+    return { items, error: 'compare.full' };
+  }
+  const { quantity, ...snapshot } = product;
+  return { items: [...items, snapshot] };
+};
+
+// The raw value each row compares; `ratings` holds combined ratings by product id
+export const getCompareValue = (product, field, ratings = {}) => {
+  const rating = ratings[product.id] || product.rating;
+  switch (field) {
+    case 'price':
+      return product.price;
+    case 'category':
+      return product.category;
+    // Rounded as displayed, so 4.04 and 4.01 don't count as different
+    case 'rating':
+      return Math.round(rating.rate * 10) / 10;
+    case 'reviewCount':
+      return rating.count;
+    case 'stock':
+      return isStockTracked(product) ? product.stock : null;
+    case 'description':
+      return product.description;
+    default:
+      throw new Error(`Unknown comparison field: ${field}`);
+  }
+};
+
+// A row is highlighted when any two of the compared products disagree on it
+export const fieldDiffers = (products, field, ratings) => {
+  const values = products.map(product => getCompareValue(product, field, ratings));
+  return values.some(value => value !== values[0]);
+};
@@ -0,0 +1,58 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { BASE_CURRENCY, DEFAULT_RATES, convert, formatMoney, toMinorUnits } from './money';
+import { readJson, writeJson } from './storage';
+
+const CURRENCY_KEY = 'mini-ecommerce:currency';
+
+const CurrencyContext = createContext(null);
+
+export const CurrencyProvider = ({ children, rates = DEFAULT_RATES, locale }) => {
+  const [currency, setCurrency] = useState(() => {
+    const saved = readJson(CURRENCY_KEY);
+    return rates[saved] ? saved : BASE_CURRENCY;
+  });
+
+  useEffect(() => {
+    writeJson(CURRENCY_KEY, currency);
+  }, [currency]);
+
+  const value = useMemo(() => {
+    // Amounts are kept in base-currency minor units and converted for display only
+    const format = (minor) => formatMoney(convert(minor, { to: currency, rates }), currency, locale);
+
+    return {
+      currency,
+      currencies: Object.keys(rates),
+      setCurrency,
+      format,
+      formatPrice: (price) => format(toMinorUnits(price))
+    };
+  }, [currency, rates, locale]);
+
+  return <CurrencyContext.Provider value={value}>{children}</CurrencyContext.Provider>;
+};
+
+export const useCurrency = () => {
+  const context = useContext(CurrencyContext);
+  if (!context) {
+    throw new Error('useCurrency must be used inside a CurrencyProvider');
+  }
+  return context;
+};
+
+export const CurrencySwitcher = ({ label = 'Currency', className = '' }) => {
+  const { currency, currencies, setCurrency } = useCurrency();
+
+  return (
+    <select
+      value={currency}
+      onChange={(e) => setCurrency(e.target.value)}
+      aria-label={label}
+      className={`px-2 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent ${className}`}
+    >
+      {currencies.map(code => (
+        <option key={code} value={code}>{code}</option>
+      ))}
+    </select>
+  );
+};
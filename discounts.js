@@ -0,0 +1,224 @@
+import { multiply, sum, toMinorUnits, percentOf } from './money';
+import { getSku } from './variants';
+
+// Promotion labels and coupon problems are message descriptors (`{ key, params }`)
+// for the UI to translate. `amount` and `minSubtotal` params are base-currency
+// minor units and `date` params ISO strings.
+const message = (key, params = {}) => ({ key, params });
+
+// Amounts and thresholds are base-currency minor units. Promotions without a
+// `code` apply automatically; the rest need a coupon typed into the cart.
+// Free shipping covers only the listed `shippingMethods`.
+export const DEFAULT_PROMOTIONS = [
+  {
+    id: 'electronics-sale',
+    type: 'percent',
+    label: message('promotion.categoryPercent', { category: 'electronics', percent: 10 }),
+    percent: 10,
+    category: 'electronics'
+  },
+  {
+    id: 'free-shipping',
+    type: 'free_shipping',
+    label: message('promotion.freeShipping', { minSubtotal: 7500 }),
+    minSubtotal: 7500,
+    shippingMethods: ['standard']
+  },
+  {
+    id: 'save10',
+    code: 'SAVE10',
+    type: 'percent',
+    label: message('promotion.percent', { percent: 10 }),
+    percent: 10
+  },
+  {
+    id: 'take5',
+    code: 'TAKE5',
+    type: 'fixed',
+    label: message('promotion.fixed', { amount: 500, minSubtotal: 2500 }),
+    amount: 500,
+    minSubtotal: 2500
+  },
+  {
+    id: 'shirts-3for2',
+    code: '3FOR2',
+    type: 'buy_x_get_y',
+    label: message('promotion.buyXGetY', { category: "men's clothing", buy: 2, get: 1 }),
+    category: "men's clothing",
+    buy: 2,
+    get: 1
+  },
+  {
+    id: 'spring25',
+    code: 'SPRING25',
+    type: 'percent',
+    label: message('promotion.springSale', { percent: 25 }),
+    percent: 25,
+    endsAt: '2025-06-01T00:00:00Z'
+  }
+];
+
+export const normalizeCode = (code) => code.trim().toUpperCase();
+
+export const findPromotion = (code, promotions = DEFAULT_PROMOTIONS) => {
+  return promotions.find(promotion => promotion.code && promotion.code === normalizeCode(code));
+};
+
+const lineTotal = (item) => multiply(toMinorUnits(item.price), item.quantity);
+
+const eligibleItems = (promotion, items) => {
+  return promotion.category ? items.filter(item => item.category === promotion.category) : items;
+};
+
+// Why a promotion can't be used right now, or null when it can
+const getIneligibility = (promotion, items, now) => {
+  if (promotion.startsAt && now < Date.parse(promotion.startsAt)) {
+    return message('coupon.notActive');
+  }
+  if (promotion.endsAt && now >= Date.parse(promotion.endsAt)) {
+    return message('coupon.expired', { date: promotion.endsAt });
+  }
+
+  const subtotal = sum(items.map(lineTotal));
+  if (promotion.minSubtotal && subtotal < promotion.minSubtotal) {
+    return message('coupon.minSubtotal', { amount: promotion.minSubtotal - subtotal });
+  }
+
+  const eligible = eligibleItems(promotion, items);
+  if (eligible.length === 0) {
+    return message('coupon.category', { category: promotion.category });
+  }
+  if (promotion.type === 'buy_x_get_y') {
+    const units = sum(eligible.map(item => item.quantity));
+    if (units < promotion.buy + promotion.get) {
+      return message('coupon.moreItems', { count: promotion.buy + promotion.get - units });
+    }
+  }
+  return null;
+};
+
+// Check a code typed by the customer before adding it to the cart
+export const validateCoupon = (code, items, { promotions = DEFAULT_PROMOTIONS, appliedCodes = [], now = Date.now() } = {}) => {
+  if (!code.trim()) {
+    return { error: message('coupon.empty') };
+  }
+  const promotion = findPromotion(code, promotions);
+  if (!promotion) {
+    return { error: message('coupon.invalid', { code: normalizeCode(code) }) };
+  }
+  if (appliedCodes.includes(promotion.code)) {
+    return { error: message('coupon.alreadyApplied', { code: promotion.code }) };
+  }
+  const reason = getIneligibility(promotion, items, now);
+  return reason ? { error: reason } : { promotion };
+};
+
+// Spread an amount over lines in proportion to their totals; the last line
+// takes the rounding remainder so allocations always add up exactly
+const allocate = (amount, lines) => {
+  const base = sum(lines.map(line => line.remaining));
+  const allocations = {};
+  if (base === 0) return allocations;
+  let left = amount;
+
+  lines.forEach((line, index) => {
+    const share = index === lines.length - 1
+      ? left
+      : Math.min(Math.round(amount * line.remaining / base), left);
+    allocations[line.id] = share;
+    left -= share;
+  });
+  return allocations;
+};
+
+// Discount per line for buy-X-get-Y: in every group of buy + get units,
+// the cheapest `get` units are free (or `percent` off)
+const buyXGetYAllocations = (promotion, lines) => {
+  const units = lines
+    .flatMap(line => Array.from({ length: line.quantity }, () => ({ id: line.id, price: line.unitPrice })))
+    .sort((a, b) => b.price - a.price);
+
+  const groupSize = promotion.buy + promotion.get;
+  const allocations = {};
+  for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+    units.slice(start + promotion.buy, start + groupSize).forEach(unit => {
+      allocations[unit.id] = (allocations[unit.id] || 0) + percentOf(unit.price, (promotion.percent ?? 100) / 100);
+    });
+  }
+  return allocations;
+};
+
+// Work out every applicable discount for the cart. Line-level promotions
+// (category sales, buy-X-get-Y) go first, order-level ones apply to what's left.
+export const applyDiscounts = (items, { codes = [], promotions = DEFAULT_PROMOTIONS, now = Date.now() } = {}) => {
+  // Keyed by SKU, so variants of one product are allocated separately
+  const lines = items.map(item => ({
+    id: getSku(item),
+    category: item.category,
+    quantity: item.quantity,
+    unitPrice: toMinorUnits(item.price),
+    total: lineTotal(item),
+    remaining: lineTotal(item)
+  }));
+
+  const active = promotions.filter(promotion => !promotion.code || codes.includes(promotion.code));
+  const ordered = [
+    ...active.filter(promotion => promotion.category || promotion.type === 'buy_x_get_y'),
+    ...active.filter(promotion => !promotion.category && promotion.type !== 'buy_x_get_y')
+  ];
+
+  const discounts = [];
+  const rejected = [];
+  const freeShipping = [];
+
+  ordered.forEach(promotion => {
+    const reason = getIneligibility(promotion, items, now);
+    if (reason) {
+      if (promotion.code) rejected.push({ code: promotion.code, reason });
+      return;
+    }
+
+    if (promotion.type === 'free_shipping') {
+      const methods = promotion.shippingMethods || [];
+      freeShipping.push(...methods.filter(method => !freeShipping.includes(method)));
+      discounts.push({ id: promotion.id, code: promotion.code, label: promotion.label, amount: 0, allocations: {}, freeShipping: methods });
+      return;
+    }
+
+    const scoped = lines.filter(line => !promotion.category || line.category === promotion.category);
+    const scopedTotal = sum(scoped.map(line => line.remaining));
+    let allocations;
+
+    if (promotion.type === 'buy_x_get_y') {
+      allocations = buyXGetYAllocations(promotion, scoped);
+    } else if (promotion.type === 'percent') {
+      allocations = allocate(percentOf(scopedTotal, promotion.percent / 100), scoped);
+    } else if (promotion.type === 'fixed') {
+      allocations = allocate(Math.min(promotion.amount, scopedTotal), scoped);
+    } else {
+      return;
+    }
+
+    // Never discount a line below zero
+    lines.forEach(line => {
+      const share = Math.min(allocations[line.id] || 0, line.remaining);
+      allocations[line.id] = share;
+      line.remaining -= share;
+    });
+
+    const amount = sum(Object.values(allocations));
+    if (amount > 0) {
+      discounts.push({ id: promotion.id, code: promotion.code, label: promotion.label, amount, allocations });
+    }
+  });
+
+  return {
+    discounts,
+    rejected,
+    // Ids of the shipping methods that cost nothing
+    freeShipping,
+    total: sum(discounts.map(discount => discount.amount)),
+    // Discount carried by each line, used for tax on the discounted price
+    byLine: Object.fromEntries(lines.map(line => [line.id, line.total - line.remaining]))
+  };
+};
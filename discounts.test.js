@@ -0,0 +1,32 @@
+import { applyDiscounts } from './discounts';
+import { emptyAddress, getOrderTotals, getShippingMethod, getShippingPrice } from './checkoutModel';
+
+const monitor = { id: 5, category: 'electronics', price: 100, quantity: 1 };
+
+describe('applyDiscounts', () => {
+  it('labels promotions with message descriptors in minor units', () => {
+    const { discounts } = applyDiscounts([monitor], { codes: ['TAKE5'] });
+    expect(discounts.map(discount => discount.label)).toEqual([
+      { key: 'promotion.categoryPercent', params: { category: 'electronics', percent: 10 } },
+      { key: 'promotion.freeShipping', params: { minSubtotal: 7500 } },
+      { key: 'promotion.fixed', params: { amount: 500, minSubtotal: 2500 } }
+    ]);
+  });
+
+  it('makes only the standard method free', () => {
+    const discounts = applyDiscounts([monitor]);
+    expect(discounts.freeShipping).toEqual(['standard']);
+    expect(getShippingPrice(getShippingMethod('standard'), discounts)).toBe(0);
+    expect(getShippingPrice(getShippingMethod('overnight'), discounts)).toBe(2999);
+  });
+
+  it('charges overnight shipping in the order totals', () => {
+    const address = { ...emptyAddress, country: 'Germany' };
+    expect(getOrderTotals([monitor], address, 'standard').shipping).toBe(0);
+    expect(getOrderTotals([monitor], address, 'overnight').shipping).toBe(2999);
+  });
+
+  it('leaves shipping alone under the threshold', () => {
+    expect(applyDiscounts([{ ...monitor, price: 20 }]).freeShipping).toEqual([]);
+  });
+});
@@ -0,0 +1,82 @@
+import { isStockTracked } from './inventory';
+
+export const RATING_OPTIONS = [4, 3, 2, 1];
+
+// `priceRange` is null while the full catalog range is selected
+export const initialFilters = {
+  categories: [],
+  priceRange: null,
+  minRating: 0,
+  inStockOnly: false
+};
+
+export const isInStock = (product) => !isStockTracked(product) || product.stock > 0;
+
+// Each stage turns one facet's value into a predicate, or null when inactive.
+// Add a stage here to add a facet; counting and clearing pick it up.
+const FILTER_STAGES = [
+  {
+    key: 'categories',
+    build: (categories) => categories.length > 0
+      ? (product) => categories.includes(product.category)
+      : null
+  },
+  {
+    key: 'priceRange',
+    build: (range) => range
+      ? (product) => product.price >= range.min && product.price <= range.max
+      : null
+  },
+  {
+    key: 'minRating',
+    build: (minRating) => minRating > 0
+      ? (product) => product.rating.rate >= minRating
+      : null
+  },
+  {
+    key: 'inStockOnly',
+    build: (inStockOnly) => inStockOnly ? isInStock : null
+  }
+];
+
+// Filter by every active facet, optionally leaving one out (for its counts)
+export const applyFacetFilters = (products, filters, { except } = {}) => {
+  const predicates = FILTER_STAGES
+    .filter(stage => stage.key !== except)
+    .map(stage => stage.build(filters[stage.key]))
+    .filter(Boolean);
+
+  return products.filter(product => predicates.every(predicate => predicate(product)));
+};
+
+export const countActiveFilters = (filters) => {
+  return FILTER_STAGES.filter(stage => stage.build(filters[stage.key])).length;
+};
+
+export const getPriceBounds = (products) => {
+  if (products.length === 0) return { min: 0, max: 0 };
+  const prices = products.map(product => product.price);
+  return { min: Math.floor(Math.min(...prices)), max: Math.ceil(Math.max(...prices)) };
+};
+
+// Counts show how many results each option would give with the other facets
+// unchanged, so picking an option never leads to an unexpected empty grid
+export const getFacetCounts = (products, filters) => {
+  const byCategory = applyFacetFilters(products, filters, { except: 'categories' });
+  const byRating = applyFacetFilters(products, filters, { except: 'minRating' });
+  const byStock = applyFacetFilters(products, filters, { except: 'inStockOnly' });
+
+  const categories = {};
+  byCategory.forEach(product => {
+    categories[product.category] = (categories[product.category] || 0) + 1;
+  });
+
+  return {
+    categories,
+    ratings: Object.fromEntries(RATING_OPTIONS.map(rating => [
+      rating,
+      byRating.filter(product => product.rating.rate >= rating).length
+    ])),
+    inStock: byStock.filter(isInStock).length
+  };
+};
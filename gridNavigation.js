@@ -0,0 +1,50 @@
+const GRID_KEYS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End'];
+
+// Cards sharing the first card's top edge make up one row
+const countColumns = (cards) => {
+  const firstTop = cards[0].offsetTop;
+  return cards.filter(card => card.offsetTop === firstTop).length || 1;
+};
+
+export const focusCard = (card) => {
+  const focusTarget = card.querySelector('[data-card-focus]') || card;
+  focusTarget.focus();
+};
+
+// keydown handler for a product grid: arrow keys, Home and End move focus
+// between `[data-product-card]` elements via their `[data-card-focus]` target.
+// A virtualized grid mounts only some of its cards: it passes the list
+// position of the first mounted card (`offset`), the list length (`total`),
+// its `columns`, and `scrollToIndex` to bring an unmounted card into view.
+export const handleGridKeyDown = (e, { offset = 0, total, columns, scrollToIndex } = {}) => {
+  if (!GRID_KEYS.includes(e.key) || e.altKey || e.ctrlKey || e.metaKey) return;
+  if (e.target.matches('input, select, textarea')) return;
+
+  const card = e.target.closest('[data-product-card]');
+  if (!card) return;
+
+  const cards = [...card.parentElement.children].filter(el => el.hasAttribute('data-product-card'));
+  const count = total ?? cards.length;
+  const index = offset + cards.indexOf(card);
+  const rowLength = columns ?? countColumns(cards);
+  const targets = {
+    ArrowLeft: index - 1,
+    ArrowRight: index + 1,
+    ArrowUp: index - rowLength,
+    ArrowDown: index + rowLength,
+    Home: 0,
+    End: count - 1
+  };
+
+  const targetIndex = targets[e.key];
+  if (targetIndex < 0 || targetIndex >= count) return;
+  const target = cards[targetIndex - offset];
+  if (!target && !scrollToIndex) return;
+
+  e.preventDefault();
+  if (target) {
+    focusCard(target);
+  } else {
+    scrollToIndex(targetIndex);
+  }
+};
@@ -0,0 +1,131 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { readJson, writeJson } from './storage';
+import en from './messages.en';
+import es from './messages.es';
+import ar from './messages.ar';
+
+const LOCALE_KEY = 'mini-ecommerce:locale';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = {
+  en: { label: 'English', dir: 'ltr', messages: en },
+  es: { label: 'Español', dir: 'ltr', messages: es },
+  ar: { label: 'العربية', dir: 'rtl', messages: ar }
+};
+
+export const isSupportedLocale = (locale) => Object.prototype.hasOwnProperty.call(LOCALES, locale);
+
+// Saved choice first, then the browser's languages by their primary subtag
+const detectLocale = () => {
+  const saved = readJson(LOCALE_KEY);
+  if (isSupportedLocale(saved)) return saved;
+
+  const preferred = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+  const match = preferred
+    .filter(Boolean)
+    .map(tag => tag.split('-')[0].toLowerCase())
+    .find(isSupportedLocale);
+  return match || DEFAULT_LOCALE;
+};
+
+const pluralRules = new Map();
+
+const selectPlural = (locale, forms, count) => {
+  if (!pluralRules.has(locale)) {
+    pluralRules.set(locale, new Intl.PluralRules(locale));
+  }
+  const category = pluralRules.get(locale).select(count ?? 0);
+  return forms[category] ?? forms.other;
+};
+
+export const formatNumber = (locale, value, options) => new Intl.NumberFormat(locale, options).format(value);
+
+// `{name}` placeholders; numbers are formatted for the locale
+const interpolate = (locale, template, params) => template.replace(/\{(\w+)\}/g, (match, name) => {
+  if (!(name in params)) return match;
+  const value = params[name];
+  return typeof value === 'number' ? formatNumber(locale, value) : String(value);
+});
+
+export const hasMessage = (locale, key) => key in (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).messages
+  || key in LOCALES[DEFAULT_LOCALE].messages;
+
+// Messages missing from a catalog fall back to English, then to the key.
+// A message may be an object of plural forms chosen by `params.count`.
+export const translate = (locale, key, params = {}) => {
+  const catalog = (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).messages;
+  const message = catalog[key] ?? LOCALES[DEFAULT_LOCALE].messages[key];
+  if (message === undefined) return key;
+
+  const template = typeof message === 'object' ? selectPlural(locale, message, params.count) : message;
+  return interpolate(locale, template, params);
+};
+
+const titleCase = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const I18nContext = createContext(null);
+
+export const I18nProvider = ({ children, locale: initialLocale }) => {
+  const [locale, setLocale] = useState(() => (isSupportedLocale(initialLocale) ? initialLocale : detectLocale()));
+  const { dir } = LOCALES[locale];
+
+  useEffect(() => {
+    writeJson(LOCALE_KEY, locale);
+  }, [locale]);
+
+  // The document follows the language so lang-aware fonts and RTL layout apply
+  useEffect(() => {
+    if (typeof document === 'undefined') return;
+    document.documentElement.lang = locale;
+    document.documentElement.dir = dir;
+  }, [locale, dir]);
+
+  const value = useMemo(() => {
+    const t = (key, params) => translate(locale, key, params);
+
+    return {
+      locale,
+      dir,
+      locales: Object.keys(LOCALES),
+      setLocale,
+      t,
+      formatNumber: (number, options) => formatNumber(locale, number, options),
+      formatDate: (date, options = { dateStyle: 'medium', timeStyle: 'short' }) => (
+        new Intl.DateTimeFormat(locale, options).format(new Date(date))
+      ),
+      // Categories come from the catalog, so unknown ones are shown as-is
+      categoryName: (category) => {
+        const key = `category.${category}`;
+        return hasMessage(locale, key) ? t(key) : titleCase(category);
+      }
+    };
+  }, [locale, dir]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useI18n must be used inside an I18nProvider');
+  }
+  return context;
+};
+
+export const LanguageSwitcher = ({ className = '' }) => {
+  const { locale, locales, setLocale, t } = useI18n();
+
+  return (
+    <select
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      aria-label={t('language.label')}
+      className={`px-2 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent ${className}`}
+    >
+      {locales.map(code => (
+        <option key={code} value={code} lang={code}>{LOCALES[code].label}</option>
+      ))}
+    </select>
+  );
+};
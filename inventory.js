@@ -0,0 +1,53 @@
+import { getSku } from './variants';
+
+export const LOW_STOCK_THRESHOLD = 5;
+
+// Sources that don't report inventory leave stock null, meaning "not tracked"
+export const isStockTracked = (product) => Number.isFinite(product.stock);
+
+// Units of a SKU already held in the cart
+export const getReserved = (cart, sku) => {
+  const line = cart.find(item => getSku(item) === sku);
+  return line ? line.quantity : 0;
+};
+
+// Most units a single cart may hold
+export const getMaxQuantity = (product) => {
+  return isStockTracked(product) ? Math.max(product.stock, 0) : Infinity;
+};
+
+// Units still free to add once the cart's reservation is taken out
+export const getAvailable = (product, cart) => {
+  return Math.max(getMaxQuantity(product) - getReserved(cart, getSku(product)), 0);
+};
+
+export const getLowStockThreshold = (product) => {
+  return product.lowStockThreshold ?? LOW_STOCK_THRESHOLD;
+};
+
+// `status` picks the `stock.<status>` message; `count` fills it in where needed
+export const getStockState = (product, cart) => {
+  if (!isStockTracked(product)) {
+    return { status: 'in' };
+  }
+  if (product.stock <= 0) {
+    return { status: 'out' };
+  }
+
+  const available = getAvailable(product, cart);
+  if (available === 0) {
+    return { status: 'reserved', count: product.stock };
+  }
+  if (available <= getLowStockThreshold(product)) {
+    return { status: 'low', count: available };
+  }
+  return { status: 'in' };
+};
+
+// Text colour for each stock status; all meet AA contrast on white
+export const STOCK_STATUS_CLASSES = {
+  in: 'text-green-700',
+  low: 'text-amber-700',
+  reserved: 'text-amber-700',
+  out: 'text-red-600'
+};
@@ -0,0 +1,462 @@
+export default {
+  'app.title': 'ميني إي-كومرس',
+  'app.skipToContent': 'انتقل إلى المحتوى',
+  'language.label': 'اللغة',
+  'currency.label': 'العملة',
+
+  'header.account': 'حسابك، {name}',
+  'header.signIn': 'تسجيل الدخول',
+  'header.wishlist': {
+    zero: 'المفضلة، لا توجد عناصر',
+    one: 'المفضلة، عنصر واحد',
+    two: 'المفضلة، عنصران',
+    few: 'المفضلة، {count} عناصر',
+    many: 'المفضلة، {count} عنصرًا',
+    other: 'المفضلة، {count} عنصر'
+  },
+  'header.cartItems': {
+    zero: 'لا عناصر',
+    one: 'عنصر واحد',
+    two: 'عنصران',
+    few: '{count} عناصر',
+    many: '{count} عنصرًا',
+    other: '{count} عنصر'
+  },
+
+  'catalog.loading': 'جارٍ تحميل المنتجات...',
+  'catalog.loadErrorTitle': 'تعذّر تحميل الكتالوج',
+  'catalog.loadError.offline': 'يبدو أنك غير متصل. أعد الاتصال وحاول مجددًا.',
+  'catalog.loadError.status': 'ردّ خادم المتجر بخطأ ({status}).',
+  'catalog.loadError.invalid': 'أرسل خادم المتجر ردًا تعذّرت قراءته.',
+  'catalog.loadError.network': 'تعذّر الوصول إلى المتجر. تحقّق من اتصالك وحاول مجددًا.',
+  'catalog.retrying': 'إعادة المحاولة تلقائيًا (المحاولة {attempt} من {max})...',
+  'catalog.tryAgain': 'حاول مرة أخرى',
+  'catalog.filtersTitle': 'التصفية والبحث',
+  'catalog.searchLabel': 'ابحث في المنتجات',
+  'catalog.searchPlaceholder': 'ابحث بالاسم أو الفئة أو الوصف...',
+  'catalog.sortLabel': 'ترتيب حسب',
+  'catalog.clearFilters': 'مسح كل عوامل التصفية',
+  'catalog.stale': 'الكتالوج المباشر غير متاح. نعرض المنتجات المحفوظة في {date}.',
+  'catalog.staleRetrying': 'الكتالوج المباشر غير متاح. نعرض المنتجات المحفوظة في {date} (إعادة المحاولة، المحاولة {attempt} من {max}).',
+  'catalog.retry': 'إعادة المحاولة',
+  'catalog.products': 'المنتجات ({count})',
+  'catalog.productsMore': 'المنتجات ({count}+)',
+  'catalog.gridHelp': 'استخدم مفاتيح الأسهم للتنقل بين المنتجات.',
+  'catalog.show': 'عرض',
+  'catalog.perPage': 'في كل صفحة',
+  'catalog.browsingMode': 'طريقة التصفح',
+  'catalog.modePages': 'صفحات',
+  'catalog.modeInfinite': 'تمرير متواصل',
+  'catalog.loadingMore': 'جارٍ تحميل المزيد من المنتجات...',
+  'catalog.noProducts': 'لم يتم العثور على منتجات',
+  'catalog.showing': 'عرض {start}–{end} من {total}',
+  'catalog.showingMore': 'عرض {start}–{end} من {total}+',
+  'catalog.loadMoreError': 'تعذّر تحميل المزيد من المنتجات.',
+
+  'product.addToCart': 'أضف إلى السلة',
+  'product.addToWishlist': 'أضف {title} إلى المفضلة',
+  'product.removeFromWishlist': 'أزل {title} من المفضلة',
+  'product.loading': 'جارٍ تحميل المنتج...',
+  'product.notFound': 'لم يتم العثور على هذا المنتج.',
+  'product.loadError': 'تعذّر تحميل هذا المنتج.',
+  'product.quantity': 'الكمية',
+  'product.decrease': 'إنقاص الكمية',
+  'product.increase': 'زيادة الكمية',
+  'product.rating': 'التقييم {rate} من 5',
+
+  'stock.in': 'متوفر',
+  'stock.out': 'نفد من المخزون',
+  'stock.low': {
+    one: 'بقيت قطعة واحدة فقط',
+    two: 'بقيت قطعتان فقط',
+    few: 'بقيت {count} قطع فقط',
+    many: 'بقيت {count} قطعة فقط',
+    other: 'بقيت {count} قطعة فقط'
+  },
+  'stock.reserved': {
+    one: 'القطعة الوحيدة في سلتك',
+    two: 'القطعتان في سلتك',
+    few: 'كل القطع الـ{count} في سلتك',
+    many: 'كل القطع الـ{count} في سلتك',
+    other: 'كل القطع الـ{count} في سلتك'
+  },
+
+  'announce.added': 'تمت إضافة {title} إلى سلتك.',
+  'announce.addedMany': 'تمت إضافة {quantity} × {title} إلى سلتك.',
+  'announce.cartCount': {
+    zero: 'السلة فارغة.',
+    one: 'عنصر واحد في السلة.',
+    two: 'عنصران في السلة.',
+    few: '{count} عناصر في السلة.',
+    many: '{count} عنصرًا في السلة.',
+    other: '{count} عنصر في السلة.'
+  },
+  'announce.outOfStock': 'نفد {title} من المخزون.',
+  'announce.limit': 'المتوفر من {title} هو {max} فقط. سلتك تحتوي على الحد الأقصى.',
+  'announce.quantity': 'كمية {title}: {quantity}.',
+
+  'toast.added': 'تمت إضافة {title} إلى سلتك',
+  'toast.addedMany': 'تمت إضافة {quantity} × {title} إلى سلتك',
+  'toast.viewCart': 'عرض السلة',
+  'toast.dismiss': 'إغلاق الإشعار',
+
+  'cart.title': 'سلة التسوق',
+  'cart.removed': 'تمت إزالة {title} من سلتك.',
+  'cart.undo': 'تراجع عن الإزالة',
+  'cart.dismissNotices': 'إغلاق تحديثات السلة',
+  'cart.empty': 'السلة فارغة',
+  'cart.itemsLabel': 'العناصر في سلتك',
+  'cart.max': '(الحد الأقصى: {max})',
+  'cart.saveForLater': 'احفظ لوقت لاحق',
+  'cart.remove': 'أزل {title} من السلة',
+  'cart.promoCode': 'رمز الخصم',
+  'cart.apply': 'تطبيق',
+  'cart.removeCode': 'أزل الرمز {code}',
+  'cart.totalItems': 'إجمالي العناصر:',
+  'cart.subtotal': 'المجموع الفرعي:',
+  'cart.appliedAtCheckout': 'يُطبّق عند الدفع',
+  'cart.estimatedTax': 'الضريبة التقديرية ({region}):',
+  'cart.total': 'السعر الإجمالي:',
+  'cart.checkout': 'المتابعة إلى الدفع',
+  'cart.savedForLater': 'محفوظ لوقت لاحق ({count})',
+  'cart.moveToCart': 'انقل إلى السلة',
+
+  'cartChange.removed': '{title} لم يعد متوفرًا وتمت إزالته من سلتك.',
+  'cartChange.removedUnknown': 'أحد العناصر لم يعد متوفرًا وتمت إزالته من سلتك.',
+  'cartChange.clamped': 'المتوفر من {title} هو {to} فقط، لذا تغيرت الكمية من {from}.',
+  'cartChange.price': 'تغيّر سعر {title} من {from} إلى {to}.',
+
+  'coupon.empty': 'أدخل رمز الخصم.',
+  'coupon.invalid': '{code} ليس رمزًا صالحًا.',
+  'coupon.alreadyApplied': 'الرمز {code} مطبّق بالفعل.',
+  'coupon.notActive': 'هذا الرمز غير مفعّل بعد.',
+  'coupon.expired': 'انتهت صلاحية هذا الرمز في {date}.',
+  'coupon.minSubtotal': 'أضف {amount} أخرى لاستخدام هذا الرمز.',
+  'coupon.category': 'هذا الرمز يسري على {category} فقط.',
+  'coupon.moreItems': {
+    one: 'أضف عنصرًا مؤهلًا واحدًا آخر لاستخدام هذا الرمز.',
+    two: 'أضف عنصرين مؤهلين آخرين لاستخدام هذا الرمز.',
+    few: 'أضف {count} عناصر مؤهلة أخرى لاستخدام هذا الرمز.',
+    many: 'أضف {count} عنصرًا مؤهلًا آخر لاستخدام هذا الرمز.',
+    other: 'أضف {count} عنصر مؤهل آخر لاستخدام هذا الرمز.'
+  },
+
+  'wishlist.title': 'المفضلة',
+  'wishlist.empty': 'اضغط على القلب في أي منتج للاحتفاظ به هنا.',
+
+  'saved.notify': 'أعلمني عند توفره',
+  'saved.notifying': 'سنعلمك عند توفره مجددًا',
+  'saved.backInStock': 'متوفر مجددًا',
+  'saved.remove': 'أزل {title}',
+
+  'drawer.title': 'سلتك',
+  'drawer.close': 'إغلاق السلة',
+  'drawer.subtotal': 'المجموع الفرعي',
+  'drawer.note': 'تُحتسب الخصومات والشحن والضريبة عند الدفع.',
+  'drawer.checkout': 'الدفع',
+  'drawer.viewCart': 'عرض السلة كاملة',
+
+  'quantity.label': 'كمية {label}',
+  'quantity.decrease': 'إنقاص كمية {label}',
+  'quantity.increase': 'زيادة كمية {label}',
+  'quantity.remove': 'أزل {label}',
+
+  'filters.category': 'الفئة',
+  'filters.price': 'السعر',
+  'filters.minPrice': 'أدنى سعر',
+  'filters.maxPrice': 'أعلى سعر',
+  'filters.rating': 'تقييم العملاء',
+  'filters.anyRating': 'أي تقييم',
+  'filters.andUp': 'فأكثر',
+  'filters.inStockOnly': 'المتوفر فقط',
+
+  'sort.default': 'الافتراضي',
+  'sort.relevance': 'الأكثر صلة',
+  'sort.low-high': 'السعر: من الأقل إلى الأعلى',
+  'sort.high-low': 'السعر: من الأعلى إلى الأقل',
+  'sort.rating': 'تقييم العملاء',
+  'sort.popularity': 'الأكثر مراجعة',
+  'sort.name-asc': 'الاسم: أ → ي',
+  'sort.name-desc': 'الاسم: ي → أ',
+
+  'pagination.label': 'التنقل بين الصفحات',
+  'pagination.previous': 'السابق',
+  'pagination.next': 'التالي',
+  'pagination.loadMore': 'تحميل المزيد',
+  'pagination.loading': 'جارٍ التحميل...',
+
+  'admin.title': 'إدارة المنتجات ({count})',
+  'admin.add': 'إضافة منتج',
+  'admin.import': 'استيراد CSV أو JSON',
+  'admin.importing': 'جارٍ الاستيراد...',
+  'admin.export.csv': 'تصدير CSV',
+  'admin.export.json': 'تصدير JSON',
+  'admin.readOnly': 'مصدر المنتجات هذا للقراءة فقط. يمكن تصدير المنتجات لكن لا يمكن تغييرها.',
+  'admin.loadError': 'تعذّر تحميل المنتجات.',
+  'admin.newProduct': 'منتج جديد',
+  'admin.editProduct': 'تعديل {title}',
+  'admin.deleteProduct': 'حذف {title}',
+  'admin.confirmDelete': 'حذف {title}؟',
+  'admin.cancel': 'إلغاء',
+  'admin.save': 'حفظ المنتج',
+  'admin.saving': 'جارٍ الحفظ...',
+  'admin.saveError': 'تعذّر حفظ المنتج: {message}',
+  'admin.deleteError': 'تعذّر حذف المنتج: {message}',
+  'admin.untracked': 'غير متتبَّع',
+  'admin.stockHint': 'اتركه فارغًا إذا لم يكن المخزون متتبَّعًا.',
+  'admin.stockFromVariants': 'مجموع مخزون متغيرات هذا المنتج. غيّر مخزون كل SKU عبر استيراد JSON.',
+  'admin.field.title': 'العنوان',
+  'admin.field.category': 'الفئة',
+  'admin.field.price': 'السعر (دولار أمريكي)',
+  'admin.field.stock': 'المخزون',
+  'admin.field.image': 'رابط الصورة',
+  'admin.field.description': 'الوصف',
+  'admin.error.title': 'أدخل عنوانًا.',
+  'admin.error.price': 'أدخل سعرًا أكبر من 0 بمنزلتين عشريتين على الأكثر.',
+  'admin.error.category': 'أدخل فئة.',
+  'admin.error.image': 'أدخل رابط http أو https.',
+  'admin.error.stock': 'أدخل عددًا صحيحًا يساوي 0 أو أكثر.',
+  'admin.error.duplicateId': 'هذا المعرّف موجود في سطر سابق من الملف.',
+  'admin.error.variants': 'يحتاج كل متغير إلى SKU فريد وقيمة لكل خيار وسعر ومخزون صالحين.',
+  'admin.error.notFound': 'لم يعد هذا المنتج موجودًا.',
+  'admin.error.exists': 'يوجد منتج بهذا المعرّف بالفعل.',
+  'admin.import.unclosedQuote': 'يحتوي الملف على قيمة بين علامتي اقتباس لم تُغلق.',
+  'admin.import.missingColumns': 'الأعمدة التالية غير موجودة في الملف: {columns}.',
+  'admin.import.invalidJson': 'الملف ليس JSON صالحًا.',
+  'admin.import.notAList': 'يجب أن يحتوي ملف JSON على قائمة منتجات.',
+  'admin.importSummary': 'تم استيراد {created} منتجات جديدة وتحديث {updated}.',
+  'admin.importFailed': {
+    zero: 'لم يُستورد أي صف:',
+    one: 'لم يُستورد صف واحد:',
+    two: 'لم يُستورد صفان:',
+    few: 'لم تُستورد {count} صفوف:',
+    many: 'لم يُستورد {count} صفًا:',
+    other: 'لم يُستورد {count} صف:'
+  },
+  'admin.column.row': 'الصف',
+  'admin.column.problems': 'المشكلات',
+  'admin.column.actions': 'الإجراءات',
+
+  'offline.banner': 'أنت غير متصل. يمكنك متابعة تصفح المنتجات المحفوظة وتعديل سلتك.',
+  'offline.pendingOrders': {
+    zero: 'لا توجد طلبات بانتظار الإرسال.',
+    one: 'سيتم إتمام طلب واحد عند عودة الاتصال.',
+    two: 'سيتم إتمام طلبين عند عودة الاتصال.',
+    few: 'سيتم إتمام {count} طلبات عند عودة الاتصال.',
+    many: 'سيتم إتمام {count} طلبًا عند عودة الاتصال.',
+    other: 'سيتم إتمام {count} طلب عند عودة الاتصال.'
+  },
+  'offline.orderPlaced': 'تم إتمام الطلب الذي أجريته دون اتصال. رقم طلبك هو {id}.',
+  'offline.conflictTitle': 'طلبك المحفوظ دون اتصال يحتاج إلى مراجعة',
+  'offline.conflictEmpty': 'لم يعد بالإمكان طلب أي من منتجاته.',
+  'offline.placeUpdated': 'إتمام الطلب مع هذه التغييرات',
+  'offline.cancelOrder': 'إلغاء الطلب',
+
+  'reviews.title': 'مراجعات العملاء',
+  'reviews.basedOn': {
+    zero: 'لا توجد تقييمات',
+    one: 'استنادًا إلى تقييم واحد',
+    two: 'استنادًا إلى تقييمين',
+    few: 'استنادًا إلى {count} تقييمات',
+    many: 'استنادًا إلى {count} تقييمًا',
+    other: 'استنادًا إلى {count} تقييم'
+  },
+  'reviews.histogramLabel': {
+    zero: 'لا توجد مراجعات مكتوبة',
+    one: 'من مراجعة مكتوبة واحدة',
+    two: 'من مراجعتين مكتوبتين',
+    few: 'من {count} مراجعات مكتوبة',
+    many: 'من {count} مراجعة مكتوبة',
+    other: 'من {count} مراجعة مكتوبة'
+  },
+  'reviews.stars': {
+    zero: '{count} نجوم',
+    one: 'نجمة واحدة',
+    two: 'نجمتان',
+    few: '{count} نجوم',
+    many: '{count} نجمة',
+    other: '{count} نجمة'
+  },
+  'reviews.loading': 'جارٍ تحميل المراجعات...',
+  'reviews.loadError': 'تعذّر تحميل المراجعات.',
+  'reviews.empty': 'لا توجد مراجعات مكتوبة بعد. كن أول من يشارك رأيه.',
+  'reviews.sort.newest': 'الأحدث',
+  'reviews.sort.helpful': 'الأكثر فائدة',
+  'reviews.helpful': 'مفيدة ({count})',
+  'reviews.write': 'اكتب مراجعة',
+  'reviews.field.rating': 'تقييمك',
+  'reviews.field.author': 'الاسم الذي يظهر مع مراجعتك',
+  'reviews.field.body': 'مراجعتك',
+  'reviews.bodyHint': '{length} من {max} حرف؛ {min} على الأقل.',
+  'reviews.error.rating': 'اختر تقييمًا من 1 إلى 5 نجوم.',
+  'reviews.error.author': 'أدخل اسمًا لا يزيد على 50 حرفًا.',
+  'reviews.error.bodyShort': 'اكتب {min} حرفًا على الأقل.',
+  'reviews.error.bodyLong': 'يجب ألا تتجاوز مراجعتك {max} حرف.',
+  'reviews.submit': 'نشر المراجعة',
+  'reviews.submitting': 'جارٍ النشر...',
+  'reviews.submitError': 'تعذّر نشر مراجعتك. يُرجى المحاولة مرة أخرى.',
+  'reviews.posted': 'شكرًا! تم نشر مراجعتك.',
+
+  'account.title': 'حسابك',
+  'account.signIn': 'تسجيل الدخول',
+  'account.signUp': 'إنشاء حساب',
+  'account.signOut': 'تسجيل الخروج',
+  'account.submitting': 'يرجى الانتظار...',
+  'account.loading': 'جارٍ تحميل حسابك...',
+  'account.cartMergeHint': 'ستُضاف محتويات سلتك الحالية إلى السلة المحفوظة في حسابك.',
+  'account.field.name': 'الاسم',
+  'account.field.email': 'البريد الإلكتروني',
+  'account.field.password': 'كلمة المرور',
+  'account.passwordHint': '{min} أحرف على الأقل.',
+  'account.error.email': 'أدخل بريدًا إلكترونيًا صالحًا.',
+  'account.error.passwordRequired': 'أدخل كلمة المرور.',
+  'account.error.passwordShort': 'استخدم {min} أحرف على الأقل.',
+  'account.error.name': 'أدخل اسمًا لا يتجاوز 80 حرفًا.',
+  'account.error.emailTaken': 'يوجد حساب بهذا البريد الإلكتروني بالفعل. سجّل الدخول بدلًا من ذلك.',
+  'account.error.invalidCredentials': 'البريد الإلكتروني وكلمة المرور لا يطابقان أي حساب.',
+  'account.error.noAccount': 'هذا الحساب لم يعد موجودًا.',
+  'account.error.insecureOrigin': 'تتطلب الحسابات اتصالًا آمنًا (https). افتح المتجر عبر https وحاول مجددًا.',
+  'account.error.generic': 'حدث خطأ ما. يرجى المحاولة مرة أخرى.',
+  'account.greeting': 'مرحبًا، {name}',
+  'account.orderHistory': 'سجل الطلبات',
+  'account.addresses': 'العناوين المحفوظة',
+  'account.addAddress': 'إضافة عنوان',
+  'account.noAddresses': 'لا توجد عناوين محفوظة بعد. تُعرض العناوين المحفوظة هنا عند الدفع.',
+  'account.default': 'الافتراضي',
+  'account.edit': 'تعديل',
+  'account.editAddress': 'تعديل عنوان {name}',
+  'account.makeDefault': 'استخدامه كافتراضي',
+  'account.remove': 'إزالة',
+  'account.removeAddress': 'إزالة عنوان {name}',
+  'account.cancel': 'إلغاء',
+  'account.saving': 'جارٍ الحفظ...',
+  'account.saveAddress': 'حفظ العنوان',
+  'account.addressSaveError': 'تعذّر حفظ هذا العنوان. يرجى المحاولة مرة أخرى.',
+
+  'orders.title': 'سجل الطلبات',
+  'orders.backToAccount': 'العودة إلى الحساب',
+  'orders.loading': 'جارٍ تحميل طلباتك...',
+  'orders.loadError': 'تعذّر تحميل طلباتك.',
+  'orders.empty': 'لم تقدّم أي طلبات بعد.',
+  'orders.signInRequired': 'سجّل الدخول لعرض طلباتك.',
+  'orders.status.placed': 'تم تقديمه',
+
+  'compare.toggle': 'مقارنة',
+  'compare.full': 'يمكنك مقارنة {max} منتجات كحد أقصى. أزل منتجًا لإضافة آخر.',
+  'compare.added': 'تمت إضافة {title} إلى المقارنة، {count} من {max}.',
+  'compare.removed': 'تمت إزالة {title} من المقارنة.',
+  'compare.trayLabel': 'منتجات للمقارنة',
+  'compare.count': '{count} من {max}',
+  'compare.open': 'قارن الآن',
+  'compare.pickAnother': 'اختر منتجًا آخر للمقارنة.',
+  'compare.clear': 'مسح الكل',
+  'compare.remove': 'إزالة {title} من المقارنة',
+  'compare.title': 'مقارنة المنتجات',
+  'compare.caption': {
+    zero: 'مقارنة بلا منتجات',
+    one: 'مقارنة منتج واحد',
+    two: 'مقارنة منتجين',
+    few: 'مقارنة {count} منتجات',
+    many: 'مقارنة {count} منتجًا',
+    other: 'مقارنة {count} منتج'
+  },
+  'compare.legend': 'الصفوف المميزة هي التي تختلف فيها المنتجات.',
+  'compare.differs': 'مختلف',
+  'compare.empty': 'لا شيء للمقارنة بعد. حدّد "مقارنة" على 4 منتجات كحد أقصى في الكتالوج.',
+  'compare.addToCart': 'إضافة {title} إلى السلة',
+  'compare.field.price': 'السعر',
+  'compare.field.category': 'الفئة',
+  'compare.field.rating': 'التقييم',
+  'compare.field.reviewCount': 'المراجعات',
+  'compare.field.stock': 'التوفر',
+  'compare.field.description': 'الوصف',
+
+  'recommendations.recentlyViewed': 'شوهدت مؤخرًا',
+  'recommendations.clearHistory': 'مسح السجل',
+  'recommendations.boughtTogether': 'اشترى العملاء أيضًا',
+  'recommendations.sameCategory': 'المزيد من هذه الفئة',
+  'recommendations.similarPrice': 'بسعر مماثل',
+  'recommendations.addToCart': 'إضافة {title} إلى السلة',
+
+  'variants.chooseOptions': 'اختر خيارات {title}',
+  'variants.unavailable': 'هذه التركيبة غير متوفرة',
+  'variants.soldOut': 'نفد من المخزون',
+  'variants.soldOutValue': '{value} (نفد من المخزون)',
+  'variants.optionLabel': '{name}: {value}',
+  'promotion.categoryPercent': 'تخفيضات {category}: خصم {percent}%',
+  'promotion.freeShipping': 'شحن عادي مجاني للطلبات التي تزيد على {minSubtotal}',
+  'promotion.percent': 'خصم {percent}% على طلبك',
+  'promotion.fixed': 'خصم {amount} على الطلبات التي تزيد على {minSubtotal}',
+  'promotion.buyXGetY': '{category}: اشترِ {buy} واحصل على {get} مجانًا',
+  'promotion.springSale': 'خصم {percent}% في تخفيضات الربيع',
+  'nav.backToCatalog': 'العودة إلى الكتالوج',
+  'notFound.title': 'الصفحة غير موجودة',
+
+  'checkout.title': 'الدفع',
+  'checkout.backToCart': 'العودة إلى السلة',
+  'checkout.step.address': 'العنوان',
+  'checkout.step.shipping': 'الشحن',
+  'checkout.step.review': 'المراجعة',
+  'checkout.step.confirmation': 'التأكيد',
+  'checkout.optional': '(اختياري)',
+  'checkout.savedAddress': 'عنوان محفوظ',
+  'checkout.newAddress': 'إدخال عنوان جديد',
+  'checkout.contact': 'بيانات التواصل',
+  'checkout.shippingAddress': 'عنوان الشحن',
+  'checkout.field.fullName': 'الاسم الكامل',
+  'checkout.field.email': 'البريد الإلكتروني',
+  'checkout.field.phone': 'الهاتف',
+  'checkout.field.line1': 'عنوان الشارع',
+  'checkout.field.line2': 'الشقة أو الجناح وما إلى ذلك',
+  'checkout.field.city': 'المدينة',
+  'checkout.field.region': 'الولاية / المقاطعة',
+  'checkout.field.postalCode': 'الرمز البريدي',
+  'checkout.field.country': 'الدولة',
+  'checkout.error.fullName': 'أدخل اسمك الكامل',
+  'checkout.error.email': 'أدخل بريدًا إلكترونيًا صالحًا',
+  'checkout.error.phone': 'أدخل رقم هاتف صالحًا',
+  'checkout.error.line1': 'أدخل عنوان الشارع',
+  'checkout.error.city': 'أدخل المدينة',
+  'checkout.error.postalCode': 'أدخل رمزًا بريديًا صالحًا',
+  'checkout.error.country': 'اختر الدولة',
+  'checkout.continueToShipping': 'المتابعة إلى الشحن',
+  'checkout.shippingMethod': 'طريقة الشحن',
+  'checkout.free': 'مجاني',
+  'checkout.back': 'رجوع',
+  'checkout.reviewOrder': 'مراجعة الطلب',
+  'checkout.shipTo': 'الشحن إلى',
+  'checkout.shipping': 'الشحن',
+  'checkout.subtotal': 'المجموع الفرعي',
+  'checkout.tax': 'الضريبة',
+  'checkout.total': 'الإجمالي',
+  'checkout.placeOrder': 'تأكيد الطلب',
+  'checkout.placeOrderOffline': 'إتمام الطلب عند عودة الاتصال',
+  'checkout.placingOrder': 'جارٍ تأكيد الطلب...',
+  'checkout.submitError': 'تعذّر تأكيد طلبك. يُرجى المحاولة مرة أخرى.',
+  'checkout.thanks': 'شكرًا لطلبك!',
+  'checkout.orderNumber': 'رقم طلبك هو',
+  'checkout.confirmationSent': 'أرسلنا تأكيدًا إلى {email}.',
+  'checkout.continueShopping': 'متابعة التسوق',
+  'checkout.queuedTitle': 'تم حفظ طلبك',
+  'checkout.queuedBody': 'أنت غير متصل، لذا سنُتم طلبك فور عودة الاتصال ونرسل تأكيدًا إلى {email}.',
+
+  'shipping.standard': 'عادي',
+  'shipping.standard.eta': '5-7 أيام عمل',
+  'shipping.express': 'سريع',
+  'shipping.express.eta': '2-3 أيام عمل',
+  'shipping.overnight': 'في اليوم التالي',
+  'shipping.overnight.eta': 'يوم العمل التالي',
+
+  'country.United States': 'الولايات المتحدة',
+  'country.Canada': 'كندا',
+  'country.United Kingdom': 'المملكة المتحدة',
+  'country.Germany': 'ألمانيا',
+  'country.France': 'فرنسا',
+  'country.India': 'الهند',
+  'country.Australia': 'أستراليا',
+
+  'category.electronics': 'إلكترونيات',
+  'category.jewelery': 'مجوهرات',
+  'category.men\'s clothing': 'ملابس رجالية',
+  'category.women\'s clothing': 'ملابس نسائية'
+};
@@ -0,0 +1,389 @@
+// English messages; the fallback for keys missing from other catalogs.
+// Object values are plural forms keyed by Intl.PluralRules category.
+export default {
+  'app.title': 'Mini E-Commerce',
+  'app.skipToContent': 'Skip to content',
+  'language.label': 'Language',
+  'currency.label': 'Currency',
+
+  'header.account': 'Your account, {name}',
+  'header.signIn': 'Sign in',
+  'header.wishlist': { one: 'Wishlist, {count} item', other: 'Wishlist, {count} items' },
+  'header.cartItems': { one: '{count} item', other: '{count} items' },
+
+  'catalog.loading': 'Loading products...',
+  'catalog.loadErrorTitle': 'We couldn\'t load the catalog',
+  'catalog.loadError.offline': 'You appear to be offline. Reconnect and try again.',
+  'catalog.loadError.status': 'The store\'s server responded with an error ({status}).',
+  'catalog.loadError.invalid': 'The store\'s server sent a response we couldn\'t read.',
+  'catalog.loadError.network': 'We couldn\'t reach the store. Check your connection and try again.',
+  'catalog.retrying': 'Retrying automatically (attempt {attempt} of {max})...',
+  'catalog.tryAgain': 'Try again',
+  'catalog.filtersTitle': 'Filters & Search',
+  'catalog.searchLabel': 'Search Products',
+  'catalog.searchPlaceholder': 'Search by name, category or description...',
+  'catalog.sortLabel': 'Sort by',
+  'catalog.clearFilters': 'Clear All Filters',
+  'catalog.stale': 'Live catalog unavailable. Showing products saved on {date}.',
+  'catalog.staleRetrying': 'Live catalog unavailable. Showing products saved on {date} (retrying, attempt {attempt} of {max}).',
+  'catalog.retry': 'Retry',
+  'catalog.products': 'Products ({count})',
+  'catalog.productsMore': 'Products ({count}+)',
+  'catalog.gridHelp': 'Use the arrow keys to move between products.',
+  'catalog.show': 'Show',
+  'catalog.perPage': 'per page',
+  'catalog.browsingMode': 'Browsing mode',
+  'catalog.modePages': 'Pages',
+  'catalog.modeInfinite': 'Infinite scroll',
+  'catalog.loadingMore': 'Loading more products...',
+  'catalog.noProducts': 'No products found',
+  'catalog.showing': 'Showing {start}–{end} of {total}',
+  'catalog.showingMore': 'Showing {start}–{end} of {total}+',
+  'catalog.loadMoreError': 'Couldn\'t load more products.',
+
+  'product.addToCart': 'Add to Cart',
+  'product.addToWishlist': 'Add {title} to wishlist',
+  'product.removeFromWishlist': 'Remove {title} from wishlist',
+  'product.loading': 'Loading product...',
+  'product.notFound': 'This product could not be found.',
+  'product.loadError': 'We couldn\'t load this product.',
+  'product.quantity': 'Quantity',
+  'product.decrease': 'Decrease quantity',
+  'product.increase': 'Increase quantity',
+  'product.rating': 'Rated {rate} out of 5',
+
+  'stock.in': 'In stock',
+  'stock.out': 'Out of stock',
+  'stock.low': { one: 'Only {count} left', other: 'Only {count} left' },
+  'stock.reserved': { one: '{count} in your cart', other: 'All {count} in your cart' },
+
+  'announce.added': 'Added {title} to your cart.',
+  'announce.addedMany': 'Added {quantity} × {title} to your cart.',
+  'announce.cartCount': { one: '{count} item in cart.', other: '{count} items in cart.' },
+  'announce.outOfStock': '{title} is out of stock.',
+  'announce.limit': 'Only {max} of {title} available. Your cart already has the maximum.',
+  'announce.quantity': '{title} quantity {quantity}.',
+
+  'toast.added': 'Added {title} to your cart',
+  'toast.addedMany': 'Added {quantity} × {title} to your cart',
+  'toast.viewCart': 'View cart',
+  'toast.dismiss': 'Dismiss notification',
+
+  'cart.title': 'Shopping Cart',
+  'cart.removed': 'Removed {title} from your cart.',
+  'cart.undo': 'Undo remove',
+  'cart.dismissNotices': 'Dismiss cart updates',
+  'cart.empty': 'Empty cart',
+  'cart.itemsLabel': 'Items in your cart',
+  'cart.max': '(Max: {max})',
+  'cart.saveForLater': 'Save for later',
+  'cart.remove': 'Remove {title} from cart',
+  'cart.promoCode': 'Promo code',
+  'cart.apply': 'Apply',
+  'cart.removeCode': 'Remove code {code}',
+  'cart.totalItems': 'Total items:',
+  'cart.subtotal': 'Subtotal:',
+  'cart.appliedAtCheckout': 'Applied at checkout',
+  'cart.estimatedTax': 'Estimated tax ({region}):',
+  'cart.total': 'Total price:',
+  'cart.checkout': 'Proceed to Checkout',
+  'cart.savedForLater': 'Saved for later ({count})',
+  'cart.moveToCart': 'Move to cart',
+
+  'cartChange.removed': '{title} is no longer available and was removed from your cart.',
+  'cartChange.removedUnknown': 'An item is no longer available and was removed from your cart.',
+  'cartChange.clamped': 'Only {to} of {title} available, so your quantity changed from {from}.',
+  'cartChange.price': 'The price of {title} changed from {from} to {to}.',
+
+  'coupon.empty': 'Enter a promo code.',
+  'coupon.invalid': '{code} is not a valid code.',
+  'coupon.alreadyApplied': '{code} is already applied.',
+  'coupon.notActive': 'This code is not active yet.',
+  'coupon.expired': 'This code expired on {date}.',
+  'coupon.minSubtotal': 'Add {amount} more to use this code.',
+  'coupon.category': 'This code only applies to {category}.',
+  'coupon.moreItems': {
+    one: 'Add {count} more eligible item to use this code.',
+    other: 'Add {count} more eligible items to use this code.'
+  },
+
+  'wishlist.title': 'Wishlist',
+  'wishlist.empty': 'Tap the heart on a product to keep it here.',
+
+  'saved.notify': 'Notify me when back',
+  'saved.notifying': 'We\'ll notify you when it\'s back',
+  'saved.backInStock': 'Back in stock',
+  'saved.remove': 'Remove {title}',
+
+  'drawer.title': 'Your cart',
+  'drawer.close': 'Close cart',
+  'drawer.subtotal': 'Subtotal',
+  'drawer.note': 'Discounts, shipping and tax are worked out at checkout.',
+  'drawer.checkout': 'Checkout',
+  'drawer.viewCart': 'View full cart',
+
+  'quantity.label': 'Quantity of {label}',
+  'quantity.decrease': 'Decrease quantity of {label}',
+  'quantity.increase': 'Increase quantity of {label}',
+  'quantity.remove': 'Remove {label}',
+
+  'filters.category': 'Category',
+  'filters.price': 'Price',
+  'filters.minPrice': 'Minimum price',
+  'filters.maxPrice': 'Maximum price',
+  'filters.rating': 'Customer rating',
+  'filters.anyRating': 'Any rating',
+  'filters.andUp': '& up',
+  'filters.inStockOnly': 'In stock only',
+
+  'sort.default': 'Default',
+  'sort.relevance': 'Relevance',
+  'sort.low-high': 'Price: Low → High',
+  'sort.high-low': 'Price: High → Low',
+  'sort.rating': 'Customer rating',
+  'sort.popularity': 'Most reviewed',
+  'sort.name-asc': 'Name: A → Z',
+  'sort.name-desc': 'Name: Z → A',
+
+  'pagination.label': 'Pagination',
+  'pagination.previous': 'Previous',
+  'pagination.next': 'Next',
+  'pagination.loadMore': 'Load more',
+  'pagination.loading': 'Loading...',
+
+  'admin.title': 'Manage products ({count})',
+  'admin.add': 'Add product',
+  'admin.import': 'Import CSV or JSON',
+  'admin.importing': 'Importing...',
+  'admin.export.csv': 'Export CSV',
+  'admin.export.json': 'Export JSON',
+  'admin.readOnly': 'This product source is read-only. Products can be exported but not changed.',
+  'admin.loadError': 'We couldn\'t load the products.',
+  'admin.newProduct': 'New product',
+  'admin.editProduct': 'Edit {title}',
+  'admin.deleteProduct': 'Delete {title}',
+  'admin.confirmDelete': 'Delete {title}?',
+  'admin.cancel': 'Cancel',
+  'admin.save': 'Save product',
+  'admin.saving': 'Saving...',
+  'admin.saveError': 'The product couldn\'t be saved: {message}',
+  'admin.deleteError': 'The product couldn\'t be deleted: {message}',
+  'admin.untracked': 'Not tracked',
+  'admin.stockHint': 'Leave blank if stock isn\'t tracked.',
+  'admin.stockFromVariants': 'The total of this product\'s variants. Change stock per SKU with a JSON import.',
+  'admin.field.title': 'Title',
+  'admin.field.category': 'Category',
+  'admin.field.price': 'Price (USD)',
+  'admin.field.stock': 'Stock',
+  'admin.field.image': 'Image URL',
+  'admin.field.description': 'Description',
+  'admin.error.title': 'Enter a title.',
+  'admin.error.price': 'Enter a price above 0 with at most two decimals.',
+  'admin.error.category': 'Enter a category.',
+  'admin.error.image': 'Enter an http or https URL.',
+  'admin.error.stock': 'Enter a whole number of 0 or more.',
+  'admin.error.duplicateId': 'This id appears earlier in the file.',
+  'admin.error.variants': 'Each variant needs a unique SKU, a value for every option, and a valid price and stock.',
+  'admin.error.notFound': 'This product no longer exists.',
+  'admin.error.exists': 'A product with this id already exists.',
+  'admin.import.unclosedQuote': 'The file has a quoted value that is never closed.',
+  'admin.import.missingColumns': 'The file is missing these columns: {columns}.',
+  'admin.import.invalidJson': 'The file isn\'t valid JSON.',
+  'admin.import.notAList': 'The JSON file must hold a list of products.',
+  'admin.importSummary': 'Imported {created} new and {updated} updated products.',
+  'admin.importFailed': { one: '{count} row wasn\'t imported:', other: '{count} rows weren\'t imported:' },
+  'admin.column.row': 'Row',
+  'admin.column.problems': 'Problems',
+  'admin.column.actions': 'Actions',
+
+  'offline.banner': 'You\'re offline. You can keep browsing saved products and editing your cart.',
+  'offline.pendingOrders': {
+    one: '{count} order will be placed when you\'re back online.',
+    other: '{count} orders will be placed when you\'re back online.'
+  },
+  'offline.orderPlaced': 'The order you placed offline went through. Your order number is {id}.',
+  'offline.conflictTitle': 'Your offline order needs a second look',
+  'offline.conflictEmpty': 'None of its items can be ordered any more.',
+  'offline.placeUpdated': 'Place order with these changes',
+  'offline.cancelOrder': 'Cancel order',
+
+  'reviews.title': 'Customer reviews',
+  'reviews.basedOn': { one: 'Based on {count} rating', other: 'Based on {count} ratings' },
+  'reviews.histogramLabel': { one: 'From {count} written review', other: 'From {count} written reviews' },
+  'reviews.stars': { one: '{count} star', other: '{count} stars' },
+  'reviews.loading': 'Loading reviews...',
+  'reviews.loadError': 'We couldn\'t load the reviews.',
+  'reviews.empty': 'No written reviews yet. Be the first to share what you think.',
+  'reviews.sort.newest': 'Newest',
+  'reviews.sort.helpful': 'Most helpful',
+  'reviews.helpful': 'Helpful ({count})',
+  'reviews.write': 'Write a review',
+  'reviews.field.rating': 'Your rating',
+  'reviews.field.author': 'Name shown with your review',
+  'reviews.field.body': 'Your review',
+  'reviews.bodyHint': '{length} of {max} characters; at least {min}.',
+  'reviews.error.rating': 'Choose a rating from 1 to 5 stars.',
+  'reviews.error.author': 'Enter a name of up to 50 characters.',
+  'reviews.error.bodyShort': 'Write at least {min} characters.',
+  'reviews.error.bodyLong': 'Keep your review under {max} characters.',
+  'reviews.submit': 'Post review',
+  'reviews.submitting': 'Posting...',
+  'reviews.submitError': 'We couldn\'t post your review. Please try again.',
+  'reviews.posted': 'Thanks! Your review is posted.',
+
+  'account.title': 'Your account',
+  'account.signIn': 'Sign in',
+  'account.signUp': 'Create account',
+  'account.signOut': 'Sign out',
+  'account.submitting': 'Please wait...',
+  'account.loading': 'Loading your account...',
+  'account.cartMergeHint': 'Anything in your cart now is added to the cart saved with your account.',
+  'account.field.name': 'Name',
+  'account.field.email': 'Email',
+  'account.field.password': 'Password',
+  'account.passwordHint': 'At least {min} characters.',
+  'account.error.email': 'Enter a valid email address.',
+  'account.error.passwordRequired': 'Enter your password.',
+  'account.error.passwordShort': 'Use at least {min} characters.',
+  'account.error.name': 'Enter a name of up to 80 characters.',
+  'account.error.emailTaken': 'An account already exists for this email. Sign in instead.',
+  'account.error.invalidCredentials': 'That email and password don\'t match an account.',
+  'account.error.noAccount': 'This account no longer exists.',
+  'account.error.insecureOrigin': 'Accounts need a secure (https) connection. Open the store over https and try again.',
+  'account.error.generic': 'Something went wrong. Please try again.',
+  'account.greeting': 'Hello, {name}',
+  'account.orderHistory': 'Order history',
+  'account.addresses': 'Saved addresses',
+  'account.addAddress': 'Add address',
+  'account.noAddresses': 'No saved addresses yet. Addresses saved here are offered at checkout.',
+  'account.default': 'Default',
+  'account.edit': 'Edit',
+  'account.editAddress': 'Edit the address for {name}',
+  'account.makeDefault': 'Use as default',
+  'account.remove': 'Remove',
+  'account.removeAddress': 'Remove the address for {name}',
+  'account.cancel': 'Cancel',
+  'account.saving': 'Saving...',
+  'account.saveAddress': 'Save address',
+  'account.addressSaveError': 'We couldn\'t save this address. Please try again.',
+
+  'orders.title': 'Order history',
+  'orders.backToAccount': 'Back to account',
+  'orders.loading': 'Loading your orders...',
+  'orders.loadError': 'We couldn\'t load your orders.',
+  'orders.empty': 'You haven\'t placed any orders yet.',
+  'orders.signInRequired': 'Sign in to see your orders.',
+  'orders.status.placed': 'Placed',
+
+  'compare.toggle': 'Compare',
+  'compare.full': 'You can compare up to {max} products. Remove one to add another.',
+  'compare.added': 'Added {title} to the comparison, {count} of {max}.',
+  'compare.removed': 'Removed {title} from the comparison.',
+  'compare.trayLabel': 'Products to compare',
+  'compare.count': '{count} of {max}',
+  'compare.open': 'Compare now',
+  'compare.pickAnother': 'Pick one more product to compare.',
+  'compare.clear': 'Clear all',
+  'compare.remove': 'Remove {title} from the comparison',
+  'compare.title': 'Compare products',
+  'compare.caption': { one: 'Comparison of {count} product', other: 'Comparison of {count} products' },
+  'compare.legend': 'Highlighted rows are where the products differ.',
+  'compare.differs': 'Differs',
+  'compare.empty': 'Nothing to compare yet. Tick "Compare" on up to 4 products in the catalog.',
+  'compare.addToCart': 'Add {title} to cart',
+  'compare.field.price': 'Price',
+  'compare.field.category': 'Category',
+  'compare.field.rating': 'Rating',
+  'compare.field.reviewCount': 'Reviews',
+  'compare.field.stock': 'Availability',
+  'compare.field.description': 'Description',
+
+  'recommendations.recentlyViewed': 'Recently viewed',
+  'recommendations.clearHistory': 'Clear history',
+  'recommendations.boughtTogether': 'Customers also bought',
+  'recommendations.sameCategory': 'More in this category',
+  'recommendations.similarPrice': 'At a similar price',
+  'recommendations.addToCart': 'Add {title} to cart',
+
+  'variants.chooseOptions': 'Choose options for {title}',
+  'variants.unavailable': 'This combination is not available',
+  'variants.soldOut': 'Sold out',
+  'variants.soldOutValue': '{value} (sold out)',
+  'variants.optionLabel': '{name}: {value}',
+  'promotion.categoryPercent': '{category} sale: {percent}% off',
+  'promotion.freeShipping': 'Free standard shipping on orders over {minSubtotal}',
+  'promotion.percent': '{percent}% off your order',
+  'promotion.fixed': '{amount} off orders over {minSubtotal}',
+  'promotion.buyXGetY': '{category}: buy {buy}, get {get} free',
+  'promotion.springSale': '{percent}% off spring sale',
+  'nav.backToCatalog': 'Back to catalog',
+  'notFound.title': 'Page not found',
+
+  'checkout.title': 'Checkout',
+  'checkout.backToCart': 'Back to cart',
+  'checkout.step.address': 'Address',
+  'checkout.step.shipping': 'Shipping',
+  'checkout.step.review': 'Review',
+  'checkout.step.confirmation': 'Confirmation',
+  'checkout.optional': '(optional)',
+  'checkout.savedAddress': 'Saved address',
+  'checkout.newAddress': 'Enter a new address',
+  'checkout.contact': 'Contact',
+  'checkout.shippingAddress': 'Shipping address',
+  'checkout.field.fullName': 'Full name',
+  'checkout.field.email': 'Email',
+  'checkout.field.phone': 'Phone',
+  'checkout.field.line1': 'Street address',
+  'checkout.field.line2': 'Apartment, suite, etc.',
+  'checkout.field.city': 'City',
+  'checkout.field.region': 'State / Province',
+  'checkout.field.postalCode': 'Postal code',
+  'checkout.field.country': 'Country',
+  'checkout.error.fullName': 'Enter your full name',
+  'checkout.error.email': 'Enter a valid email address',
+  'checkout.error.phone': 'Enter a valid phone number',
+  'checkout.error.line1': 'Enter a street address',
+  'checkout.error.city': 'Enter a city',
+  'checkout.error.postalCode': 'Enter a valid postal code',
+  'checkout.error.country': 'Choose a country',
+  'checkout.continueToShipping': 'Continue to shipping',
+  'checkout.shippingMethod': 'Shipping method',
+  'checkout.free': 'Free',
+  'checkout.back': 'Back',
+  'checkout.reviewOrder': 'Review order',
+  'checkout.shipTo': 'Ship to',
+  'checkout.shipping': 'Shipping',
+  'checkout.subtotal': 'Subtotal',
+  'checkout.tax': 'Tax',
+  'checkout.total': 'Total',
+  'checkout.placeOrder': 'Place order',
+  'checkout.placeOrderOffline': 'Place order when back online',
+  'checkout.placingOrder': 'Placing order...',
+  'checkout.submitError': 'We couldn\'t place your order. Please try again.',
+  'checkout.thanks': 'Thank you for your order!',
+  'checkout.orderNumber': 'Your order number is',
+  'checkout.confirmationSent': 'A confirmation has been sent to {email}.',
+  'checkout.continueShopping': 'Continue shopping',
+  'checkout.queuedTitle': 'Your order is saved',
+  'checkout.queuedBody': 'You\'re offline, so we\'ll place your order as soon as the connection is back and send a confirmation to {email}.',
+
+  'shipping.standard': 'Standard',
+  'shipping.standard.eta': '5-7 business days',
+  'shipping.express': 'Express',
+  'shipping.express.eta': '2-3 business days',
+  'shipping.overnight': 'Overnight',
+  'shipping.overnight.eta': 'Next business day',
+
+  'country.United States': 'United States',
+  'country.Canada': 'Canada',
+  'country.United Kingdom': 'United Kingdom',
+  'country.Germany': 'Germany',
+  'country.France': 'France',
+  'country.India': 'India',
+  'country.Australia': 'Australia',
+
+  'category.electronics': 'Electronics',
+  'category.jewelery': 'Jewelry',
+  'category.men\'s clothing': 'Men\'s clothing',
+  'category.women\'s clothing': 'Women\'s clothing'
+};
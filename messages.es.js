@@ -0,0 +1,387 @@
+export default {
+  'app.title': 'Mini E-Commerce',
+  'app.skipToContent': 'Saltar al contenido',
+  'language.label': 'Idioma',
+  'currency.label': 'Moneda',
+
+  'header.account': 'Tu cuenta, {name}',
+  'header.signIn': 'Iniciar sesión',
+  'header.wishlist': { one: 'Favoritos, {count} artículo', other: 'Favoritos, {count} artículos' },
+  'header.cartItems': { one: '{count} artículo', other: '{count} artículos' },
+
+  'catalog.loading': 'Cargando productos...',
+  'catalog.loadErrorTitle': 'No pudimos cargar el catálogo',
+  'catalog.loadError.offline': 'Parece que no tienes conexión. Vuelve a conectarte e inténtalo de nuevo.',
+  'catalog.loadError.status': 'El servidor de la tienda respondió con un error ({status}).',
+  'catalog.loadError.invalid': 'El servidor de la tienda envió una respuesta que no pudimos leer.',
+  'catalog.loadError.network': 'No pudimos conectar con la tienda. Revisa tu conexión e inténtalo de nuevo.',
+  'catalog.retrying': 'Reintentando automáticamente (intento {attempt} de {max})...',
+  'catalog.tryAgain': 'Intentar de nuevo',
+  'catalog.filtersTitle': 'Filtros y búsqueda',
+  'catalog.searchLabel': 'Buscar productos',
+  'catalog.searchPlaceholder': 'Busca por nombre, categoría o descripción...',
+  'catalog.sortLabel': 'Ordenar por',
+  'catalog.clearFilters': 'Quitar todos los filtros',
+  'catalog.stale': 'El catálogo en vivo no está disponible. Mostrando productos guardados el {date}.',
+  'catalog.staleRetrying': 'El catálogo en vivo no está disponible. Mostrando productos guardados el {date} (reintentando, intento {attempt} de {max}).',
+  'catalog.retry': 'Reintentar',
+  'catalog.products': 'Productos ({count})',
+  'catalog.productsMore': 'Productos ({count}+)',
+  'catalog.gridHelp': 'Usa las flechas del teclado para moverte entre productos.',
+  'catalog.show': 'Mostrar',
+  'catalog.perPage': 'por página',
+  'catalog.browsingMode': 'Modo de navegación',
+  'catalog.modePages': 'Páginas',
+  'catalog.modeInfinite': 'Desplazamiento infinito',
+  'catalog.loadingMore': 'Cargando más productos...',
+  'catalog.noProducts': 'No se encontraron productos',
+  'catalog.showing': 'Mostrando {start}–{end} de {total}',
+  'catalog.showingMore': 'Mostrando {start}–{end} de {total}+',
+  'catalog.loadMoreError': 'No se pudieron cargar más productos.',
+
+  'product.addToCart': 'Añadir al carrito',
+  'product.addToWishlist': 'Añadir {title} a favoritos',
+  'product.removeFromWishlist': 'Quitar {title} de favoritos',
+  'product.loading': 'Cargando producto...',
+  'product.notFound': 'No se encontró este producto.',
+  'product.loadError': 'No pudimos cargar este producto.',
+  'product.quantity': 'Cantidad',
+  'product.decrease': 'Reducir cantidad',
+  'product.increase': 'Aumentar cantidad',
+  'product.rating': 'Valorado con {rate} de 5',
+
+  'stock.in': 'En stock',
+  'stock.out': 'Agotado',
+  'stock.low': { one: 'Solo queda {count}', other: 'Solo quedan {count}' },
+  'stock.reserved': { one: '{count} en tu carrito', other: 'Las {count} unidades están en tu carrito' },
+
+  'announce.added': 'Se añadió {title} a tu carrito.',
+  'announce.addedMany': 'Se añadieron {quantity} × {title} a tu carrito.',
+  'announce.cartCount': { one: '{count} artículo en el carrito.', other: '{count} artículos en el carrito.' },
+  'announce.outOfStock': '{title} está agotado.',
+  'announce.limit': 'Solo hay {max} de {title}. Tu carrito ya tiene el máximo.',
+  'announce.quantity': 'Cantidad de {title}: {quantity}.',
+
+  'toast.added': 'Se añadió {title} a tu carrito',
+  'toast.addedMany': 'Se añadieron {quantity} × {title} a tu carrito',
+  'toast.viewCart': 'Ver carrito',
+  'toast.dismiss': 'Cerrar notificación',
+
+  'cart.title': 'Carrito de compras',
+  'cart.removed': 'Se quitó {title} de tu carrito.',
+  'cart.undo': 'Deshacer',
+  'cart.dismissNotices': 'Cerrar avisos del carrito',
+  'cart.empty': 'Carrito vacío',
+  'cart.itemsLabel': 'Artículos en tu carrito',
+  'cart.max': '(Máx.: {max})',
+  'cart.saveForLater': 'Guardar para después',
+  'cart.remove': 'Quitar {title} del carrito',
+  'cart.promoCode': 'Código promocional',
+  'cart.apply': 'Aplicar',
+  'cart.removeCode': 'Quitar el código {code}',
+  'cart.totalItems': 'Total de artículos:',
+  'cart.subtotal': 'Subtotal:',
+  'cart.appliedAtCheckout': 'Se aplica al pagar',
+  'cart.estimatedTax': 'Impuestos estimados ({region}):',
+  'cart.total': 'Precio total:',
+  'cart.checkout': 'Ir a pagar',
+  'cart.savedForLater': 'Guardado para después ({count})',
+  'cart.moveToCart': 'Mover al carrito',
+
+  'cartChange.removed': '{title} ya no está disponible y se quitó de tu carrito.',
+  'cartChange.removedUnknown': 'Un artículo ya no está disponible y se quitó de tu carrito.',
+  'cartChange.clamped': 'Solo hay {to} de {title}, así que tu cantidad cambió de {from}.',
+  'cartChange.price': 'El precio de {title} cambió de {from} a {to}.',
+
+  'coupon.empty': 'Introduce un código promocional.',
+  'coupon.invalid': '{code} no es un código válido.',
+  'coupon.alreadyApplied': '{code} ya está aplicado.',
+  'coupon.notActive': 'Este código aún no está activo.',
+  'coupon.expired': 'Este código caducó el {date}.',
+  'coupon.minSubtotal': 'Añade {amount} más para usar este código.',
+  'coupon.category': 'Este código solo se aplica a {category}.',
+  'coupon.moreItems': {
+    one: 'Añade {count} artículo elegible más para usar este código.',
+    other: 'Añade {count} artículos elegibles más para usar este código.'
+  },
+
+  'wishlist.title': 'Favoritos',
+  'wishlist.empty': 'Toca el corazón de un producto para guardarlo aquí.',
+
+  'saved.notify': 'Avisarme cuando vuelva',
+  'saved.notifying': 'Te avisaremos cuando vuelva',
+  'saved.backInStock': 'De nuevo en stock',
+  'saved.remove': 'Quitar {title}',
+
+  'drawer.title': 'Tu carrito',
+  'drawer.close': 'Cerrar carrito',
+  'drawer.subtotal': 'Subtotal',
+  'drawer.note': 'Los descuentos, el envío y los impuestos se calculan al pagar.',
+  'drawer.checkout': 'Pagar',
+  'drawer.viewCart': 'Ver carrito completo',
+
+  'quantity.label': 'Cantidad de {label}',
+  'quantity.decrease': 'Reducir cantidad de {label}',
+  'quantity.increase': 'Aumentar cantidad de {label}',
+  'quantity.remove': 'Quitar {label}',
+
+  'filters.category': 'Categoría',
+  'filters.price': 'Precio',
+  'filters.minPrice': 'Precio mínimo',
+  'filters.maxPrice': 'Precio máximo',
+  'filters.rating': 'Valoración de clientes',
+  'filters.anyRating': 'Cualquier valoración',
+  'filters.andUp': 'o más',
+  'filters.inStockOnly': 'Solo en stock',
+
+  'sort.default': 'Predeterminado',
+  'sort.relevance': 'Relevancia',
+  'sort.low-high': 'Precio: de menor a mayor',
+  'sort.high-low': 'Precio: de mayor a menor',
+  'sort.rating': 'Valoración de clientes',
+  'sort.popularity': 'Más reseñados',
+  'sort.name-asc': 'Nombre: A → Z',
+  'sort.name-desc': 'Nombre: Z → A',
+
+  'pagination.label': 'Paginación',
+  'pagination.previous': 'Anterior',
+  'pagination.next': 'Siguiente',
+  'pagination.loadMore': 'Cargar más',
+  'pagination.loading': 'Cargando...',
+
+  'admin.title': 'Gestionar productos ({count})',
+  'admin.add': 'Añadir producto',
+  'admin.import': 'Importar CSV o JSON',
+  'admin.importing': 'Importando...',
+  'admin.export.csv': 'Exportar CSV',
+  'admin.export.json': 'Exportar JSON',
+  'admin.readOnly': 'Esta fuente de productos es de solo lectura. Puedes exportar los productos, pero no cambiarlos.',
+  'admin.loadError': 'No pudimos cargar los productos.',
+  'admin.newProduct': 'Nuevo producto',
+  'admin.editProduct': 'Editar {title}',
+  'admin.deleteProduct': 'Eliminar {title}',
+  'admin.confirmDelete': '¿Eliminar {title}?',
+  'admin.cancel': 'Cancelar',
+  'admin.save': 'Guardar producto',
+  'admin.saving': 'Guardando...',
+  'admin.saveError': 'No se pudo guardar el producto: {message}',
+  'admin.deleteError': 'No se pudo eliminar el producto: {message}',
+  'admin.untracked': 'Sin seguimiento',
+  'admin.stockHint': 'Déjalo en blanco si no se controla el stock.',
+  'admin.stockFromVariants': 'El total de las variantes de este producto. Cambia el stock de cada SKU con una importación JSON.',
+  'admin.field.title': 'Título',
+  'admin.field.category': 'Categoría',
+  'admin.field.price': 'Precio (USD)',
+  'admin.field.stock': 'Stock',
+  'admin.field.image': 'URL de la imagen',
+  'admin.field.description': 'Descripción',
+  'admin.error.title': 'Introduce un título.',
+  'admin.error.price': 'Introduce un precio mayor que 0 con dos decimales como máximo.',
+  'admin.error.category': 'Introduce una categoría.',
+  'admin.error.image': 'Introduce una URL http o https.',
+  'admin.error.stock': 'Introduce un número entero igual o mayor que 0.',
+  'admin.error.duplicateId': 'Este id ya aparece antes en el archivo.',
+  'admin.error.variants': 'Cada variante necesita un SKU único, un valor para cada opción y un precio y stock válidos.',
+  'admin.error.notFound': 'Este producto ya no existe.',
+  'admin.error.exists': 'Ya existe un producto con este id.',
+  'admin.import.unclosedQuote': 'El archivo tiene un valor entre comillas que no se cierra.',
+  'admin.import.missingColumns': 'Al archivo le faltan estas columnas: {columns}.',
+  'admin.import.invalidJson': 'El archivo no es un JSON válido.',
+  'admin.import.notAList': 'El archivo JSON debe contener una lista de productos.',
+  'admin.importSummary': 'Se importaron {created} productos nuevos y {updated} actualizados.',
+  'admin.importFailed': { one: 'No se importó {count} fila:', other: 'No se importaron {count} filas:' },
+  'admin.column.row': 'Fila',
+  'admin.column.problems': 'Problemas',
+  'admin.column.actions': 'Acciones',
+
+  'offline.banner': 'No tienes conexión. Puedes seguir viendo los productos guardados y editando tu carrito.',
+  'offline.pendingOrders': {
+    one: 'Se realizará {count} pedido cuando vuelvas a estar en línea.',
+    other: 'Se realizarán {count} pedidos cuando vuelvas a estar en línea.'
+  },
+  'offline.orderPlaced': 'El pedido que hiciste sin conexión se ha realizado. Tu número de pedido es {id}.',
+  'offline.conflictTitle': 'Revisa tu pedido sin conexión',
+  'offline.conflictEmpty': 'Ya no se puede pedir ninguno de sus artículos.',
+  'offline.placeUpdated': 'Realizar pedido con estos cambios',
+  'offline.cancelOrder': 'Cancelar pedido',
+
+  'reviews.title': 'Opiniones de clientes',
+  'reviews.basedOn': { one: 'Basado en {count} valoración', other: 'Basado en {count} valoraciones' },
+  'reviews.histogramLabel': { one: 'De {count} opinión escrita', other: 'De {count} opiniones escritas' },
+  'reviews.stars': { one: '{count} estrella', other: '{count} estrellas' },
+  'reviews.loading': 'Cargando opiniones...',
+  'reviews.loadError': 'No pudimos cargar las opiniones.',
+  'reviews.empty': 'Aún no hay opiniones escritas. Sé el primero en contar qué te parece.',
+  'reviews.sort.newest': 'Más recientes',
+  'reviews.sort.helpful': 'Más útiles',
+  'reviews.helpful': 'Útil ({count})',
+  'reviews.write': 'Escribe una opinión',
+  'reviews.field.rating': 'Tu valoración',
+  'reviews.field.author': 'Nombre que se mostrará con tu opinión',
+  'reviews.field.body': 'Tu opinión',
+  'reviews.bodyHint': '{length} de {max} caracteres; al menos {min}.',
+  'reviews.error.rating': 'Elige una valoración de 1 a 5 estrellas.',
+  'reviews.error.author': 'Introduce un nombre de hasta 50 caracteres.',
+  'reviews.error.bodyShort': 'Escribe al menos {min} caracteres.',
+  'reviews.error.bodyLong': 'Tu opinión debe tener menos de {max} caracteres.',
+  'reviews.submit': 'Publicar opinión',
+  'reviews.submitting': 'Publicando...',
+  'reviews.submitError': 'No pudimos publicar tu opinión. Inténtalo de nuevo.',
+  'reviews.posted': '¡Gracias! Tu opinión se ha publicado.',
+
+  'account.title': 'Tu cuenta',
+  'account.signIn': 'Iniciar sesión',
+  'account.signUp': 'Crear cuenta',
+  'account.signOut': 'Cerrar sesión',
+  'account.submitting': 'Un momento...',
+  'account.loading': 'Cargando tu cuenta...',
+  'account.cartMergeHint': 'Lo que tengas ahora en el carrito se añadirá al carrito guardado en tu cuenta.',
+  'account.field.name': 'Nombre',
+  'account.field.email': 'Correo electrónico',
+  'account.field.password': 'Contraseña',
+  'account.passwordHint': 'Al menos {min} caracteres.',
+  'account.error.email': 'Introduce un correo electrónico válido.',
+  'account.error.passwordRequired': 'Introduce tu contraseña.',
+  'account.error.passwordShort': 'Usa al menos {min} caracteres.',
+  'account.error.name': 'Introduce un nombre de hasta 80 caracteres.',
+  'account.error.emailTaken': 'Ya existe una cuenta con este correo. Inicia sesión.',
+  'account.error.invalidCredentials': 'El correo y la contraseña no coinciden con ninguna cuenta.',
+  'account.error.noAccount': 'Esta cuenta ya no existe.',
+  'account.error.insecureOrigin': 'Las cuentas necesitan una conexión segura (https). Abre la tienda con https e inténtalo de nuevo.',
+  'account.error.generic': 'Algo salió mal. Inténtalo de nuevo.',
+  'account.greeting': 'Hola, {name}',
+  'account.orderHistory': 'Historial de pedidos',
+  'account.addresses': 'Direcciones guardadas',
+  'account.addAddress': 'Añadir dirección',
+  'account.noAddresses': 'Aún no tienes direcciones guardadas. Las que guardes aquí se ofrecerán al pagar.',
+  'account.default': 'Predeterminada',
+  'account.edit': 'Editar',
+  'account.editAddress': 'Editar la dirección de {name}',
+  'account.makeDefault': 'Usar como predeterminada',
+  'account.remove': 'Eliminar',
+  'account.removeAddress': 'Eliminar la dirección de {name}',
+  'account.cancel': 'Cancelar',
+  'account.saving': 'Guardando...',
+  'account.saveAddress': 'Guardar dirección',
+  'account.addressSaveError': 'No pudimos guardar esta dirección. Inténtalo de nuevo.',
+
+  'orders.title': 'Historial de pedidos',
+  'orders.backToAccount': 'Volver a la cuenta',
+  'orders.loading': 'Cargando tus pedidos...',
+  'orders.loadError': 'No pudimos cargar tus pedidos.',
+  'orders.empty': 'Todavía no has hecho ningún pedido.',
+  'orders.signInRequired': 'Inicia sesión para ver tus pedidos.',
+  'orders.status.placed': 'Realizado',
+
+  'compare.toggle': 'Comparar',
+  'compare.full': 'Puedes comparar hasta {max} productos. Quita uno para añadir otro.',
+  'compare.added': 'Se añadió {title} a la comparación, {count} de {max}.',
+  'compare.removed': 'Se quitó {title} de la comparación.',
+  'compare.trayLabel': 'Productos para comparar',
+  'compare.count': '{count} de {max}',
+  'compare.open': 'Comparar ahora',
+  'compare.pickAnother': 'Elige un producto más para comparar.',
+  'compare.clear': 'Quitar todos',
+  'compare.remove': 'Quitar {title} de la comparación',
+  'compare.title': 'Comparar productos',
+  'compare.caption': { one: 'Comparación de {count} producto', other: 'Comparación de {count} productos' },
+  'compare.legend': 'Las filas resaltadas son aquellas en las que los productos difieren.',
+  'compare.differs': 'Difiere',
+  'compare.empty': 'Aún no hay nada que comparar. Marca "Comparar" en hasta 4 productos del catálogo.',
+  'compare.addToCart': 'Añadir {title} al carrito',
+  'compare.field.price': 'Precio',
+  'compare.field.category': 'Categoría',
+  'compare.field.rating': 'Valoración',
+  'compare.field.reviewCount': 'Reseñas',
+  'compare.field.stock': 'Disponibilidad',
+  'compare.field.description': 'Descripción',
+
+  'recommendations.recentlyViewed': 'Vistos recientemente',
+  'recommendations.clearHistory': 'Borrar historial',
+  'recommendations.boughtTogether': 'Otros clientes también compraron',
+  'recommendations.sameCategory': 'Más de esta categoría',
+  'recommendations.similarPrice': 'A un precio similar',
+  'recommendations.addToCart': 'Añadir {title} al carrito',
+
+  'variants.chooseOptions': 'Elige las opciones de {title}',
+  'variants.unavailable': 'Esta combinación no está disponible',
+  'variants.soldOut': 'Agotado',
+  'variants.soldOutValue': '{value} (agotado)',
+  'variants.optionLabel': '{name}: {value}',
+  'promotion.categoryPercent': 'Rebajas en {category}: {percent}% de descuento',
+  'promotion.freeShipping': 'Envío estándar gratis en pedidos de más de {minSubtotal}',
+  'promotion.percent': '{percent}% de descuento en tu pedido',
+  'promotion.fixed': '{amount} de descuento en pedidos de más de {minSubtotal}',
+  'promotion.buyXGetY': '{category}: compra {buy} y llévate {get} gratis',
+  'promotion.springSale': '{percent}% de descuento en las rebajas de primavera',
+  'nav.backToCatalog': 'Volver al catálogo',
+  'notFound.title': 'Página no encontrada',
+
+  'checkout.title': 'Pago',
+  'checkout.backToCart': 'Volver al carrito',
+  'checkout.step.address': 'Dirección',
+  'checkout.step.shipping': 'Envío',
+  'checkout.step.review': 'Revisión',
+  'checkout.step.confirmation': 'Confirmación',
+  'checkout.optional': '(opcional)',
+  'checkout.savedAddress': 'Dirección guardada',
+  'checkout.newAddress': 'Introducir una dirección nueva',
+  'checkout.contact': 'Contacto',
+  'checkout.shippingAddress': 'Dirección de envío',
+  'checkout.field.fullName': 'Nombre completo',
+  'checkout.field.email': 'Correo electrónico',
+  'checkout.field.phone': 'Teléfono',
+  'checkout.field.line1': 'Dirección',
+  'checkout.field.line2': 'Piso, puerta, etc.',
+  'checkout.field.city': 'Ciudad',
+  'checkout.field.region': 'Estado / Provincia',
+  'checkout.field.postalCode': 'Código postal',
+  'checkout.field.country': 'País',
+  'checkout.error.fullName': 'Introduce tu nombre completo',
+  'checkout.error.email': 'Introduce un correo electrónico válido',
+  'checkout.error.phone': 'Introduce un número de teléfono válido',
+  'checkout.error.line1': 'Introduce una dirección',
+  'checkout.error.city': 'Introduce una ciudad',
+  'checkout.error.postalCode': 'Introduce un código postal válido',
+  'checkout.error.country': 'Elige un país',
+  'checkout.continueToShipping': 'Continuar al envío',
+  'checkout.shippingMethod': 'Método de envío',
+  'checkout.free': 'Gratis',
+  'checkout.back': 'Atrás',
+  'checkout.reviewOrder': 'Revisar pedido',
+  'checkout.shipTo': 'Enviar a',
+  'checkout.shipping': 'Envío',
+  'checkout.subtotal': 'Subtotal',
+  'checkout.tax': 'Impuestos',
+  'checkout.total': 'Total',
+  'checkout.placeOrder': 'Realizar pedido',
+  'checkout.placeOrderOffline': 'Realizar pedido al recuperar la conexión',
+  'checkout.placingOrder': 'Realizando pedido...',
+  'checkout.submitError': 'No pudimos realizar tu pedido. Inténtalo de nuevo.',
+  'checkout.thanks': '¡Gracias por tu pedido!',
+  'checkout.orderNumber': 'Tu número de pedido es',
+  'checkout.confirmationSent': 'Hemos enviado una confirmación a {email}.',
+  'checkout.continueShopping': 'Seguir comprando',
+  'checkout.queuedTitle': 'Tu pedido está guardado',
+  'checkout.queuedBody': 'No tienes conexión, así que realizaremos tu pedido en cuanto vuelva y enviaremos una confirmación a {email}.',
+
+  'shipping.standard': 'Estándar',
+  'shipping.standard.eta': '5-7 días hábiles',
+  'shipping.express': 'Exprés',
+  'shipping.express.eta': '2-3 días hábiles',
+  'shipping.overnight': 'Al día siguiente',
+  'shipping.overnight.eta': 'Siguiente día hábil',
+
+  'country.United States': 'Estados Unidos',
+  'country.Canada': 'Canadá',
+  'country.United Kingdom': 'Reino Unido',
+  'country.Germany': 'Alemania',
+  'country.France': 'Francia',
+  'country.India': 'India',
+  'country.Australia': 'Australia',
+
+  'category.electronics': 'Electrónica',
+  'category.jewelery': 'Joyería',
+  'category.men\'s clothing': 'Ropa de hombre',
+  'category.women\'s clothing': 'Ropa de mujer'
+};
@@ -0,0 +1,56 @@
+// All amounts are integers in the currency's minor unit (cents for USD)
+export const BASE_CURRENCY = 'USD';
+
+// Units of each currency per 1 USD; swap in live rates through CurrencyProvider
+export const DEFAULT_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CAD: 1.36,
+  INR: 83.2,
+  JPY: 151
+};
+
+const formatters = new Map();
+
+const getFormatter = (currency, locale) => {
+  const key = `${locale || ''}|${currency}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale, { style: 'currency', currency }));
+  }
+  return formatters.get(key);
+};
+
+// JPY has no minor unit, most currencies have two decimals
+export const getMinorDigits = (currency) => {
+  return getFormatter(currency, 'en-US').resolvedOptions().maximumFractionDigits;
+};
+
+// Catalog prices arrive as decimals; convert once at the edge
+export const toMinorUnits = (amount, currency = BASE_CURRENCY) => {
+  return Math.round(Number(amount) * 10 ** getMinorDigits(currency));
+};
+
+export const fromMinorUnits = (minor, currency = BASE_CURRENCY) => {
+  return minor / 10 ** getMinorDigits(currency);
+};
+
+export const multiply = (minor, quantity) => Math.round(minor * quantity);
+
+export const sum = (amounts) => amounts.reduce((total, amount) => total + amount, 0);
+
+// Percentage of an amount, rounded half away from zero to a whole minor unit
+export const percentOf = (minor, rate) => Math.round(minor * rate);
+
+export const convert = (minor, { from = BASE_CURRENCY, to, rates = DEFAULT_RATES }) => {
+  if (from === to) return minor;
+  if (!rates[from] || !rates[to]) {
+    throw new Error(`No exchange rate for ${rates[from] ? to : from}`);
+  }
+  const major = fromMinorUnits(minor, from) / rates[from] * rates[to];
+  return toMinorUnits(major, to);
+};
+
+export const formatMoney = (minor, currency = BASE_CURRENCY, locale) => {
+  return getFormatter(currency, locale).format(fromMinorUnits(minor, currency));
+};
@@ -0,0 +1,116 @@
+import { useEffect, useState } from 'react';
+import { readJson, writeJson, subscribeToKey } from './storage';
+
+const QUEUE_KEY = 'mini-ecommerce:offline-queue';
+// Web Lock held while replaying, so only one tab sends the queue at a time
+const REPLAY_LOCK = 'mini-ecommerce:offline-queue-replay';
+
+// A send that never finished (tab closed mid-request) is retried after this
+const STALE_SEND_MS = 60 * 1000;
+
+// Same-tab subscribers; other tabs hear about writes through storage events
+const listeners = new Set();
+
+export const readQueue = () => {
+  const saved = readJson(QUEUE_KEY);
+  return Array.isArray(saved) ? saved : [];
+};
+
+const writeQueue = (queue) => {
+  writeJson(QUEUE_KEY, queue);
+  listeners.forEach(listener => listener(queue));
+};
+
+// Actions are `{ id, type, payload, status, queuedAt }`. Status is 'pending'
+// until replayed, 'sending' while a replay is in flight, or 'conflict' when
+// the handler needs the shopper to decide.
+export const enqueueAction = (type, payload) => {
+  const action = {
+    id: `${type}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    payload,
+    status: 'pending',
+    queuedAt: Date.now()
+  };
+  writeQueue([...readQueue(), action]);
+  return action;
+};
+
+export const updateQueuedAction = (id, changes) => {
+  writeQueue(readQueue().map(action => (action.id === id ? { ...action, ...changes } : action)));
+};
+
+export const removeQueuedAction = (id) => {
+  writeQueue(readQueue().filter(action => action.id !== id));
+};
+
+const isReady = (action) => action.status === 'pending'
+  || (action.status === 'sending' && Date.now() - action.sendingSince > STALE_SEND_MS);
+
+const replayPending = async (handlers) => {
+  const completed = [];
+
+  for (const action of readQueue().filter(isReady)) {
+    const handler = handlers[action.type];
+    if (!handler) continue;
+
+    // Marked first so the queue shows it in flight; the replay lock, not
+    // this mark, is what keeps other tabs from sending it too
+    updateQueuedAction(action.id, { status: 'sending', sendingSince: Date.now() });
+    try {
+      // The action id doubles as an idempotency key, so a send repeated after
+      // a stale 'sending' mark or in a browser without Web Locks is harmless
+      const outcome = await handler(action.payload, { idempotencyKey: action.id });
+      if (outcome.status === 'done') {
+        removeQueuedAction(action.id);
+        completed.push({ ...action, result: outcome.result });
+      } else {
+        updateQueuedAction(action.id, { status: 'conflict', conflict: outcome.conflict });
+      }
+    } catch (error) {
+      // Still unreachable; keep this and everything after it for the next try
+      console.warn(`Replaying ${action.type} failed:`, error);
+      updateQueuedAction(action.id, { status: 'pending' });
+      break;
+    }
+  }
+
+  return completed;
+};
+
+// Every open tab hears the same `online` event; the lock makes the others
+// wait, and they then find the queue already sent
+const withReplayLock = (replay) => {
+  const locks = typeof navigator !== 'undefined' && navigator.locks;
+  return locks ? locks.request(REPLAY_LOCK, replay) : replay();
+};
+
+let replaying = null;
+
+// Replays pending actions oldest first. Each handler is called with the
+// payload and `{ idempotencyKey }`, resolves to `{ status: 'done', result }`
+// or `{ status: 'conflict', conflict }`, and throws to leave the action
+// queued. Resolves with the completed actions.
+export const replayQueue = (handlers) => {
+  if (!replaying) {
+    replaying = withReplayLock(() => replayPending(handlers)).finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+};
+
+export const useOfflineQueue = () => {
+  const [queue, setQueue] = useState(readQueue);
+
+  useEffect(() => {
+    listeners.add(setQueue);
+    const unsubscribe = subscribeToKey(QUEUE_KEY, saved => setQueue(Array.isArray(saved) ? saved : []));
+    return () => {
+      listeners.delete(setQueue);
+      unsubscribe();
+    };
+  }, []);
+
+  return queue;
+};
@@ -0,0 +1,76 @@
+// Each tab gets its own copy of the module, as separate pages would
+const openTab = () => {
+  let queue;
+  jest.isolateModules(() => {
+    queue = require('./offlineQueue');
+  });
+  return queue;
+};
+
+// Grants each named lock to one holder at a time, in request order
+const createLocks = () => {
+  const tails = new Map();
+  const locks = {
+    held: new Set(),
+    request: (name, callback) => {
+      const granted = (tails.get(name) || Promise.resolve())
+        .then(() => {
+          locks.held.add(name);
+          return callback();
+        })
+        .finally(() => locks.held.delete(name));
+      tails.set(name, granted.catch(() => {}));
+      return granted;
+    }
+  };
+  return locks;
+};
+
+describe('replayQueue', () => {
+  const sent = [];
+  const lockedSends = [];
+  const handlers = {
+    submitOrder: async (payload, { idempotencyKey }) => {
+      sent.push(idempotencyKey);
+      lockedSends.push(Boolean(navigator.locks && navigator.locks.held.size === 1));
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return { status: 'done', result: { id: `ORD-${sent.length}` } };
+    }
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    sent.length = 0;
+    lockedSends.length = 0;
+  });
+
+  afterEach(() => {
+    delete navigator.locks;
+  });
+
+  it('sends each queued action from one tab only when several come back online together', async () => {
+    navigator.locks = createLocks();
+    const firstTab = openTab();
+    const secondTab = openTab();
+    const action = firstTab.enqueueAction('submitOrder', { cart: [] });
+
+    const [firstDone, secondDone] = await Promise.all([
+      firstTab.replayQueue(handlers),
+      secondTab.replayQueue(handlers)
+    ]);
+
+    expect(sent).toEqual([action.id]);
+    expect(lockedSends).toEqual([true]);
+    expect(firstDone.length + secondDone.length).toBe(1);
+    expect(firstTab.readQueue()).toEqual([]);
+  });
+
+  it('passes the action id as the idempotency key without Web Locks', async () => {
+    const tab = openTab();
+    const action = tab.enqueueAction('submitOrder', { cart: [] });
+
+    const completed = await tab.replayQueue(handlers);
+    expect(sent).toEqual([action.id]);
+    expect(completed.map(done => done.id)).toEqual([action.id]);
+  });
+});
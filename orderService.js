@@ -0,0 +1,98 @@
+import { createContext, useContext } from 'react';
+import { readJson, writeJson } from './storage';
+
+const ORDERS_KEY = 'mini-ecommerce:orders';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// `userId` narrows the list to one account's orders, newest first
+const filterOrders = (orders, { userId } = {}) => orders
+  .filter(order => userId === undefined || order.userId === userId)
+  .sort((a, b) => b.placedAt.localeCompare(a.placedAt));
+
+// Shared by the memory and localStorage services. Every call starts from a
+// fresh `load()`, so orders placed from another tab are neither lost nor
+// given the same id; `save` gets the full list after every order. An order
+// submitted again under the same `idempotencyKey` returns the first one.
+const createOrderStore = (name, { load, save }, latency) => {
+  const nextId = (orders) => {
+    const highest = orders.reduce((max, order) => Math.max(max, Number(order.id.slice(4)) || 0), 1000);
+    return `ORD-${highest + 1}`;
+  };
+
+  return {
+    name,
+    submitOrder: async (order, { idempotencyKey } = {}) => {
+      await wait(latency);
+      const orders = load();
+      const existing = idempotencyKey && orders.find(saved => saved.idempotencyKey === idempotencyKey);
+      if (existing) return { ...existing };
+
+      const placed = {
+        ...order,
+        ...(idempotencyKey && { idempotencyKey }),
+        id: nextId(orders),
+        status: 'placed',
+        placedAt: new Date().toISOString()
+      };
+      save([...orders, placed]);
+      return placed;
+    },
+    listOrders: async (query) => filterOrders(load(), query).map(order => ({ ...order }))
+  };
+};
+
+// Keeps orders in memory; stands in for the real backend during development
+export const createMemoryOrderService = ({ latency = 400 } = {}) => {
+  let orders = [];
+  return createOrderStore('memory', {
+    load: () => orders,
+    save: (next) => {
+      orders = next;
+    }
+  }, latency);
+};
+
+// Keeps orders in this browser, so order history survives a reload
+export const createLocalOrderService = ({ latency = 400, key = ORDERS_KEY } = {}) => createOrderStore('local', {
+  load: () => {
+    const saved = readJson(key);
+    return Array.isArray(saved) ? saved : [];
+  },
+  save: (orders) => writeJson(key, orders)
+}, latency);
+
+// Posts orders to an HTTP endpoint that responds with the stored order.
+// An `idempotencyKey` goes out as the Idempotency-Key header.
+export const createRestOrderService = ({ url, fetchImpl = (...args) => fetch(...args) }) => ({
+  name: 'rest',
+  submitOrder: async (order, { idempotencyKey } = {}) => {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
+      },
+      body: JSON.stringify(order)
+    });
+    if (!response.ok) {
+      throw new Error(`Order submission failed with status ${response.status}`);
+    }
+    return response.json();
+  },
+  listOrders: async ({ userId } = {}) => {
+    const response = await fetchImpl(userId === undefined ? url : `${url}?userId=${encodeURIComponent(userId)}`);
+    if (!response.ok) {
+      throw new Error(`Loading orders failed with status ${response.status}`);
+    }
+    return response.json();
+  }
+});
+
+export const defaultOrderService = createLocalOrderService();
+
+export const OrderServiceContext = createContext(defaultOrderService);
+
+export const OrderServiceProvider = OrderServiceContext.Provider;
+
+export const useOrderService = () => useContext(OrderServiceContext);
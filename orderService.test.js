@@ -0,0 +1,41 @@
+import { createLocalOrderService, createRestOrderService } from './orderService';
+
+describe('createLocalOrderService', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('keeps orders placed from another tab and never reuses their ids', async () => {
+    const firstTab = createLocalOrderService({ latency: 0 });
+    const secondTab = createLocalOrderService({ latency: 0 });
+
+    const first = await firstTab.submitOrder({ items: [], userId: 'u1' });
+    const second = await secondTab.submitOrder({ items: [], userId: 'u1' });
+    const third = await firstTab.submitOrder({ items: [], userId: 'u2' });
+
+    expect([first.id, second.id, third.id]).toEqual(['ORD-1001', 'ORD-1002', 'ORD-1003']);
+    expect((await secondTab.listOrders()).map(order => order.id).sort()).toEqual(['ORD-1001', 'ORD-1002', 'ORD-1003']);
+    expect(await firstTab.listOrders({ userId: 'u2' })).toHaveLength(1);
+  });
+
+  it('places an order only once per idempotency key', async () => {
+    const firstTab = createLocalOrderService({ latency: 0 });
+    const secondTab = createLocalOrderService({ latency: 0 });
+
+    const first = await firstTab.submitOrder({ items: [] }, { idempotencyKey: 'submitOrder-1' });
+    const repeat = await secondTab.submitOrder({ items: [] }, { idempotencyKey: 'submitOrder-1' });
+    const other = await secondTab.submitOrder({ items: [] }, { idempotencyKey: 'submitOrder-2' });
+
+    expect(repeat.id).toBe(first.id);
+    expect(other.id).not.toBe(first.id);
+    expect(await firstTab.listOrders()).toHaveLength(2);
+  });
+});
+
+describe('createRestOrderService', () => {
+  it('sends the idempotency key as a header', async () => {
+    const fetchImpl = jest.fn(async () => ({ ok: true, json: async () => ({ id: 'ORD-1' }) }));
+    const service = createRestOrderService({ url: '/orders', fetchImpl });
+
+    await service.submitOrder({ items: [] }, { idempotencyKey: 'submitOrder-1' });
+    expect(fetchImpl.mock.calls[0][1].headers['Idempotency-Key']).toBe('submitOrder-1');
+  });
+});
@@ -0,0 +1,257 @@
+import { hasVariants } from './variants';
+import { ProductSourceError, describeLoadError } from './productSource';
+
+// Editable product fields, also the CSV columns in import and export order.
+// Options and variants only travel in JSON; CSV has no room for them.
+export const PRODUCT_FIELDS = ['id', 'title', 'price', 'category', 'image', 'description', 'stock'];
+
+const REQUIRED_COLUMNS = ['title', 'price', 'category'];
+
+// Form values are strings; blank stock means the product isn't stock-tracked
+export const emptyProductForm = {
+  title: '',
+  price: '',
+  category: '',
+  image: '',
+  description: '',
+  stock: ''
+};
+
+export const toFormValues = (product) => ({
+  title: product.title,
+  price: String(product.price),
+  category: product.category,
+  image: product.image,
+  description: product.description,
+  stock: product.stock == null ? '' : String(product.stock)
+});
+
+const PRICE_PATTERN = /^\d+(\.\d{1,2})?$/;
+const STOCK_PATTERN = /^\d+$/;
+
+const isStockValue = (value) => value == null || (Number.isInteger(value) && value >= 0);
+
+// Imported options and variants: every SKU unique, with a value for every
+// option and a valid price and stock. Price and image may be left out.
+const isValidVariantData = (record) => {
+  const { options, variants } = record;
+  if (!Array.isArray(options) || !Array.isArray(variants) || variants.length === 0) return false;
+  if (!options.every(option => option && option.name && Array.isArray(option.values))) return false;
+
+  const skus = new Set();
+  return variants.every(variant => {
+    if (!variant || variant.sku == null || String(variant.sku) === '' || skus.has(String(variant.sku))) return false;
+    skus.add(String(variant.sku));
+    return variant.options != null
+      && options.every(option => option.values.map(String).includes(String(variant.options[option.name])))
+      && (variant.price == null || (PRICE_PATTERN.test(String(variant.price)) && Number(variant.price) > 0))
+      && isStockValue(variant.stock);
+  });
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Returns a map of field name to message key; empty when the values are valid
+export const validateProductForm = (values) => {
+  const errors = {};
+
+  if (!values.title.trim()) errors.title = 'admin.error.title';
+  if (!PRICE_PATTERN.test(values.price.trim()) || Number(values.price) <= 0) errors.price = 'admin.error.price';
+  if (!values.category.trim()) errors.category = 'admin.error.category';
+  if (values.image.trim() && !isHttpUrl(values.image.trim())) errors.image = 'admin.error.image';
+  if (values.stock.trim() && !STOCK_PATTERN.test(values.stock.trim())) errors.stock = 'admin.error.stock';
+
+  return errors;
+};
+
+// Categories are matched and translated by key, so they're stored lower-case
+export const fromFormValues = (values) => ({
+  title: values.title.trim(),
+  price: Number(values.price),
+  category: values.category.trim().toLowerCase(),
+  image: values.image.trim(),
+  description: values.description.trim(),
+  stock: values.stock.trim() ? Number(values.stock) : null
+});
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) return null;
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const escapeCsvField = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (products) => [
+  PRODUCT_FIELDS.join(','),
+  ...products.map(product => PRODUCT_FIELDS.map(field => escapeCsvField(product[field])).join(','))
+].join('\r\n');
+
+export const toJson = (products) => JSON.stringify(
+  products.map(product => ({
+    ...Object.fromEntries(PRODUCT_FIELDS.map(field => [field, product[field] ?? null])),
+    ...(hasVariants(product) && { options: product.options, variants: product.variants })
+  })),
+  null,
+  2
+);
+
+const stringValue = (value) => (value == null ? '' : String(value));
+
+// Numeric ids stay numbers so they match the catalog's own
+const parseId = (id) => (Number.isFinite(Number(id)) ? Number(id) : id);
+
+// `row` is the number a spreadsheet would show: the header is row 1
+const rowsFromCsv = (text) => {
+  const table = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!table) return { error: { key: 'admin.import.unclosedQuote' } };
+
+  const [header = [], ...body] = table;
+  const columns = header.map(name => name.trim().toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    return { error: { key: 'admin.import.missingColumns', params: { columns: missing.join(', ') } } };
+  }
+
+  const rows = body
+    .map((cells, index) => ({
+      row: index + 2,
+      record: Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? '']))
+    }))
+    .filter(({ record }) => Object.values(record).some(value => value.trim() !== ''));
+  return { rows };
+};
+
+const rowsFromJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { error: { key: 'admin.import.invalidJson' } };
+  }
+
+  const records = Array.isArray(data) ? data : data && data.products;
+  if (!Array.isArray(records)) return { error: { key: 'admin.import.notAList' } };
+  return { rows: records.map((record, index) => ({ row: index + 1, record: record || {} })) };
+};
+
+// Parses an import file and checks every row. Returns `{ error }` when the
+// file itself is unusable, otherwise the importable products and a
+// `{ row, errors }` entry for each rejected row.
+export const readProductImport = (text, format) => {
+  const { rows, error } = format === 'json' ? rowsFromJson(text) : rowsFromCsv(text);
+  if (error) return { error };
+
+  const products = [];
+  const rejected = [];
+  const seenIds = new Set();
+
+  rows.forEach(({ row, record }) => {
+    const values = Object.fromEntries(Object.keys(emptyProductForm).map(field => [field, stringValue(record[field])]));
+    const errors = validateProductForm(values);
+    const id = stringValue(record.id).trim();
+    if (id && seenIds.has(id)) errors.id = 'admin.error.duplicateId';
+    const withVariants = record.variants != null;
+    if (withVariants && !isValidVariantData(record)) errors.variants = 'admin.error.variants';
+
+    if (Object.keys(errors).length > 0) {
+      rejected.push({ row, errors });
+      return;
+    }
+    if (id) seenIds.add(id);
+    // Columns the file leaves out are left alone on existing products. A
+    // product with variants gets its stock from them, so its own is ignored.
+    const fields = fromFormValues(values);
+    const provided = Object.keys(fields).filter(field => field in record && !(withVariants && field === 'stock'));
+    products.push({
+      row,
+      id: id || null,
+      fields: {
+        ...Object.fromEntries(provided.map(field => [field, fields[field]])),
+        ...(withVariants && { options: record.options, variants: record.variants })
+      }
+    });
+  });
+
+  return { products, rejected };
+};
+
+// Message descriptor for a failed save, delete or import. Errors the admin
+// can act on get their own message; the rest read like a failed catalog load.
+export const describeAdminError = (error, { online = true } = {}) => {
+  if (online && error instanceof ProductSourceError) {
+    if (error.status === 404) return { key: 'admin.error.notFound', params: {} };
+    if (error.status === 409) return { key: 'admin.error.exists', params: {} };
+  }
+  return describeLoadError(error, { online });
+};
+
+// Rows whose id matches an existing product update it; the rest are created.
+// Source failures are collected per row, with the error, so one bad row
+// doesn't stop the import.
+export const importProducts = async (source, products, existingIds) => {
+  const known = new Set([...existingIds].map(String));
+  const result = { created: 0, updated: 0, failed: [] };
+
+  for (const { row, id, fields } of products) {
+    try {
+      if (id && known.has(id)) {
+        await source.updateProduct(id, fields);
+        result.updated += 1;
+      } else {
+        const created = await source.createProduct(id ? { ...fields, id: parseId(id) } : fields);
+        known.add(String(created.id));
+        result.created += 1;
+      }
+    } catch (error) {
+      result.failed.push({ row, error });
+    }
+  }
+
+  return result;
+};
@@ -0,0 +1,63 @@
+import { toJson, readProductImport, importProducts, describeAdminError } from './productAdmin';
+import { createMemorySource, ProductSourceError } from './productSource';
+import fixture from './products.fixture.json';
+
+const tee = fixture.find(product => product.id === 2);
+
+describe('product JSON import and export', () => {
+  it('round-trips options and variants', async () => {
+    const source = createMemorySource(fixture);
+    const before = await source.getProduct(2);
+
+    const { products, rejected } = readProductImport(toJson([before]), 'json');
+    expect(rejected).toEqual([]);
+    await importProducts(source, products, [2]);
+
+    const after = await source.getProduct(2);
+    expect(after.options).toEqual(before.options);
+    expect(after.variants).toEqual(before.variants);
+    expect(after.stock).toBe(12);
+  });
+
+  it('takes stock from the variants rather than the stock column', () => {
+    const variants = tee.variants.map(variant => ({ ...variant, stock: 1 }));
+    const { products } = readProductImport(JSON.stringify([{ ...tee, stock: 99, variants }]), 'json');
+    expect(products[0].fields).not.toHaveProperty('stock');
+    expect(products[0].fields.variants).toEqual(variants);
+  });
+
+  it('rejects duplicate SKUs and unknown option values', () => {
+    const duplicate = [{ ...tee, variants: [tee.variants[0], tee.variants[0]] }];
+    const unknownValue = [{ ...tee, variants: [{ ...tee.variants[0], options: { Size: 'XXL', Color: 'Grey' } }] }];
+
+    expect(readProductImport(JSON.stringify(duplicate), 'json').rejected).toEqual([{ row: 1, errors: { variants: 'admin.error.variants' } }]);
+    expect(readProductImport(JSON.stringify(unknownValue), 'json').rejected).toEqual([{ row: 1, errors: { variants: 'admin.error.variants' } }]);
+  });
+});
+
+describe('describeAdminError', () => {
+  it('names the problems an admin can act on', () => {
+    expect(describeAdminError(new ProductSourceError('Product 9 does not exist', { status: 404 })))
+      .toEqual({ key: 'admin.error.notFound', params: {} });
+    expect(describeAdminError(new ProductSourceError('Product 9 already exists', { status: 409 })))
+      .toEqual({ key: 'admin.error.exists', params: {} });
+  });
+
+  it('describes everything else like a failed catalog load', () => {
+    expect(describeAdminError(new ProductSourceError('Product request failed with status 500', { status: 500 })))
+      .toEqual({ key: 'catalog.loadError.status', params: { status: '500' } });
+    expect(describeAdminError(new TypeError('Failed to fetch'), { online: false }))
+      .toEqual({ key: 'catalog.loadError.offline', params: {} });
+  });
+
+  it('gets the error of each row an import could not write', async () => {
+    const source = createMemorySource(fixture);
+    const { products } = readProductImport(toJson([tee, { ...tee, id: 999 }]), 'json');
+    // 999 was in the catalog when the import started, then deleted
+    const result = await importProducts(source, products, [2, 999]);
+
+    expect(result.updated).toBe(1);
+    expect(result.failed.map(({ row, error }) => [row, describeAdminError(error).key]))
+      .toEqual([[2, 'admin.error.notFound']]);
+  });
+});
@@ -0,0 +1,240 @@
+import { createContext, useContext } from 'react';
+import fixtureProducts from './products.fixture.json';
+import { normalizeVariantFields } from './variants';
+
+export const DEFAULT_API_URL = 'https://fakestoreapi.com/products';
+
+const toNumber = (value, fallback = 0) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+// Map any supported record shape onto the fields App reads
+export const normalizeProduct = (raw) => {
+  const rating = raw.rating || {};
+  const stock = raw.stock ?? raw.quantity;
+  const price = toNumber(raw.price);
+  const image = raw.image ?? raw.imageUrl ?? raw.thumbnail ?? '';
+
+  return {
+    id: raw.id ?? raw.sku ?? raw._id,
+    title: String(raw.title ?? raw.name ?? ''),
+    price,
+    category: String(raw.category ?? ''),
+    image,
+    description: raw.description ?? '',
+    rating: {
+      rate: toNumber(rating.rate ?? raw.rate),
+      count: toNumber(rating.count ?? raw.reviewCount)
+    },
+    // Review counts are not inventory; leave stock untracked when unreported
+    stock: stock == null ? null : toNumber(stock, null),
+    ...(raw.lowStockThreshold != null && { lowStockThreshold: toNumber(raw.lowStockThreshold) }),
+    ...normalizeVariantFields(raw, { price, image })
+  };
+};
+
+export class ProductSourceError extends Error {
+  constructor(message, { status, retryable = true, cause } = {}) {
+    super(message);
+    this.name = 'ProductSourceError';
+    this.status = status;
+    this.retryable = retryable;
+    this.cause = cause;
+  }
+}
+
+const normalizeAll = (records, mapRecord) => {
+  if (!Array.isArray(records)) {
+    throw new ProductSourceError('Product source returned a non-array payload', { retryable: false });
+  }
+  return records.map(record => normalizeProduct(mapRecord(record)));
+};
+
+const identity = (record) => record;
+
+// Reject non-2xx responses and bodies that are not valid JSON
+const readJson = async (response) => {
+  if (!response.ok) {
+    // Client errors won't fix themselves; timeouts, rate limits and 5xx might
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    throw new ProductSourceError(`Product request failed with status ${response.status}`, {
+      status: response.status,
+      retryable
+    });
+  }
+
+  const body = await response.text();
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw new ProductSourceError('Product response was not valid JSON', {
+      status: response.status,
+      cause: error
+    });
+  }
+};
+
+// Message descriptor (`{ key, params }`) for a failed catalog load; the
+// error's own message is for the console, not the shopper
+export const describeLoadError = (error, { online = true } = {}) => {
+  if (!online) return { key: 'catalog.loadError.offline', params: {} };
+  if (error instanceof ProductSourceError) {
+    return error.status >= 400
+      ? { key: 'catalog.loadError.status', params: { status: String(error.status) } }
+      : { key: 'catalog.loadError.invalid', params: {} };
+  }
+  return { key: 'catalog.loadError.network', params: {} };
+};
+
+// Exponential backoff with a little jitter: ~1s, 2s, 4s, 8s...
+export const getRetryDelay = (attempt, { baseDelay = 1000, maxDelay = 30000 } = {}) => {
+  const delay = Math.min(baseDelay * 2 ** attempt, maxDelay);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Page of an already-loaded list, in the { items, total, hasMore } shape of listPage
+export const paginate = (products, { limit, offset = 0 }) => ({
+  items: products.slice(offset, offset + limit).map(product => ({ ...product })),
+  total: products.length,
+  hasMore: offset + limit < products.length
+});
+
+const defaultPageParams = ({ limit, offset }) => ({ limit, offset });
+
+const jsonRequest = (method, body) => ({
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+const notFound = (id) => new ProductSourceError(`Product ${id} does not exist`, { status: 404, retryable: false });
+
+// Reads products from a JSON endpoint such as fakestoreapi.com. Paged
+// responses may be a bare array or { items | products, total }; an
+// X-Total-Count header is used when the body has no total. Writes go to
+// POST {url} and PUT/DELETE {url}/{id}.
+export const createRestSource = ({
+  url = DEFAULT_API_URL,
+  mapRecord = identity,
+  pageParams = defaultPageParams,
+  fetchImpl = (...args) => fetch(...args)
+} = {}) => ({
+  name: 'rest',
+  listProducts: async () => {
+    const response = await fetchImpl(url);
+    const data = await readJson(response);
+    return normalizeAll(data, mapRecord);
+  },
+  listPage: async ({ limit, offset = 0 }) => {
+    const query = new URLSearchParams(pageParams({ limit, offset }));
+    const response = await fetchImpl(`${url}?${query}`);
+    const data = await readJson(response);
+    const records = Array.isArray(data) ? data : (data && (data.items || data.products));
+    const items = normalizeAll(records, mapRecord);
+
+    // Servers that ignore paging send the whole list; page it here instead
+    if (items.length > limit) {
+      return paginate(items, { limit, offset });
+    }
+
+    const headerTotal = response.headers && response.headers.get && response.headers.get('X-Total-Count');
+    const total = Number.isFinite(data && data.total) ? data.total : (headerTotal ? Number(headerTotal) : null);
+    return {
+      items,
+      total,
+      // Without a total, a full page means there may be more
+      hasMore: total !== null ? offset + items.length < total : items.length === limit
+    };
+  },
+  getProduct: async (id) => {
+    const response = await fetchImpl(`${url}/${encodeURIComponent(id)}`);
+    if (response.status === 404) {
+      return null;
+    }
+    const data = await readJson(response);
+    return data ? normalizeProduct(mapRecord(data)) : null;
+  },
+  createProduct: async (fields) => {
+    const response = await fetchImpl(url, jsonRequest('POST', fields));
+    return normalizeProduct(mapRecord(await readJson(response)));
+  },
+  updateProduct: async (id, changes) => {
+    const response = await fetchImpl(`${url}/${encodeURIComponent(id)}`, jsonRequest('PUT', changes));
+    return normalizeProduct(mapRecord(await readJson(response)));
+  },
+  deleteProduct: async (id) => {
+    const response = await fetchImpl(`${url}/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    await readJson(response);
+  }
+});
+
+// Serves a static list bundled with the app, e.g. products.fixture.json
+export const createJsonSource = (records = fixtureProducts, { mapRecord = identity } = {}) => {
+  const products = normalizeAll(records, mapRecord);
+
+  return {
+    name: 'json',
+    listProducts: async () => products.map(product => ({ ...product })),
+    listPage: async (page) => paginate(products, page),
+    getProduct: async (id) => {
+      const product = products.find(p => String(p.id) === String(id));
+      return product ? { ...product } : null;
+    }
+  };
+};
+
+// Mutable source for tests and local development
+export const createMemorySource = (records = []) => {
+  let products = normalizeAll(records, identity);
+
+  const indexOf = (id) => products.findIndex(p => String(p.id) === String(id));
+
+  // Numeric ids continue from the highest one in use
+  const nextId = () => products.reduce((max, p) => (Number.isFinite(Number(p.id)) ? Math.max(max, Number(p.id)) : max), 0) + 1;
+
+  return {
+    name: 'memory',
+    listProducts: async () => products.map(product => ({ ...product })),
+    listPage: async (page) => paginate(products, page),
+    getProduct: async (id) => {
+      const product = products.find(p => String(p.id) === String(id));
+      return product ? { ...product } : null;
+    },
+    setProducts: (next) => {
+      products = normalizeAll(next, identity);
+    },
+    createProduct: async (fields) => {
+      const id = fields.id ?? nextId();
+      if (indexOf(id) !== -1) {
+        throw new ProductSourceError(`Product ${id} already exists`, { status: 409, retryable: false });
+      }
+      const product = normalizeProduct({ ...fields, id });
+      products = [...products, product];
+      return { ...product };
+    },
+    updateProduct: async (id, changes) => {
+      const index = indexOf(id);
+      if (index === -1) throw notFound(id);
+      const product = normalizeProduct({ ...products[index], ...changes, id: products[index].id });
+      products = products.map((p, i) => (i === index ? product : p));
+      return { ...product };
+    },
+    deleteProduct: async (id) => {
+      if (indexOf(id) === -1) throw notFound(id);
+      products = products.filter(p => String(p.id) !== String(id));
+    }
+  };
+};
+
+// Sources that can create, update and delete products back the admin screen
+export const canEditProducts = (source) => ['createProduct', 'updateProduct', 'deleteProduct']
+  .every(method => typeof source[method] === 'function');
+
+export const defaultProductSource = createRestSource();
+
+export const ProductSourceContext = createContext(defaultProductSource);
+
+export const ProductSourceProvider = ProductSourceContext.Provider;
+
+export const useProductSource = () => useContext(ProductSourceContext);
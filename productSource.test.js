@@ -0,0 +1,12 @@
+import { ProductSourceError, describeLoadError } from './productSource';
+
+describe('describeLoadError', () => {
+  it('maps load failures to message keys', () => {
+    expect(describeLoadError(new ProductSourceError('Product request failed with status 503', { status: 503 })))
+      .toEqual({ key: 'catalog.loadError.status', params: { status: '503' } });
+    expect(describeLoadError(new ProductSourceError('Product response was not valid JSON', { status: 200 })).key)
+      .toBe('catalog.loadError.invalid');
+    expect(describeLoadError(new TypeError('Failed to fetch')).key).toBe('catalog.loadError.network');
+    expect(describeLoadError(new TypeError('Failed to fetch'), { online: false }).key).toBe('catalog.loadError.offline');
+  });
+});
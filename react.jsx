@@ -1,104 +1,664 @@
-import React, { useState, useEffect } from 'react';
-import { ShoppingCart, Search, X } from 'lucide-react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { ShoppingCart, X, AlertTriangle, RefreshCw, Undo2, Tag, Heart, Bookmark, User } from 'lucide-react';
+import { useProductSource, getRetryDelay, describeLoadError } from './productSource';
+import { readCachedCatalog, writeCachedCatalog } from './catalogCache';
+import { getAvailable, getMaxQuantity, isStockTracked } from './inventory';
+import { reconcileCart, mergeCarts } from './cartStorage';
+import { hasVariants, getSku, resolveLine, describeVariant, getLineTitle, findVariant, getDefaultSelection, toPurchasable } from './variants';
+import { CartProvider, useCart } from './cartStore';
+import { SavedListsProvider, useSavedLists } from './savedLists';
+import { AccountProvider, useAccount } from './accounts';
+import SavedItemList from './SavedItemList';
+import CartDrawer from './CartDrawer';
+import Toast from './Toast';
+import QuantityStepper from './QuantityStepper';
+import StockStatus from './StockStatus';
+import StarRating from './StarRating';
+import { handleGridKeyDown } from './gridNavigation';
+import Checkout from './Checkout';
+import { buildOrder } from './checkoutModel';
+import { useOrderService } from './orderService';
+import { useOnlineStatus, isOnline } from './useOnlineStatus';
+import { replayQueue, updateQueuedAction, removeQueuedAction, useOfflineQueue } from './offlineQueue';
+import { registerServiceWorker } from './registerServiceWorker';
+import OfflineBanner from './OfflineBanner';
+import QueuedOrders from './QueuedOrders';
+import { CurrencyProvider, CurrencySwitcher, useCurrency } from './currency';
+import { I18nProvider, LanguageSwitcher, useI18n } from './i18n';
+import { useDescribeMessage } from './useDescribeMessage';
+import { calculateTotals, DEFAULT_REGION } from './tax';
+import { applyDiscounts, validateCoupon } from './discounts';
+import { buildSearchIndex, hasSearchTerms, search } from './search';
+import { useDebouncedValue } from './useDebouncedValue';
+import SearchBox, { Highlight } from './SearchBox';
+import { initialFilters, applyFacetFilters, getFacetCounts, getPriceBounds, countActiveFilters } from './filters';
+import { useAnalytics, toAnalyticsItem, ecommerceParams } from './analytics';
+import FacetFilters from './FacetFilters';
+import { SORT_OPTIONS, sortProducts } from './sorting';
+import { readUrlState, buildQuery, useQueryStringSync } from './urlState';
+import { RouterProvider, useRouter, Link, productPath } from './router';
+import ProductDetail from './ProductDetail';
+import VariantPicker from './VariantPicker';
+import AdminProducts from './AdminProducts';
+import CompareView from './CompareView';
+import CompareTray from './CompareTray';
+import { MAX_COMPARE, toggleCompare } from './compare';
+import RecommendationRails from './RecommendationRails';
+import ProductRail from './ProductRail';
+import { useRecentlyViewed } from './recentlyViewed';
+import AccountPage from './AccountPage';
+import OrderHistory from './OrderHistory';
+import Pagination, { LoadMoreTrigger } from './Pagination';
+import VirtualGrid from './VirtualGrid';
+import { readJson, writeJson } from './storage';
+
+const MAX_AUTO_RETRIES = 4;
+
+// Products requested from the source at a time
+const CATALOG_BATCH_SIZE = 48;
+const PAGE_SIZE_OPTIONS = [12, 24, 48];
+const VIEW_PREFS_KEY = 'mini-ecommerce:catalog-view';
+// Snapshots of the products picked for comparison
+const COMPARE_KEY = 'mini-ecommerce:compare';
+
+const TOAST_DURATION = 3000;
+
+// Filter values flattened to the scalars analytics parameters allow
+const describeFilterValue = (value) => {
+  if (Array.isArray(value)) return value.join(',');
+  if (value && typeof value === 'object') return `${value.min}-${value.max}`;
+  return value ?? '';
+};
+
+const Storefront = ({ productSource, serviceWorkerUrl = '/service-worker.js' }) => {
+  // An explicit prop wins over the source provided through context
+  const contextSource = useProductSource();
+  const source = productSource || contextSource;
 
-const App = () => {
   const [products, setProducts] = useState([]);
   const [filteredProducts, setFilteredProducts] = useState([]);
-  const [cart, setCart] = useState([]);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState('');
-  const [sortOrder, setSortOrder] = useState('');
+  const { cart, lastRemoved, addItem, removeItem, moveOut, setQuantity, clear, restore, reconcile, undo } = useCart();
+  const savedLists = useSavedLists();
+  const account = useAccount();
+  // Whose cart the local one currently mirrors; undefined until the session is known
+  const cartOwner = useRef(undefined);
+  const { format, formatPrice } = useCurrency();
+  const { t, categoryName, formatDate, formatNumber } = useI18n();
+  const describeMessage = useDescribeMessage();
+  const { route, navigate } = useRouter();
+  const orderService = useOrderService();
+  const analytics = useAnalytics();
+  const recentlyViewed = useRecentlyViewed();
+  const lastTrackedSearch = useRef('');
+  // Products already reported for the list currently on screen
+  const impressions = useRef({ listKey: null, seen: new Set() });
+  const online = useOnlineStatus();
+  const offlineQueue = useOfflineQueue();
+  // Queued orders that went through after reconnecting
+  const [placedOrders, setPlacedOrders] = useState([]);
+  // Product pages load their own product, so the catalog waits until it's needed
+  const needsCatalog = ['catalog', 'cart', 'wishlist', 'compare'].includes(route.name);
+  // They still fetch it for their recommendations, but don't wait for it
+  const wantsCatalog = needsCatalog || route.name === 'product';
+  const requestedSource = useRef(null);
+  const [cartNotices, setCartNotices] = useState([]);
+  const [checkingOut, setCheckingOut] = useState(false);
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  const [toast, setToast] = useState(null);
+  const [badgeBumped, setBadgeBumped] = useState(false);
+  // Read out by the visually hidden live region
+  const [announcement, setAnnouncement] = useState('');
+  const [couponCodes, setCouponCodes] = useState([]);
+  const [couponInput, setCouponInput] = useState('');
+  const [couponError, setCouponError] = useState(null);
+  // Filters, search and sort start from the URL so shared links open the same view
+  const [initialUrlState] = useState(readUrlState);
+  const [searchTerm, setSearchTerm] = useState(initialUrlState.searchTerm);
+  const debouncedSearchTerm = useDebouncedValue(searchTerm, 250);
+  const [filters, setFilters] = useState(initialUrlState.filters);
+  // A dragged price slider changes the range on every step; the catalog, the
+  // URL and analytics follow it once it settles, like the search term
+  const debouncedPriceRange = useDebouncedValue(filters.priceRange, 250);
+  const appliedFilters = useMemo(
+    () => ({ ...filters, priceRange: debouncedPriceRange }),
+    [filters, debouncedPriceRange]
+  );
+  // Set by a price change from the sliders, sent once the range settles
+  const priceChangePending = useRef(false);
+  const [sortOrder, setSortOrder] = useState(initialUrlState.sortOrder);
+  const [page, setPage] = useState(initialUrlState.page);
+  // Options picked on product cards, by product id
+  const [cardSelections, setCardSelections] = useState({});
+  const [compareItems, setCompareItems] = useState(() => readJson(COMPARE_KEY) || []);
+  const [viewPrefs, setViewPrefs] = useState(() => ({ pageSize: 12, mode: 'pages', ...readJson(VIEW_PREFS_KEY) }));
+  const [visibleCount, setVisibleCount] = useState(viewPrefs.pageSize);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [retryAttempt, setRetryAttempt] = useState(0);
+  const [staleSince, setStaleSince] = useState(null);
+  const retryTimer = useRef(null);
 
-  // Fetch products on mount
+  // Fetch products the first time a page needs them, and again if the source changes
   useEffect(() => {
+    if (!wantsCatalog || requestedSource.current === source) return;
+    requestedSource.current = source;
     fetchProducts();
+  }, [source, wantsCatalog]);
+
+  useEffect(() => {
+    return () => clearTimeout(retryTimer.current);
   }, []);
 
+  useEffect(() => {
+    if (serviceWorkerUrl) registerServiceWorker(serviceWorkerUrl);
+  }, [serviceWorkerUrl]);
+
+  // Back online: refresh a stale catalog and send anything queued meanwhile
+  useEffect(() => {
+    if (!online) return;
+    if (staleSince) retryNow();
+    replayQueuedActions();
+  }, [online]);
+
+  // A restored session already has its cart locally. Signing in folds the
+  // guest's cart into the account's; signing out leaves an empty guest cart.
+  useEffect(() => {
+    if (account.status !== 'ready') return;
+    const userId = account.user ? account.user.id : null;
+    if (cartOwner.current === undefined) {
+      cartOwner.current = userId;
+      return;
+    }
+    if (cartOwner.current === userId) return;
+
+    if (!userId) {
+      cartOwner.current = null;
+      restore([]);
+      setCouponCodes([]);
+      return;
+    }
+
+    let cancelled = false;
+    account.getCart()
+      .then(accountCart => {
+        if (cancelled) return;
+        const { cart: merged, changes } = mergeCarts(accountCart, cart, products);
+        restore(merged);
+        cartOwner.current = userId;
+        if (changes.length > 0) {
+          setCartNotices(notices => [...notices, ...changes]);
+        }
+      })
+      .catch(error => {
+        console.error('Error loading the account cart:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [account.status, account.user && account.user.id]);
+
+  // Keep the account's copy of the cart current while signed in
+  useEffect(() => {
+    if (!account.user || cartOwner.current !== account.user.id) return;
+    account.saveCart(cart).catch(error => {
+      console.error('Error saving the account cart:', error);
+    });
+  }, [cart, account.user]);
+
+  // Check the saved cart against each freshly loaded batch of the catalog
+  useEffect(() => {
+    if (products.length === 0) return;
+    const { cart: reconciled, changes } = reconcileCart(cart, products, { complete: !hasMore });
+    reconcile(reconciled);
+    if (changes.length > 0) {
+      setCartNotices(notices => [...notices, ...changes]);
+    }
+    savedLists.refresh(products);
+  }, [products]);
+
+  useEffect(() => {
+    writeJson(VIEW_PREFS_KEY, viewPrefs);
+  }, [viewPrefs]);
+
+  useEffect(() => {
+    writeJson(COMPARE_KEY, compareItems);
+  }, [compareItems]);
+
+  useEffect(() => {
+    if (!toast) return undefined;
+    const timer = setTimeout(() => setToast(null), TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  // Each add briefly pops the header badge
+  useEffect(() => {
+    if (!toast) return undefined;
+    setBadgeBumped(true);
+    const timer = setTimeout(() => setBadgeBumped(false), 200);
+    return () => clearTimeout(timer);
+  }, [toast && toast.id]);
+
+  // Rebuilt only when the catalog changes, not on every keystroke
+  const searchIndex = useMemo(() => buildSearchIndex(products), [products]);
+
+  // A query of only punctuation or spaces counts as no query
+  const searching = hasSearchTerms(debouncedSearchTerm);
+
+  // Search runs first; facet counts and filters work on its results
+  const searchResults = useMemo(() => {
+    if (!searching) return products;
+    return search(searchIndex, debouncedSearchTerm).map(result => result.product);
+  }, [products, searchIndex, debouncedSearchTerm, searching]);
+
+  // Fuzzy matching walks every index term, so it runs when the settled term
+  // or catalog changes rather than on every render (keystrokes, timers)
+  const suggestions = useMemo(
+    () => search(searchIndex, debouncedSearchTerm, { limit: 6 }).map(result => result.product),
+    [searchIndex, debouncedSearchTerm]
+  );
+  const facetCounts = useMemo(() => getFacetCounts(searchResults, appliedFilters), [searchResults, appliedFilters]);
+
+  // Mirror the view in the query string; wait for a pending search or price
+  // range to settle. Only the catalog owns the query string, other pages leave it alone.
+  const catalogQuery = buildQuery({
+    searchTerm: debouncedSearchTerm,
+    sortOrder,
+    filters: appliedFilters,
+    page: viewPrefs.mode === 'pages' ? page : 1
+  });
+  useQueryStringSync(catalogQuery, {
+    enabled: route.name === 'catalog' && searchTerm === debouncedSearchTerm && filters.priceRange === debouncedPriceRange,
+    onNavigate: (urlState) => {
+      if (route.name !== 'catalog') return;
+      setSearchTerm(urlState.searchTerm);
+      setFilters(urlState.filters);
+      setSortOrder(urlState.sortOrder);
+      setPage(urlState.page);
+    }
+  });
+
   // Apply filters whenever dependencies change
   useEffect(() => {
     applyFilters();
-  }, [products, searchTerm, selectedCategory, sortOrder]);
+  }, [searchResults, appliedFilters, sortOrder]);
 
-  const fetchProducts = async () => {
+  useEffect(() => {
+    if (!priceChangePending.current) return;
+    priceChangePending.current = false;
+    analytics.track('filter_change', {
+      filter_name: 'priceRange',
+      filter_value: describeFilterValue(debouncedPriceRange),
+      active_filters: countActiveFilters(appliedFilters)
+    });
+  }, [debouncedPriceRange]);
+
+  // Fetch further batches until the current page (or scroll window) is full
+  const neededCount = viewPrefs.mode === 'pages'
+    ? page * viewPrefs.pageSize + 1
+    : visibleCount + viewPrefs.pageSize;
+
+  // Sorting, facets and search only rank the products they're given, so
+  // they wait for the whole catalog rather than order part of it
+  const needsWholeCatalog = sortOrder !== '' || searching || countActiveFilters(appliedFilters) > 0;
+  const awaitingCatalog = needsWholeCatalog && hasMore && !loadMoreError;
+
+  useEffect(() => {
+    if (route.name !== 'catalog' || !hasMore || loadingMore || loadMoreError) return;
+    if (needsWholeCatalog || filteredProducts.length < neededCount) {
+      loadMoreProducts();
+    }
+  }, [route.name, hasMore, loadingMore, loadMoreError, filteredProducts.length, neededCount, needsWholeCatalog]);
+
+  const fetchProducts = async (attempt = 0) => {
+    clearTimeout(retryTimer.current);
+    setLoading(true);
     try {
-      const response = await fetch('https://fakestoreapi.com/products');
-      const data = await response.json();
-      setProducts(data);
-      setLoading(false);
+      // Sources that can page send the first batch only; the rest follows on demand
+      const firstBatch = source.listPage
+        ? await source.listPage({ limit: CATALOG_BATCH_SIZE, offset: 0 })
+        : { items: await source.listProducts(), hasMore: false };
+      setProducts(firstBatch.items);
+      setHasMore(firstBatch.hasMore);
+      setLoadMoreError(null);
+      writeCachedCatalog(firstBatch.items);
+      setLoadError(null);
+      setStaleSince(null);
+      setRetryAttempt(0);
     } catch (error) {
       console.error('Error fetching products:', error);
+      setLoadError(error);
+
+      // Fall back to the last catalog we saw rather than an empty grid
+      const cached = readCachedCatalog();
+      if (cached) {
+        setProducts(cached.products);
+        setHasMore(false);
+        setStaleSince(cached.savedAt);
+      }
+
+      // Offline, retrying is pointless; reconnecting triggers a fresh fetch
+      if (error.retryable !== false && attempt < MAX_AUTO_RETRIES && isOnline()) {
+        setRetryAttempt(attempt + 1);
+        retryTimer.current = setTimeout(() => fetchProducts(attempt + 1), getRetryDelay(attempt));
+      } else {
+        setRetryAttempt(0);
+      }
+    } finally {
       setLoading(false);
     }
   };
 
-  const applyFilters = () => {
-    let filtered = [...products];
+  const retryNow = () => {
+    fetchProducts();
+  };
 
-    // Search filter
-    if (searchTerm) {
-      filtered = filtered.filter(product =>
-        product.title.toLowerCase().includes(searchTerm.toLowerCase())
-      );
+  // Admin edits go through the same source; reload it the next time a page shows the catalog
+  const invalidateCatalog = () => {
+    requestedSource.current = null;
+  };
+
+  const loadMoreProducts = async () => {
+    setLoadingMore(true);
+    try {
+      const batch = await source.listPage({ limit: CATALOG_BATCH_SIZE, offset: products.length });
+      const known = new Set(products.map(p => p.id));
+      const fresh = batch.items.filter(p => !known.has(p.id));
+      const next = [...products, ...fresh];
+      setProducts(next);
+      // A batch with nothing new means the server ignored the offset
+      setHasMore(batch.hasMore && fresh.length > 0);
+      writeCachedCatalog(next);
+    } catch (error) {
+      console.error('Error fetching more products:', error);
+      setLoadMoreError(error);
+    } finally {
+      setLoadingMore(false);
     }
+  };
 
-    // Category filter
-    if (selectedCategory) {
-      filtered = filtered.filter(product => product.category === selectedCategory);
+  // Queued orders are checked against current prices and stock before they're
+  // sent; any difference waits for the shopper to accept it
+  const replayQueuedActions = async () => {
+    const completed = await replayQueue({
+      submitOrder: async ({ cart: queuedCart, address, shippingMethodId, couponCodes, userId }, { idempotencyKey }) => {
+        const current = await Promise.all(queuedCart.map(line => source.getProduct(line.id)));
+        const { cart: checked, changes } = reconcileCart(queuedCart, current.filter(Boolean));
+        if (changes.length > 0) {
+          return { status: 'conflict', conflict: { cart: checked, changes } };
+        }
+        const placed = await orderService.submitOrder({
+          ...buildOrder(checked, address, shippingMethodId, couponCodes),
+          ...(userId && { userId })
+        }, { idempotencyKey });
+        return { status: 'done', result: placed };
+      }
+    });
+    if (completed.length > 0) {
+      setPlacedOrders(orders => [...orders, ...completed.map(action => action.result)]);
     }
+  };
+
+  const acceptQueuedChanges = (action) => {
+    updateQueuedAction(action.id, {
+      status: 'pending',
+      payload: { ...action.payload, cart: action.conflict.cart },
+      conflict: null
+    });
+    if (online) replayQueuedActions();
+  };
+
+  const retryLoadMore = () => {
+    setLoadMoreError(null);
+  };
+
+  const applyFilters = () => {
+    // Search results (ranked by relevance), then every active facet
+    const filtered = applyFacetFilters(searchResults, appliedFilters);
+
+    setFilteredProducts(sortProducts(filtered, sortOrder));
 
-    // Sort by price
-    if (sortOrder === 'low-high') {
-      filtered.sort((a, b) => a.price - b.price);
-    } else if (sortOrder === 'high-low') {
-      filtered.sort((a, b) => b.price - a.price);
+    // Once per settled term, after the catalog has arrived; a term searched
+    // before that (e.g. one in the opening URL) is sent once it has
+    const term = debouncedSearchTerm.trim();
+    if (!searching) {
+      lastTrackedSearch.current = '';
+    } else if (term !== lastTrackedSearch.current && products.length > 0 && !awaitingCatalog) {
+      analytics.track('search', { search_term: term, result_count: filtered.length });
+      lastTrackedSearch.current = term;
     }
+  };
+
+  // Any change to what's being browsed starts again from the first page
+  const resetPaging = () => {
+    setPage(1);
+    setVisibleCount(viewPrefs.pageSize);
+  };
+
+  const updateSearchTerm = (value) => {
+    setSearchTerm(value);
+    resetPaging();
+  };
+
+  const updateFilters = (nextFilters) => {
+    const changed = Object.keys(nextFilters).filter(key => nextFilters[key] !== filters[key]);
+    if (changed.includes('priceRange')) priceChangePending.current = true;
+    changed
+      .filter(key => key !== 'priceRange')
+      .forEach(key => analytics.track('filter_change', {
+        filter_name: key,
+        filter_value: describeFilterValue(nextFilters[key]),
+        active_filters: countActiveFilters(nextFilters)
+      }));
+    setFilters(nextFilters);
+    resetPaging();
+  };
 
-    setFilteredProducts(filtered);
+  const updateSortOrder = (value) => {
+    setSortOrder(value);
+    resetPaging();
   };
 
   const clearFilters = () => {
+    priceChangePending.current = false;
     setSearchTerm('');
-    setSelectedCategory('');
+    setFilters(initialFilters);
     setSortOrder('');
+    resetPaging();
   };
 
-  const addToCart = (product) => {
-    const existingItem = cart.find(item => item.id === product.id);
-    
-    if (existingItem) {
-      // Update quantity if not exceeding stock
-      if (existingItem.quantity < product.rating.count) {
-        setCart(cart.map(item =>
-          item.id === product.id
-            ? { ...item, quantity: item.quantity + 1 }
-            : item
-        ));
-      }
-    } else {
-      setCart([...cart, { ...product, quantity: 1 }]);
+  const updateViewPrefs = (changes) => {
+    const next = { ...viewPrefs, ...changes };
+    setViewPrefs(next);
+    setPage(1);
+    setVisibleCount(next.pageSize);
+  };
+
+  const changePage = (nextPage) => {
+    setPage(nextPage);
+    window.scrollTo(0, 0);
+  };
+
+  const showMoreProducts = () => {
+    setLoadMoreError(null);
+    setVisibleCount(count => count + viewPrefs.pageSize);
+  };
+
+  // Screen readers skip a repeat of the same text, so alternate a trailing
+  // no-break space to make every announcement a change
+  const announce = (message) => {
+    setAnnouncement(previous => (previous === message ? `${message}\u00a0` : message));
+  };
+
+  const announceLimit = (product, max) => {
+    announce(max === 0
+      ? t('announce.outOfStock', { title: getLineTitle(product) })
+      : t('announce.limit', { max, title: getLineTitle(product) }));
+  };
+
+  // Takes a purchasable: a product without variants, or one variant of it
+  // (see toPurchasable). Given a product with variants, opens its page so
+  // the shopper can pick.
+  const addToCart = (product, quantity = 1) => {
+    if (hasVariants(product)) {
+      announce(t('variants.chooseOptions', { title: product.title }));
+      navigate(productPath(product.id));
+      return;
     }
+    const added = Math.min(quantity, getAvailable(product, cart));
+    if (added <= 0) {
+      announceLimit(product, getMaxQuantity(product));
+      return;
+    }
+    addItem(product, added);
+    analytics.track('add_to_cart', ecommerceParams([toAnalyticsItem(product, { quantity: added })]));
+    const totalItems = getTotalItems() + added;
+    const params = { quantity: added, title: getLineTitle(product) };
+    announce(`${t(added > 1 ? 'announce.addedMany' : 'announce.added', params)} ${t('announce.cartCount', { count: totalItems })}`);
+    setToast({
+      id: Date.now(),
+      message: t(added > 1 ? 'toast.addedMany' : 'toast.added', params),
+      actionLabel: t('toast.viewCart'),
+      onAction: openDrawer
+    });
+  };
+
+  const openDrawer = () => {
+    setToast(null);
+    setDrawerOpen(true);
   };
 
-  const removeFromCart = (productId) => {
-    setCart(cart.filter(item => item.id !== productId));
+  const startCheckout = () => {
+    setCheckingOut(true);
+    analytics.track('checkout_start', {
+      ...ecommerceParams(cart.map(item => toAnalyticsItem(item, { quantity: item.quantity }))),
+      ...(couponCodes.length > 0 && { coupon: couponCodes.join(',') })
+    });
   };
 
-  const updateQuantity = (productId, newQuantity) => {
-    const product = products.find(p => p.id === productId);
-    const maxStock = product.rating.count;
+  const checkoutFromDrawer = () => {
+    setDrawerOpen(false);
+    startCheckout();
+    navigate('/cart');
+  };
 
+  const removeFromCart = (sku) => {
+    const item = cart.find(line => getSku(line) === sku);
+    removeItem(sku);
+    if (!item) return;
+    analytics.track('remove_from_cart', ecommerceParams([toAnalyticsItem(item, { quantity: item.quantity })]));
+    announce(t('cart.removed', { title: getLineTitle(item) }));
+  };
+
+  const updateQuantity = (sku, newQuantity) => {
+    const product = findProduct(sku);
+    const max = getMaxQuantity(product);
     if (newQuantity <= 0) {
-      removeFromCart(productId);
-    } else if (newQuantity <= maxStock) {
-      setCart(cart.map(item =>
-        item.id === productId
-          ? { ...item, quantity: newQuantity }
-          : item
-      ));
+      removeFromCart(sku);
+      return;
+    }
+    if (newQuantity > max) {
+      announceLimit(product, max);
+      return;
     }
+    setQuantity(sku, newQuantity, max);
+    const item = cart.find(line => getSku(line) === sku);
+    if (item && item.quantity !== newQuantity) {
+      analytics.track('quantity_change', {
+        ...ecommerceParams([toAnalyticsItem(item, { quantity: newQuantity })]),
+        previous_quantity: item.quantity
+      });
+    }
+    announce(t('announce.quantity', { title: getLineTitle(product), quantity: newQuantity }));
+  };
+
+  const saveLineForLater = (item) => {
+    savedLists.saveForLater(item);
+    moveOut(getSku(item));
+  };
+
+  // Moves as much of the saved line as stock still allows; the rest stays saved
+  const moveSavedToCart = (line) => {
+    const product = resolveLine(line, products) || line;
+    const available = getAvailable(product, cart);
+    if (available === 0) return;
+    const quantity = Math.min(line.quantity, available);
+    addItem(product, quantity);
+    analytics.track('add_to_cart', ecommerceParams([toAnalyticsItem(product, { quantity })]));
+    savedLists.takeSaved(getSku(line), quantity);
+  };
+
+  const toggleCompareItem = (product) => {
+    const { items, error } = toggleCompare(compareItems, product);
+    if (error) {
+      announce(t(error, { max: MAX_COMPARE }));
+      return;
+    }
+    setCompareItems(items);
+    announce(t(items.length > compareItems.length ? 'compare.added' : 'compare.removed', {
+      title: product.title,
+      count: items.length,
+      max: MAX_COMPARE
+    }));
   };
 
+  const isCompared = (productId) => compareItems.some(item => item.id === productId);
+
+  const getLiveProduct = (productId) => {
+    return products.find(p => p.id === productId);
+  };
+
+  // Cart lines are snapshots; stock always comes from the live catalog
+  const findProduct = (sku) => {
+    const line = cart.find(item => getSku(item) === sku);
+    return line && (resolveLine(line, products) || line);
+  };
+
+  const getPageCount = () => {
+    return Math.max(1, Math.ceil(filteredProducts.length / viewPrefs.pageSize));
+  };
+
+  // Stay on a page past the loaded ones while its products are still coming
+  const getCurrentPage = () => {
+    return hasMore ? page : Math.min(page, getPageCount());
+  };
+
+  const getPageStart = () => {
+    return (getCurrentPage() - 1) * viewPrefs.pageSize;
+  };
+
+  const getPageProducts = () => {
+    return filteredProducts.slice(getPageStart(), getPageStart() + viewPrefs.pageSize);
+  };
+
+  // Pages report as they're shown; the infinite grid as it grows, which
+  // includes rows rendered just outside the viewport
+  const shownProducts = route.name !== 'catalog' || loading || awaitingCatalog
+    ? []
+    : viewPrefs.mode === 'pages' ? getPageProducts() : filteredProducts.slice(0, visibleCount);
+  const shownOffset = viewPrefs.mode === 'pages' ? getPageStart() : 0;
+  const listKey = buildQuery({ searchTerm: debouncedSearchTerm, sortOrder, filters: appliedFilters, page: 1 });
+
+  useEffect(() => {
+    if (impressions.current.listKey !== listKey) {
+      impressions.current = { listKey, seen: new Set() };
+    }
+    const { seen } = impressions.current;
+    const listName = searching ? 'Search results' : 'Catalog';
+    const items = shownProducts
+      .map((product, i) => ({ product, index: shownOffset + i }))
+      .filter(({ product }) => !seen.has(product.id))
+      .map(({ product, index }) => {
+        seen.add(product.id);
+        return toAnalyticsItem(product, { index, listName });
+      });
+    if (items.length > 0) {
+      analytics.track('product_impression', { item_list_name: listName, items });
+    }
+  }, [listKey, shownProducts.map(product => product.id).join(',')]);
+
   const getCategories = () => {
     return [...new Set(products.map(p => p.category))];
   };
@@ -107,245 +667,787 @@ const App = () => {
     return cart.reduce((sum, item) => sum + item.quantity, 0);
   };
 
+  const getCartDiscounts = () => {
+    return applyDiscounts(cart, { codes: couponCodes });
+  };
+
+  // Subtotal, discounts, estimated tax and grand total in base-currency minor units
+  const getCartTotals = () => {
+    return calculateTotals(cart, { region: DEFAULT_REGION, discounts: getCartDiscounts() });
+  };
+
+  const applyCoupon = (e) => {
+    e.preventDefault();
+    const { promotion, error } = validateCoupon(couponInput, cart, { appliedCodes: couponCodes });
+    if (error) {
+      setCouponError(error);
+      return;
+    }
+    setCouponCodes([...couponCodes, promotion.code]);
+    setCouponInput('');
+    setCouponError(null);
+  };
+
+  const removeCoupon = (code) => {
+    setCouponCodes(couponCodes.filter(c => c !== code));
+  };
+
   const getTotalPrice = () => {
-    return cart.reduce((sum, item) => sum + (item.price * item.quantity), 0).toFixed(2);
+    return getCartTotals().subtotal;
   };
 
-  const getStockStatus = (product) => {
-    const stock = product.rating.count;
-    return stock > 0 ? 'In stock' : 'Out of stock';
+  const describeCartChange = (change) => {
+    switch (change.type) {
+      case 'removed':
+        return change.title
+          ? t('cartChange.removed', { title: change.title })
+          : t('cartChange.removedUnknown');
+      case 'clamped':
+        return t('cartChange.clamped', { to: change.to, title: change.title, from: change.from });
+      case 'price':
+        return t('cartChange.price', { title: change.title, from: formatPrice(change.from), to: formatPrice(change.to) });
+      default:
+        return '';
+    }
   };
 
   const isOutOfStock = (product) => {
-    return product.rating.count === 0;
+    return getAvailable(product, cart) === 0;
   };
 
-  if (loading) {
+  if (needsCatalog && loading && products.length === 0) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50">
-        <div className="text-xl text-gray-600">Loading products...</div>
+        <div className="text-xl text-gray-600">{t('catalog.loading')}</div>
+      </div>
+    );
+  }
+
+  // Nothing cached to fall back on, so the error replaces the storefront
+  if (needsCatalog && loadError && products.length === 0) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+        <div role="alert" className="bg-white rounded-lg shadow p-8 max-w-md text-center">
+          <AlertTriangle size={48} className="mx-auto text-red-500 mb-3" />
+          <h1 className="text-xl font-semibold text-gray-900 mb-2">{t('catalog.loadErrorTitle')}</h1>
+          <p className="text-gray-600 mb-4">{describeMessage(describeLoadError(loadError, { online }))}</p>
+          {retryAttempt > 0 && (
+            <p className="text-sm text-gray-500 mb-4">
+              {t('catalog.retrying', { attempt: retryAttempt, max: MAX_AUTO_RETRIES })}
+            </p>
+          )}
+          <button
+            onClick={retryNow}
+            className="inline-flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-blue-700 transition-colors"
+          >
+            <RefreshCw size={18} />
+            {t('catalog.tryAgain')}
+          </button>
+        </div>
       </div>
     );
   }
 
+  // Live copies where the catalog has them, snapshots otherwise
+  const recentProducts = recentlyViewed.items.map(item => getLiveProduct(item.id) || item);
+  const viewedProduct = route.name === 'product'
+    ? recentProducts.find(item => String(item.id) === route.params.id)
+    : null;
+
+  const renderRecentlyViewed = (exceptId) => {
+    const items = recentProducts.filter(item => item.id !== exceptId);
+    if (items.length === 0) return null;
+    return (
+      <ProductRail
+        id="recently-viewed"
+        title={t('recommendations.recentlyViewed')}
+        products={items}
+        cart={cart}
+        onAddToCart={product => addToCart(product)}
+        action={(
+          <button onClick={recentlyViewed.clear} className="text-sm text-gray-600 hover:text-gray-900">
+            {t('recommendations.clearHistory')}
+          </button>
+        )}
+      />
+    );
+  };
+
+  const getCardSelection = (product) => cardSelections[product.id] || getDefaultSelection(product);
+
+  // What a card's button adds: the product, or the variant picked on the card
+  // (undefined when no variant has the picked options)
+  const getCardPurchasable = (product) => {
+    if (!hasVariants(product)) return product;
+    const variant = findVariant(product, getCardSelection(product));
+    return variant && toPurchasable(product, variant);
+  };
+
+  const renderProductCard = (product) => {
+    const purchasable = getCardPurchasable(product);
+    const shown = purchasable || product;
+    const unavailable = !purchasable || isOutOfStock(purchasable);
+
+    return (
+      <article
+        key={product.id}
+        data-product-card
+        aria-labelledby={`product-${product.id}-title`}
+        className="relative bg-white rounded-lg shadow hover:shadow-lg transition-shadow focus-within:ring-2 focus-within:ring-blue-500"
+      >
+        <Link to={productPath(product.id)} tabIndex={-1} aria-hidden="true" className="block aspect-square p-4 bg-gray-50">
+          <img
+            src={shown.image}
+            alt={product.title}
+            className="w-full h-full object-contain"
+          />
+        </Link>
+        <button
+          onClick={() => savedLists.toggleWishlist(product)}
+          aria-pressed={savedLists.isWishlisted(product.id)}
+          aria-label={t(savedLists.isWishlisted(product.id) ? 'product.removeFromWishlist' : 'product.addToWishlist', { title: product.title })}
+          className="absolute top-2 end-2 p-2 rounded-full bg-white shadow hover:bg-gray-50"
+        >
+          <Heart
+            size={18}
+            className={savedLists.isWishlisted(product.id) ? 'text-red-500 fill-red-500' : 'text-gray-500'}
+          />
+        </button>
+        <div className="p-4">
+          <h3 id={`product-${product.id}-title`} className="font-medium text-gray-900 mb-2 line-clamp-2 h-12">
+            <Link to={productPath(product.id)} data-card-focus className="hover:text-blue-600">
+              <Highlight text={product.title} query={debouncedSearchTerm} />
+            </Link>
+          </h3>
+          <p className="text-xl font-bold text-blue-600 mb-2">
+            {formatPrice(shown.price)}
+          </p>
+          <StarRating rate={product.rating.rate} count={product.rating.count} size={14} className="mb-2" />
+          <p className="text-sm text-gray-600 mb-2">
+            {categoryName(product.category)}
+          </p>
+          {purchasable
+            ? <StockStatus product={purchasable} cart={cart} className="mb-3" />
+            : <p className="text-sm font-medium text-red-600 mb-3">{t('variants.unavailable')}</p>}
+          {hasVariants(product) && (
+            <VariantPicker
+              product={product}
+              selection={getCardSelection(product)}
+              onChange={selection => setCardSelections({ ...cardSelections, [product.id]: selection })}
+              idPrefix={`card-${product.id}`}
+              compact
+            />
+          )}
+          <label className="flex items-center gap-2 text-sm text-gray-700 mb-3">
+            <input
+              type="checkbox"
+              checked={isCompared(product.id)}
+              onChange={() => toggleCompareItem(product)}
+              disabled={!isCompared(product.id) && compareItems.length >= MAX_COMPARE}
+              aria-describedby={`product-${product.id}-title`}
+            />
+            {t('compare.toggle')}
+          </label>
+          <button
+            onClick={() => addToCart(purchasable)}
+            disabled={unavailable}
+            aria-describedby={`product-${product.id}-title`}
+            className={`w-full py-2 rounded-lg font-medium transition-colors ${
+              unavailable
+                ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                : 'bg-blue-600 text-white hover:bg-blue-700'
+            }`}
+          >
+            {t('product.addToCart')}
+          </button>
+        </div>
+      </article>
+    );
+  };
+
+  // The full cart page at /cart; the drawer is the quick view
+  const cartSection = checkingOut ? (
+    <Checkout
+      cart={cart}
+      couponCodes={couponCodes}
+      userId={account.user ? account.user.id : null}
+      savedAddresses={account.user ? account.user.addresses : []}
+      onCancel={() => setCheckingOut(false)}
+      onOrderPlaced={() => {
+        clear();
+        setCouponCodes([]);
+      }}
+      onDone={() => setCheckingOut(false)}
+    />
+  ) : (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-6">
+        <h2 className="text-xl font-semibold mb-4">{t('cart.title')}</h2>
+
+        {/* Undo the most recent removal */}
+        {lastRemoved && (
+          <div role="status" className="flex items-center justify-between gap-3 bg-gray-100 rounded-lg px-4 py-3 mb-4 text-sm">
+            <span className="text-gray-700">{t('cart.removed', { title: getLineTitle(lastRemoved) })}</span>
+            <button
+              onClick={undo}
+              className="inline-flex items-center gap-1 font-medium text-blue-600 hover:text-blue-700"
+            >
+              <Undo2 size={16} />
+              {t('cart.undo')}
+            </button>
+          </div>
+        )}
+
+        {/* Changes found while restoring the saved cart */}
+        {cartNotices.length > 0 && (
+          <div role="status" className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-4">
+            <div className="flex items-start gap-3">
+              <ul className="flex-1 space-y-1 text-sm text-yellow-800">
+                {cartNotices.map(change => (
+                  <li key={`${change.type}-${change.id}`}>{describeCartChange(change)}</li>
+                ))}
+              </ul>
+              <button
+                onClick={() => setCartNotices([])}
+                aria-label={t('cart.dismissNotices')}
+                className="text-yellow-800 hover:text-yellow-900"
+              >
+                <X size={16} />
+              </button>
+            </div>
+          </div>
+        )}
+                
+        {cart.length === 0 ? (
+          <div className="text-center py-8">
+            <ShoppingCart size={48} className="mx-auto text-gray-300 mb-3" />
+            <p className="text-gray-500">{t('cart.empty')}</p>
+          </div>
+        ) : (
+          <>
+            <ul aria-label={t('cart.itemsLabel')} className="space-y-4 mb-6">
+              {cart.map(item => {
+                const sku = getSku(item);
+                return (
+                  <li key={sku} className="flex gap-4 p-4 border border-gray-200 rounded-lg">
+                    <img
+                      src={item.image}
+                      alt=""
+                      className="w-20 h-20 object-contain bg-gray-50 rounded"
+                    />
+                    <div className="flex-1">
+                      <h3 id={`cart-item-${sku}-title`} className="font-medium text-gray-900 mb-1">
+                        {item.title}
+                      </h3>
+                      {describeVariant(item) && <p className="text-sm text-gray-600 mb-1">{describeVariant(item)}</p>}
+                      <p className="text-blue-600 font-semibold mb-2">
+                        {formatPrice(item.price)}
+                      </p>
+                      <div className="flex items-center gap-2">
+                        <QuantityStepper
+                          id={`cart-quantity-${sku}`}
+                          label={getLineTitle(item)}
+                          value={item.quantity}
+                          max={getMaxQuantity(findProduct(sku))}
+                          onChange={quantity => updateQuantity(sku, quantity)}
+                          onLimit={max => announceLimit(item, max)}
+                        />
+                        {isStockTracked(findProduct(sku)) && (
+                          <span className="text-sm text-gray-500 ms-2">
+                            {t('cart.max', { max: getMaxQuantity(findProduct(sku)) })}
+                          </span>
+                        )}
+                      </div>
+                      <button
+                        onClick={() => saveLineForLater(item)}
+                        aria-describedby={`cart-item-${sku}-title`}
+                        className="inline-flex items-center gap-1 mt-2 text-sm text-gray-600 hover:text-blue-600"
+                      >
+                        <Bookmark size={14} aria-hidden="true" />
+                        {t('cart.saveForLater')}
+                      </button>
+                    </div>
+                    <button
+                      onClick={() => removeFromCart(sku)}
+                      aria-label={t('cart.remove', { title: getLineTitle(item) })}
+                      className="self-start text-red-600 hover:text-red-700"
+                    >
+                      <X size={20} aria-hidden="true" />
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+
+            {/* Promo codes */}
+            <form onSubmit={applyCoupon} className="mb-4">
+              <label htmlFor="coupon-code" className="block text-sm font-medium text-gray-700 mb-2">
+                {t('cart.promoCode')}
+              </label>
+              <div className="flex gap-2">
+                <input
+                  id="coupon-code"
+                  type="text"
+                  value={couponInput}
+                  onChange={(e) => setCouponInput(e.target.value)}
+                  aria-invalid={Boolean(couponError)}
+                  aria-describedby={couponError ? 'coupon-error' : undefined}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg uppercase focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-medium rounded-lg transition-colors"
+                >
+                  {t('cart.apply')}
+                </button>
+              </div>
+              {couponError && <p id="coupon-error" className="text-sm text-red-600 mt-1">{describeMessage(couponError)}</p>}
+              {getCartDiscounts().rejected.map(({ code, reason }) => (
+                <p key={code} className="text-sm text-amber-700 mt-1">{code}: {describeMessage(reason)}</p>
+              ))}
+              {couponCodes.length > 0 && (
+                <ul className="flex flex-wrap gap-2 mt-2">
+                  {couponCodes.map(code => (
+                    <li key={code} className="inline-flex items-center gap-1 bg-green-50 text-green-800 text-sm px-2 py-1 rounded">
+                      <Tag size={14} />
+                      {code}
+                      <button
+                        type="button"
+                        onClick={() => removeCoupon(code)}
+                        aria-label={t('cart.removeCode', { code })}
+                        className="hover:text-green-900"
+                      >
+                        <X size={14} />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </form>
+
+            <div className="border-t pt-4">
+              <div className="flex justify-between text-lg mb-2">
+                <span className="font-semibold">{t('cart.totalItems')}</span>
+                <span>{formatNumber(getTotalItems())}</span>
+              </div>
+              <div className="flex justify-between mb-2">
+                <span>{t('cart.subtotal')}</span>
+                <span>{format(getCartTotals().subtotal)}</span>
+              </div>
+              {getCartDiscounts().discounts.map(discount => (
+                <div key={discount.id} className="flex justify-between mb-2 text-green-700">
+                  <span>{describeMessage(discount.label)}{discount.code && ` (${discount.code})`}</span>
+                  <span>{discount.freeShipping ? t('cart.appliedAtCheckout') : `-${format(discount.amount)}`}</span>
+                </div>
+              ))}
+              <div className="flex justify-between mb-2 text-gray-600">
+                <span>{t('cart.estimatedTax', { region: t(`country.${DEFAULT_REGION}`) })}</span>
+                <span>{format(getCartTotals().tax)}</span>
+              </div>
+              <div className="flex justify-between text-xl font-bold">
+                <span>{t('cart.total')}</span>
+                <span className="text-blue-600">{format(getCartTotals().total)}</span>
+              </div>
+              <button
+                onClick={startCheckout}
+                className="w-full mt-4 bg-blue-600 text-white py-3 rounded-lg font-medium hover:bg-blue-700 transition-colors"
+              >
+                {t('cart.checkout')}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* Lines parked out of the cart; they don't count toward its total */}
+      {savedLists.saved.length > 0 && (
+        <div className="border-t p-6">
+          <h2 className="text-lg font-semibold mb-4">{t('cart.savedForLater', { count: savedLists.saved.length })}</h2>
+          <SavedItemList
+            items={savedLists.saved}
+            cart={cart}
+            getProduct={line => resolveLine(line, products)}
+            actionLabel={t('cart.moveToCart')}
+            onMove={moveSavedToCart}
+            onRemove={savedLists.removeSaved}
+            isNotifying={savedLists.isNotifying}
+            onToggleNotify={savedLists.toggleNotify}
+          />
+        </div>
+      )}
+    </div>
+  );
+
   return (
     <div className="min-h-screen bg-gray-50">
+      <a
+        href="#main-content"
+        className="sr-only focus:not-sr-only focus:absolute focus:top-2 focus:start-2 focus:z-50 focus:bg-white focus:px-4 focus:py-2 focus:rounded-lg focus:shadow"
+      >
+        {t('app.skipToContent')}
+      </a>
+
       {/* Header */}
       <header className="bg-white shadow-sm sticky top-0 z-10">
+        {!online && (
+          <OfflineBanner pendingOrders={offlineQueue.filter(action => action.type === 'submitOrder' && action.status !== 'conflict').length} />
+        )}
         <div className="max-w-7xl mx-auto px-4 py-4">
           <div className="flex items-center justify-between">
-            <h1 className="text-2xl font-bold text-gray-900">Mini E-Commerce</h1>
-            <div className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg">
-              <ShoppingCart size={20} />
-              <span className="font-semibold">{getTotalItems()} items</span>
-              <span className="ml-2">${getTotalPrice()}</span>
+            <h1 className="text-2xl font-bold text-gray-900">
+              <Link to={`/${catalogQuery}`}>{t('app.title')}</Link>
+            </h1>
+            <div className="flex items-center gap-3">
+              <LanguageSwitcher />
+              <CurrencySwitcher label={t('currency.label')} />
+              <Link
+                to="/account"
+                aria-label={account.user ? t('header.account', { name: account.user.name }) : t('header.signIn')}
+                className="flex items-center gap-1 px-3 py-2 rounded-lg text-gray-700 hover:bg-gray-100"
+              >
+                <User size={20} />
+                <span className="hidden sm:inline font-medium">{account.user ? account.user.name : t('header.signIn')}</span>
+              </Link>
+              <Link
+                to="/wishlist"
+                aria-label={t('header.wishlist', { count: savedLists.wishlist.length })}
+                className="flex items-center gap-1 px-3 py-2 rounded-lg text-gray-700 hover:bg-gray-100"
+              >
+                <Heart size={20} />
+                <span className="font-semibold">{formatNumber(savedLists.wishlist.length)}</span>
+              </Link>
+              <button
+                onClick={openDrawer}
+                aria-haspopup="dialog"
+                aria-expanded={drawerOpen}
+                className={`flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-transform ${
+                  badgeBumped ? 'scale-110' : ''
+                }`}
+              >
+                <ShoppingCart size={20} />
+                <span className="font-semibold">{t('header.cartItems', { count: getTotalItems() })}</span>
+                <span className="ms-2">{format(getTotalPrice())}</span>
+              </button>
             </div>
           </div>
         </div>
       </header>
 
-      <div className="max-w-7xl mx-auto px-4 py-6">
-        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
-          {/* Filters Sidebar */}
-          <div className="lg:col-span-1">
-            <div className="bg-white rounded-lg shadow p-4 sticky top-24">
-              <h2 className="text-lg font-semibold mb-4">Filters & Search</h2>
+      <CartDrawer
+        open={drawerOpen}
+        onClose={() => setDrawerOpen(false)}
+        cart={cart}
+        subtotal={getTotalPrice()}
+        getMaxQuantity={sku => getMaxQuantity(findProduct(sku))}
+        onUpdateQuantity={updateQuantity}
+        onRemove={removeFromCart}
+        onLimit={announceLimit}
+        onCheckout={checkoutFromDrawer}
+      />
+
+      <Toast toast={toast} onDismiss={() => setToast(null)} />
+      <div role="status" aria-live="polite" className="sr-only">{announcement}</div>
+
+      <main id="main-content" tabIndex={-1} className="max-w-7xl mx-auto px-4 py-6">
+        <QueuedOrders
+          conflicts={offlineQueue.filter(action => action.status === 'conflict')}
+          placed={placedOrders}
+          describeChange={describeCartChange}
+          onAccept={acceptQueuedChanges}
+          onCancel={removeQueuedAction}
+          onDismissPlaced={id => setPlacedOrders(orders => orders.filter(order => order.id !== id))}
+        />
+
+        {route.name === 'product' && (
+          <ProductDetail
+            productId={route.params.id}
+            products={products}
+            productSource={source}
+            cart={cart}
+            onAddToCart={addToCart}
+            onView={recentlyViewed.record}
+            backTo={`/${catalogQuery}`}
+          />
+        )}
+
+        {viewedProduct && (
+          <div className="mt-8">
+            <RecommendationRails
+              seeds={[viewedProduct]}
+              products={products}
+              exclude={cart.map(item => item.id)}
+              cart={cart}
+              onAddToCart={product => addToCart(product)}
+            />
+            {renderRecentlyViewed(viewedProduct.id)}
+          </div>
+        )}
+
+        {route.name === 'cart' && (
+          <div className="max-w-3xl mx-auto">
+            {cartSection}
+            {!checkingOut && cart.length > 0 && (
+              <div className="mt-8">
+                <RecommendationRails
+                  seeds={cart}
+                  products={products}
+                  cart={cart}
+                  onAddToCart={product => addToCart(product)}
+                />
+              </div>
+            )}
+          </div>
+        )}
+
+        {route.name === 'wishlist' && (
+          <div className="max-w-3xl mx-auto bg-white rounded-lg shadow p-6">
+            <h2 className="text-xl font-semibold mb-4">{t('wishlist.title')}</h2>
+            {savedLists.wishlist.length === 0 ? (
+              <div className="text-center py-8">
+                <Heart size={48} className="mx-auto text-gray-300 mb-3" />
+                <p className="text-gray-500">{t('wishlist.empty')}</p>
+              </div>
+            ) : (
+              <SavedItemList
+                items={savedLists.wishlist}
+                cart={cart}
+                getProduct={item => getLiveProduct(item.id)}
+                actionLabel={t('product.addToCart')}
+                onMove={item => addToCart(getLiveProduct(item.id) || item)}
+                onRemove={id => savedLists.toggleWishlist({ id })}
+                isNotifying={savedLists.isNotifying}
+                onToggleNotify={savedLists.toggleNotify}
+              />
+            )}
+          </div>
+        )}
+
+        {route.name === 'admin' && (
+          <AdminProducts productSource={source} onCatalogChange={invalidateCatalog} />
+        )}
+
+        {route.name === 'compare' && (
+          <CompareView
+            products={compareItems.map(item => getLiveProduct(item.id) || item)}
+            cart={cart}
+            onAddToCart={product => addToCart(product)}
+            onRemove={toggleCompareItem}
+            onClear={() => setCompareItems([])}
+            backTo={`/${catalogQuery}`}
+          />
+        )}
+
+        {route.name === 'account' && <AccountPage />}
+
+        {route.name === 'orders' && <OrderHistory />}
+
+        {route.name === 'notFound' && (
+          <div className="bg-white rounded-lg shadow p-8 text-center">
+            <p className="text-gray-700 text-lg mb-4">{t('notFound.title')}</p>
+            <Link to="/" className="text-blue-600 hover:underline">{t('nav.backToCatalog')}</Link>
+          </div>
+        )}
+
+        {route.name === 'catalog' && (
+          <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+            {/* Filters Sidebar */}
+            <div className="lg:col-span-1">
+              <div className="bg-white rounded-lg shadow p-4 sticky top-24">
+                <h2 className="text-lg font-semibold mb-4">{t('catalog.filtersTitle')}</h2>
               
-              {/* Search */}
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Search Products
-                </label>
-                <div className="relative">
-                  <Search className="absolute left-3 top-2.5 text-gray-400" size={18} />
-                  <input
-                    type="text"
+                {/* Search */}
+                <div className="mb-4">
+                  <label htmlFor="product-search" className="block text-sm font-medium text-gray-700 mb-2">
+                    {t('catalog.searchLabel')}
+                  </label>
+                  <SearchBox
                     value={searchTerm}
-                    onChange={(e) => setSearchTerm(e.target.value)}
-                    placeholder="Search by name..."
-                    className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    onChange={updateSearchTerm}
+                    query={debouncedSearchTerm}
+                    suggestions={suggestions}
                   />
                 </div>
-              </div>
 
-              {/* Category Filter */}
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Category
-                </label>
-                <select
-                  value={selectedCategory}
-                  onChange={(e) => setSelectedCategory(e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                >
-                  <option value="">All Categories</option>
-                  {getCategories().map(category => (
-                    <option key={category} value={category}>
-                      {category.charAt(0).toUpperCase() + category.slice(1)}
-                    </option>
-                  ))}
-                </select>
-              </div>
+                {/* Facets */}
+                <FacetFilters
+                  categories={getCategories()}
+                  filters={filters}
+                  counts={facetCounts}
+                  priceBounds={getPriceBounds(products)}
+                  onChange={updateFilters}
+                />
+
+                {/* Sort */}
+                <div className="mb-4">
+                  <label htmlFor="sort-order" className="block text-sm font-medium text-gray-700 mb-2">
+                    {t('catalog.sortLabel')}
+                  </label>
+                  <select
+                    id="sort-order"
+                    value={sortOrder}
+                    onChange={(e) => updateSortOrder(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {SORT_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>
+                        {t(searching && option.value === '' ? 'sort.relevance' : `sort.${option.value || 'default'}`)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
 
-              {/* Sort */}
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Sort by Price
-                </label>
-                <select
-                  value={sortOrder}
-                  onChange={(e) => setSortOrder(e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                {/* Clear Filters */}
+                <button
+                  onClick={clearFilters}
+                  className="w-full bg-gray-200 hover:bg-gray-300 text-gray-800 font-medium py-2 rounded-lg transition-colors"
                 >
-                  <option value="">Default</option>
-                  <option value="low-high">Low → High</option>
-                  <option value="high-low">High → Low</option>
-                </select>
+                  {t('catalog.clearFilters')}
+                </button>
               </div>
-
-              {/* Clear Filters */}
-              <button
-                onClick={clearFilters}
-                className="w-full bg-gray-200 hover:bg-gray-300 text-gray-800 font-medium py-2 rounded-lg transition-colors"
-              >
-                Clear All Filters
-              </button>
             </div>
-          </div>
 
-          {/* Main Content */}
-          <div className="lg:col-span-3">
-            {/* Product Grid */}
-            <div className="mb-8">
-              <h2 className="text-xl font-semibold mb-4">
-                Products ({filteredProducts.length})
-              </h2>
-              
-              {filteredProducts.length === 0 ? (
-                <div className="bg-white rounded-lg shadow p-8 text-center">
-                  <p className="text-gray-500 text-lg">No products found</p>
+            {/* Main Content */}
+            <div className="lg:col-span-3">
+              {/* Stale catalog notice */}
+              {staleSince && (
+                <div role="status" className="flex items-center gap-3 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-4 mb-4">
+                  <AlertTriangle size={20} className="shrink-0" />
+                  <p className="flex-1 text-sm">
+                    {retryAttempt > 0
+                      ? t('catalog.staleRetrying', { date: formatDate(staleSince), attempt: retryAttempt, max: MAX_AUTO_RETRIES })
+                      : t('catalog.stale', { date: formatDate(staleSince) })}
+                  </p>
+                  <button
+                    onClick={retryNow}
+                    disabled={loading}
+                    className="inline-flex items-center gap-1 text-sm font-medium text-yellow-900 hover:underline disabled:opacity-50"
+                  >
+                    <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+                    {t('catalog.retry')}
+                  </button>
                 </div>
-              ) : (
-                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-                  {filteredProducts.map(product => (
-                    <div key={product.id} className="bg-white rounded-lg shadow hover:shadow-lg transition-shadow">
-                      <div className="aspect-square p-4 bg-gray-50">
-                        <img
-                          src={product.image}
-                          alt={product.title}
-                          className="w-full h-full object-contain"
-                        />
-                      </div>
-                      <div className="p-4">
-                        <h3 className="font-medium text-gray-900 mb-2 line-clamp-2 h-12">
-                          {product.title}
-                        </h3>
-                        <p className="text-xl font-bold text-blue-600 mb-2">
-                          ${product.price.toFixed(2)}
-                        </p>
-                        <p className="text-sm text-gray-600 mb-2 capitalize">
-                          {product.category}
-                        </p>
-                        <p className={`text-sm font-medium mb-3 ${
-                          isOutOfStock(product) ? 'text-red-600' : 'text-green-600'
-                        }`}>
-                          {getStockStatus(product)}
-                        </p>
+              )}
+
+              {renderRecentlyViewed()}
+
+              {/* Product Grid */}
+              <div className="mb-8" onKeyDown={handleGridKeyDown}>
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                  <h2 className="text-xl font-semibold">
+                    {t(hasMore ? 'catalog.productsMore' : 'catalog.products', { count: filteredProducts.length })}
+                  </h2>
+                  <p className="sr-only">{t('catalog.gridHelp')}</p>
+                  <div className="flex items-center gap-3 text-sm">
+                    <label className="flex items-center gap-2 text-gray-700">
+                      {t('catalog.show')}
+                      <select
+                        value={viewPrefs.pageSize}
+                        onChange={(e) => updateViewPrefs({ pageSize: Number(e.target.value) })}
+                        className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        {PAGE_SIZE_OPTIONS.map(size => (
+                          <option key={size} value={size}>{formatNumber(size)}</option>
+                        ))}
+                      </select>
+                      {t('catalog.perPage')}
+                    </label>
+                    <div role="group" aria-label={t('catalog.browsingMode')} className="flex rounded-lg border border-gray-300 overflow-hidden">
+                      {[['pages', 'catalog.modePages'], ['infinite', 'catalog.modeInfinite']].map(([mode, label]) => (
                         <button
-                          onClick={() => addToCart(product)}
-                          disabled={isOutOfStock(product)}
-                          className={`w-full py-2 rounded-lg font-medium transition-colors ${
-                            isOutOfStock(product)
-                              ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
-                              : 'bg-blue-600 text-white hover:bg-blue-700'
-                          }`}
+                          key={mode}
+                          onClick={() => updateViewPrefs({ mode })}
+                          aria-pressed={viewPrefs.mode === mode}
+                          className={`px-3 py-1 ${viewPrefs.mode === mode ? 'bg-blue-600 text-white' : 'bg-white hover:bg-gray-50'}`}
                         >
-                          Add to Cart
+                          {t(label)}
                         </button>
-                      </div>
+                      ))}
                     </div>
-                  ))}
+                  </div>
                 </div>
-              )}
-            </div>
 
-            {/* Cart */}
-            <div className="bg-white rounded-lg shadow">
-              <div className="p-6">
-                <h2 className="text-xl font-semibold mb-4">Shopping Cart</h2>
-                
-                {cart.length === 0 ? (
-                  <div className="text-center py-8">
-                    <ShoppingCart size={48} className="mx-auto text-gray-300 mb-3" />
-                    <p className="text-gray-500">Empty cart</p>
+                {filteredProducts.length === 0 || awaitingCatalog ? (
+                  <div className="bg-white rounded-lg shadow p-8 text-center">
+                    <p className="text-gray-500 text-lg">
+                      {t(loadingMore || awaitingCatalog ? 'catalog.loadingMore' : 'catalog.noProducts')}
+                    </p>
                   </div>
-                ) : (
+                ) : viewPrefs.mode === 'pages' ? (
                   <>
-                    <div className="space-y-4 mb-6">
-                      {cart.map(item => (
-                        <div key={item.id} className="flex gap-4 p-4 border border-gray-200 rounded-lg">
-                          <img
-                            src={item.image}
-                            alt={item.title}
-                            className="w-20 h-20 object-contain bg-gray-50 rounded"
-                          />
-                          <div className="flex-1">
-                            <h3 className="font-medium text-gray-900 mb-1">
-                              {item.title}
-                            </h3>
-                            <p className="text-blue-600 font-semibold mb-2">
-                              ${item.price.toFixed(2)}
-                            </p>
-                            <div className="flex items-center gap-2">
-                              <button
-                                onClick={() => updateQuantity(item.id, item.quantity - 1)}
-                                className="px-3 py-1 bg-gray-200 hover:bg-gray-300 rounded"
-                              >
-                                -
-                              </button>
-                              <span className="px-4 py-1 border border-gray-300 rounded">
-                                {item.quantity}
-                              </span>
-                              <button
-                                onClick={() => updateQuantity(item.id, item.quantity + 1)}
-                                className="px-3 py-1 bg-gray-200 hover:bg-gray-300 rounded"
-                              >
-                                +
-                              </button>
-                              <span className="text-sm text-gray-500 ml-2">
-                                (Max: {item.rating.count})
-                              </span>
-                            </div>
-                          </div>
-                          <button
-                            onClick={() => removeFromCart(item.id)}
-                            className="text-red-600 hover:text-red-700"
-                          >
-                            <X size={20} />
-                          </button>
-                        </div>
-                      ))}
-                    </div>
-
-                    <div className="border-t pt-4">
-                      <div className="flex justify-between text-lg mb-2">
-                        <span className="font-semibold">Total items:</span>
-                        <span>{getTotalItems()}</span>
-                      </div>
-                      <div className="flex justify-between text-xl font-bold">
-                        <span>Total price:</span>
-                        <span className="text-blue-600">${getTotalPrice()}</span>
-                      </div>
+                    <p className="text-sm text-gray-600 mb-3">
+                      {t(hasMore ? 'catalog.showingMore' : 'catalog.showing', {
+                        start: getPageStart() + 1,
+                        end: getPageStart() + getPageProducts().length,
+                        total: filteredProducts.length
+                      })}
+                    </p>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                      {getPageProducts().map(renderProductCard)}
                     </div>
+                    <Pagination
+                      page={getCurrentPage()}
+                      pageCount={getPageCount()}
+                      hasMore={hasMore}
+                      onChange={changePage}
+                    />
+                  </>
+                ) : (
+                  <>
+                    {/* Only rows near the viewport are rendered */}
+                    <VirtualGrid
+                      items={filteredProducts.slice(0, visibleCount)}
+                      getKey={product => product.id}
+                      renderItem={renderProductCard}
+                    />
+                    <LoadMoreTrigger
+                      onLoadMore={showMoreProducts}
+                      loading={loadingMore}
+                      disabled={visibleCount >= filteredProducts.length && !hasMore}
+                    />
                   </>
                 )}
+
+                {loadMoreError && (
+                  <p role="alert" className="text-sm text-red-600 text-center mt-4">
+                    {t('catalog.loadMoreError')}{' '}
+                    <button onClick={retryLoadMore} className="font-medium underline">{t('catalog.retry')}</button>
+                  </p>
+                )}
               </div>
             </div>
           </div>
-        </div>
-      </div>
+        )}
+      </main>
+
+      {route.name !== 'compare' && (
+        <CompareTray items={compareItems} onRemove={toggleCompareItem} onClear={() => setCompareItems([])} />
+      )}
     </div>
   );
 };
 
+// Prices are formatted in the storefront's language
+const LocalizedCurrencyProvider = ({ rates, children }) => {
+  const { locale } = useI18n();
+  return <CurrencyProvider rates={rates} locale={locale}>{children}</CurrencyProvider>;
+};
+
+// Provides routing, language, currency, the signed-in account and the cart
+// store to the storefront
+const App = ({ currencyRates, locale, ...props }) => (
+  <RouterProvider>
+    <I18nProvider locale={locale}>
+      <LocalizedCurrencyProvider rates={currencyRates}>
+        <AccountProvider>
+          <CartProvider>
+            <SavedListsProvider>
+              <Storefront {...props} />
+            </SavedListsProvider>
+          </CartProvider>
+        </AccountProvider>
+      </LocalizedCurrencyProvider>
+    </I18nProvider>
+  </RouterProvider>
+);
+
 export default App;
@@ -0,0 +1,36 @@
+import { useCallback, useEffect, useState } from 'react';
+import { readJson, writeJson, subscribeToKey } from './storage';
+
+const RECENTLY_VIEWED_KEY = 'mini-ecommerce:recently-viewed';
+export const RECENTLY_VIEWED_LIMIT = 12;
+
+const parseRecentlyViewed = (saved) => (
+  Array.isArray(saved) ? saved.filter(item => item && item.id != null) : []
+);
+
+// Most recent first; viewing a product again moves it to the front
+export const addRecentlyViewed = (items, product) => {
+  const { quantity, ...snapshot } = product;
+  return [snapshot, ...items.filter(item => item.id !== product.id)].slice(0, RECENTLY_VIEWED_LIMIT);
+};
+
+// Product snapshots viewed in this browser, shared with other tabs
+export const useRecentlyViewed = () => {
+  const [items, setItems] = useState(() => parseRecentlyViewed(readJson(RECENTLY_VIEWED_KEY)));
+
+  useEffect(() => {
+    writeJson(RECENTLY_VIEWED_KEY, items);
+  }, [items]);
+
+  useEffect(() => {
+    return subscribeToKey(RECENTLY_VIEWED_KEY, saved => setItems(parseRecentlyViewed(saved)));
+  }, []);
+
+  const record = useCallback((product) => {
+    setItems(current => addRecentlyViewed(current, product));
+  }, []);
+
+  const clear = useCallback(() => setItems([]), []);
+
+  return { items, record, clear };
+};
@@ -0,0 +1,70 @@
+import { getMaxQuantity } from './inventory';
+
+// Rails in the order they're shown; the UI titles them `recommendations.<id>`
+export const RAIL_IDS = ['boughtTogether', 'sameCategory', 'similarPrice'];
+
+// "Similar price" means within this fraction of the seeds' average price
+export const PRICE_BAND = 0.25;
+
+export const RAIL_LIMIT = 8;
+
+// Ties always break on id, so the same inputs give the same rails
+const compareIds = (a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+
+const byRating = (a, b) => b.rating.rate - a.rating.rate || b.rating.count - a.rating.count || compareIds(a, b);
+
+const isCandidate = (product, excluded) => !excluded.has(product.id) && getMaxQuantity(product) > 0;
+
+export const getSameCategory = (seeds, products, excluded) => {
+  const categories = new Set(seeds.map(seed => seed.category));
+  return products
+    .filter(product => categories.has(product.category) && isCandidate(product, excluded))
+    .sort(byRating);
+};
+
+export const getSimilarPrice = (seeds, products, excluded) => {
+  if (seeds.length === 0) return [];
+  const target = seeds.reduce((sum, seed) => sum + seed.price, 0) / seeds.length;
+  const band = target * PRICE_BAND;
+  return products
+    .filter(product => Math.abs(product.price - target) <= band && isCandidate(product, excluded))
+    .sort((a, b) => Math.abs(a.price - target) - Math.abs(b.price - target) || compareIds(a, b));
+};
+
+// Products that appear in past orders alongside any seed, most often first
+export const getBoughtTogether = (seeds, products, orders, excluded) => {
+  const seedIds = new Set(seeds.map(seed => seed.id));
+  const counts = new Map();
+
+  orders.forEach(order => {
+    const ids = order.items.map(item => item.id);
+    if (!ids.some(id => seedIds.has(id))) return;
+    new Set(ids).forEach(id => {
+      if (!seedIds.has(id)) counts.set(id, (counts.get(id) || 0) + 1);
+    });
+  });
+
+  return products
+    .filter(product => counts.has(product.id) && isCandidate(product, excluded))
+    .sort((a, b) => counts.get(b.id) - counts.get(a.id) || compareIds(a, b));
+};
+
+// Returns `[{ id, products }]` in RAIL_IDS order, leaving out empty rails.
+// A product shows in the first rail that has it and nowhere else; seeds
+// and `exclude` ids (e.g. what's already in the cart) are never suggested.
+export const buildRecommendations = ({ seeds, products, orders = [], exclude = [], limit = RAIL_LIMIT }) => {
+  const excluded = new Set([...seeds.map(seed => seed.id), ...exclude]);
+  const candidates = {
+    boughtTogether: () => getBoughtTogether(seeds, products, orders, excluded),
+    sameCategory: () => getSameCategory(seeds, products, excluded),
+    similarPrice: () => getSimilarPrice(seeds, products, excluded)
+  };
+
+  const rails = [];
+  RAIL_IDS.forEach(id => {
+    const picked = candidates[id]().slice(0, limit);
+    picked.forEach(product => excluded.add(product.id));
+    if (picked.length > 0) rails.push({ id, products: picked });
+  });
+  return rails;
+};
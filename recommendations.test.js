@@ -0,0 +1,71 @@
+import { buildRecommendations, getBoughtTogether, getSameCategory, getSimilarPrice } from './recommendations';
+import { createLocalRecommender } from './recommender';
+
+const product = (id, category, price, rate = 4, { count = 10, stock = 5 } = {}) => ({
+  id, title: `Product ${id}`, category, price, rating: { rate, count }, stock
+});
+
+const seed = product(1, 'bags', 100);
+const products = [
+  seed,
+  product(2, 'bags', 300, 4.5),
+  product(9, 'bags', 300, 4.8),
+  product(10, 'bags', 95, 4.8),
+  product(4, 'kitchen', 90),
+  product(5, 'kitchen', 110),
+  product(6, 'kitchen', 200),
+  product(7, 'kitchen', 500),
+  product(8, 'toys', 50, 4, { stock: 0 })
+];
+
+const order = (...ids) => ({ items: ids.map(id => ({ id, quantity: 1 })) });
+const orders = [order(1, 7, 7), order(1, 4, 7, 8), order(6, 5)];
+
+const ids = (list) => list.map(item => item.id);
+const rails = (request) => buildRecommendations({ seeds: [seed], products, orders, ...request })
+  .map(rail => [rail.id, ids(rail.products)]);
+
+describe('recommendations', () => {
+  it('counts each order once per product bought alongside a seed', () => {
+    // 7 twice in one order counts once; 8 is sold out; 5 and 6 never met the seed
+    expect(ids(getBoughtTogether([seed], products, orders, new Set([1])))).toEqual([7, 4]);
+  });
+
+  it('breaks ties on id, in numeric order', () => {
+    expect(ids(getSameCategory([seed], products, new Set([1])))).toEqual([9, 10, 2]);
+    expect(ids(getSimilarPrice([seed], products, new Set([1])))).toEqual([10, 4, 5]);
+  });
+
+  it('fills the rails in order, each product in the first rail that has it', () => {
+    expect(rails()).toEqual([
+      ['boughtTogether', [7, 4]],
+      ['sameCategory', [9, 10, 2]],
+      ['similarPrice', [5]]
+    ]);
+  });
+
+  it('never suggests the seeds or excluded products, and leaves out empty rails', () => {
+    expect(rails({ exclude: [7, 5] })).toEqual([
+      ['boughtTogether', [4]],
+      ['sameCategory', [9, 10, 2]]
+    ]);
+  });
+
+  it('caps each rail at the limit', () => {
+    expect(rails({ limit: 1 })).toEqual([
+      ['boughtTogether', [7]],
+      ['sameCategory', [9]],
+      ['similarPrice', [10]]
+    ]);
+  });
+
+  it('gives the same rails for the same inputs in any catalog order', () => {
+    expect(rails({ products: [...products].reverse() })).toEqual(rails());
+  });
+
+  it('reads past orders through the local recommender', async () => {
+    const recommender = createLocalRecommender({ listOrders: async () => orders });
+    const result = await recommender.recommend({ seeds: [seed], products });
+    expect(result.map(rail => [rail.id, ids(rail.products)])).toEqual(rails());
+  });
+});
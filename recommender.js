@@ -0,0 +1,45 @@
+import { createContext, useContext, useMemo } from 'react';
+import { buildRecommendations } from './recommendations';
+import { useOrderService } from './orderService';
+
+// A recommender answers `recommend({ seeds, products, exclude, limit })` with
+// `[{ id, products }]` rails. `seeds` are what the shopper is looking at,
+// `products` the catalog loaded so far; a remote service may return other
+// products of its own.
+
+// Works from the loaded catalog and the order history `listOrders` returns
+export const createLocalRecommender = ({ listOrders = async () => [] } = {}) => ({
+  name: 'local',
+  recommend: async (request) => buildRecommendations({ ...request, orders: await listOrders() })
+});
+
+// Calls an HTTP endpoint that takes the seed and excluded ids
+export const createRestRecommender = ({ url, fetchImpl = (...args) => fetch(...args) }) => ({
+  name: 'rest',
+  recommend: async ({ seeds, exclude = [], limit }) => {
+    const params = new URLSearchParams({
+      seeds: seeds.map(seed => seed.id).join(','),
+      exclude: exclude.join(',')
+    });
+    if (limit) params.set('limit', limit);
+    const response = await fetchImpl(`${url}?${params}`);
+    if (!response.ok) {
+      throw new Error(`Loading recommendations failed with status ${response.status}`);
+    }
+    return response.json();
+  }
+});
+
+// Without a provider, the local recommender reads whichever order service is in use
+export const RecommenderContext = createContext(null);
+
+export const RecommenderProvider = RecommenderContext.Provider;
+
+export const useRecommender = () => {
+  const recommender = useContext(RecommenderContext);
+  const orderService = useOrderService();
+  return useMemo(
+    () => recommender || createLocalRecommender({ listOrders: () => orderService.listOrders() }),
+    [recommender, orderService]
+  );
+};
@@ -0,0 +1,9 @@
+// Offline caching is a progressive enhancement: without service worker
+// support (or over plain http) the storefront works as before
+export const registerServiceWorker = (url = '/service-worker.js') => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.register(url).catch(error => {
+    console.warn('Service worker registration failed:', error);
+  });
+};
@@ -0,0 +1,66 @@
+import { createContext, useContext } from 'react';
+import { readJson, writeJson } from './storage';
+
+const REVIEWS_KEY = 'mini-ecommerce:reviews';
+
+// Shared by the memory and localStorage stores. Every change starts from a
+// fresh `load()`, so reviews and votes from another tab aren't overwritten;
+// `save` gets the full list after every change.
+const createReviewStore = (name, { load, save }) => ({
+  name,
+  listReviews: async (productId) => load()
+    .filter(review => String(review.productId) === String(productId))
+    .map(review => ({ ...review })),
+  addReview: async (productId, { rating, author, body }) => {
+    const reviews = load();
+    const review = {
+      id: `REV-${Date.now().toString(36)}-${reviews.length + 1}`,
+      productId,
+      rating,
+      author: author.trim(),
+      body: body.trim(),
+      helpful: 0,
+      createdAt: new Date().toISOString()
+    };
+    save([...reviews, review]);
+    return { ...review };
+  },
+  voteHelpful: async (reviewId) => {
+    const reviews = load();
+    const review = reviews.find(r => r.id === reviewId);
+    if (!review) {
+      throw new Error(`Review ${reviewId} does not exist`);
+    }
+    const voted = { ...review, helpful: review.helpful + 1 };
+    save(reviews.map(r => (r.id === reviewId ? voted : r)));
+    return { ...voted };
+  }
+});
+
+// Keeps reviews in memory; for tests and development
+export const createMemoryReviewStore = (initial = []) => {
+  let reviews = [...initial];
+  return createReviewStore('memory', {
+    load: () => reviews,
+    save: (next) => {
+      reviews = next;
+    }
+  });
+};
+
+// Keeps reviews in this browser until a review backend exists
+export const createLocalReviewStore = ({ key = REVIEWS_KEY } = {}) => createReviewStore('local', {
+  load: () => {
+    const saved = readJson(key);
+    return Array.isArray(saved) ? saved : [];
+  },
+  save: (reviews) => writeJson(key, reviews)
+});
+
+export const defaultReviewStore = createLocalReviewStore();
+
+export const ReviewStoreContext = createContext(defaultReviewStore);
+
+export const ReviewStoreProvider = ReviewStoreContext.Provider;
+
+export const useReviewStore = () => useContext(ReviewStoreContext);
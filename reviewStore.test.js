@@ -0,0 +1,21 @@
+import { createLocalReviewStore } from './reviewStore';
+
+const review = (author) => ({ rating: 4, author, body: 'Does the job' });
+
+describe('createLocalReviewStore', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('keeps reviews and votes written from another tab', async () => {
+    const firstTab = createLocalReviewStore();
+    const secondTab = createLocalReviewStore();
+
+    const first = await firstTab.addReview(1, review('Ana'));
+    await secondTab.addReview(1, review('Ben'));
+    await secondTab.voteHelpful(first.id);
+    await firstTab.voteHelpful(first.id);
+
+    const reviews = await firstTab.listReviews(1);
+    expect(reviews.map(r => r.author)).toEqual(['Ana', 'Ben']);
+    expect(reviews[0].helpful).toBe(2);
+  });
+});
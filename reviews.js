@@ -0,0 +1,50 @@
+export const REVIEW_SORTS = ['newest', 'helpful'];
+
+export const REVIEW_BODY_MIN = 20;
+export const REVIEW_BODY_MAX = 2000;
+export const REVIEW_AUTHOR_MAX = 50;
+
+export const emptyReview = {
+  rating: 0,
+  author: '',
+  body: ''
+};
+
+// Returns a map of field name to message key; empty when the review is valid
+export const validateReview = (values) => {
+  const errors = {};
+  const author = values.author.trim();
+  const body = values.body.trim();
+
+  if (!Number.isInteger(values.rating) || values.rating < 1 || values.rating > 5) errors.rating = 'reviews.error.rating';
+  if (!author || author.length > REVIEW_AUTHOR_MAX) errors.author = 'reviews.error.author';
+  if (body.length < REVIEW_BODY_MIN) errors.body = 'reviews.error.bodyShort';
+  if (body.length > REVIEW_BODY_MAX) errors.body = 'reviews.error.bodyLong';
+
+  return errors;
+};
+
+const newestFirst = (a, b) => b.createdAt.localeCompare(a.createdAt);
+
+export const sortReviews = (reviews, order) => {
+  const sorted = [...reviews];
+  if (order === 'helpful') {
+    return sorted.sort((a, b) => b.helpful - a.helpful || newestFirst(a, b));
+  }
+  return sorted.sort(newestFirst);
+};
+
+// Count of reviews for each star value, 5 stars first
+export const getRatingDistribution = (reviews) => [5, 4, 3, 2, 1].map(stars => ({
+  stars,
+  count: reviews.filter(review => review.rating === stars).length
+}));
+
+// The catalog's aggregate rating with the written reviews folded in
+export const combineRatings = (rating, reviews) => {
+  const count = rating.count + reviews.length;
+  if (count === 0) return { rate: 0, count: 0 };
+
+  const total = rating.rate * rating.count + reviews.reduce((sum, review) => sum + review.rating, 0);
+  return { rate: total / count, count };
+};
@@ -0,0 +1,94 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+
+// Route table: first match wins. `:name` segments become params.
+const ROUTES = [
+  { name: 'catalog', path: '/' },
+  { name: 'product', path: '/product/:id' },
+  { name: 'cart', path: '/cart' },
+  { name: 'wishlist', path: '/wishlist' },
+  { name: 'admin', path: '/admin' },
+  { name: 'compare', path: '/compare' },
+  { name: 'account', path: '/account' },
+  { name: 'orders', path: '/account/orders' }
+];
+
+// Malformed escapes such as "%E0" make the path unroutable, not an error
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return null;
+  }
+};
+
+export const matchRoute = (pathname) => {
+  const segments = pathname.split('/').filter(Boolean);
+
+  for (const route of ROUTES) {
+    const pattern = route.path.split('/').filter(Boolean);
+    if (pattern.length !== segments.length) continue;
+
+    const params = {};
+    const matches = pattern.every((part, index) => {
+      if (part.startsWith(':')) {
+        params[part.slice(1)] = decodeSegment(segments[index]);
+        return params[part.slice(1)] !== null;
+      }
+      return part === segments[index];
+    });
+    if (matches) return { name: route.name, params };
+  }
+  return { name: 'notFound', params: {} };
+};
+
+export const productPath = (id) => `/product/${encodeURIComponent(id)}`;
+
+const RouterContext = createContext(null);
+
+const currentPathname = () => (typeof window !== 'undefined' ? window.location.pathname : '/');
+
+export const RouterProvider = ({ children }) => {
+  const [pathname, setPathname] = useState(currentPathname);
+
+  useEffect(() => {
+    const handlePopState = () => setPathname(currentPathname());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const value = useMemo(() => ({
+    pathname,
+    route: matchRoute(pathname),
+    // `to` may carry a query string, e.g. "/?category=electronics"
+    navigate: (to, { replace = false } = {}) => {
+      const method = replace ? 'replaceState' : 'pushState';
+      window.history[method](null, '', to);
+      setPathname(currentPathname());
+      window.scrollTo(0, 0);
+    }
+  }), [pathname]);
+
+  return <RouterContext.Provider value={value}>{children}</RouterContext.Provider>;
+};
+
+export const useRouter = () => {
+  const context = useContext(RouterContext);
+  if (!context) {
+    throw new Error('useRouter must be used inside a RouterProvider');
+  }
+  return context;
+};
+
+// Plain anchor that navigates client-side; modified clicks still open new tabs
+export const Link = ({ to, onClick, children, ...props }) => {
+  const { navigate } = useRouter();
+
+  const handleClick = (e) => {
+    if (onClick) onClick(e);
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return <a href={to} onClick={handleClick} {...props}>{children}</a>;
+};
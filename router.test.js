@@ -0,0 +1,16 @@
+import { matchRoute, productPath } from './router';
+
+describe('matchRoute', () => {
+  it('decodes params', () => {
+    expect(matchRoute(productPath('a b/c'))).toEqual({ name: 'product', params: { id: 'a b/c' } });
+  });
+
+  it('treats malformed escapes as not found', () => {
+    expect(matchRoute('/product/%E0')).toEqual({ name: 'notFound', params: {} });
+  });
+
+  it('matches static routes', () => {
+    expect(matchRoute('/account/orders').name).toBe('orders');
+    expect(matchRoute('/nope').name).toBe('notFound');
+  });
+});
@@ -0,0 +1,158 @@
+import React, { createContext, useContext, useEffect, useMemo, useReducer } from 'react';
+import { readJson, writeJson, subscribeToKey } from './storage';
+import { getSku, resolveLine } from './variants';
+
+const SAVED_LISTS_KEY = 'mini-ecommerce:saved-lists';
+export const SAVED_LISTS_SCHEMA_VERSION = 1;
+
+// `wishlist` holds product snapshots, `saved` holds cart lines parked for
+// later, and `notify` the ids to flag once they are back in stock. Saved
+// lines, like cart lines, are keyed by SKU.
+export const initialSavedLists = { wishlist: [], saved: [], notify: [] };
+
+const parseSavedLists = (saved) => {
+  if (!saved || saved.version !== SAVED_LISTS_SCHEMA_VERSION) return initialSavedLists;
+  return {
+    wishlist: Array.isArray(saved.wishlist) ? saved.wishlist.filter(item => item && item.id != null) : [],
+    saved: Array.isArray(saved.saved) ? saved.saved.filter(line => line && line.id != null && line.quantity > 0) : [],
+    notify: Array.isArray(saved.notify) ? saved.notify : []
+  };
+};
+
+export const readSavedLists = () => parseSavedLists(readJson(SAVED_LISTS_KEY));
+
+export const writeSavedLists = ({ wishlist, saved, notify }) => {
+  writeJson(SAVED_LISTS_KEY, { version: SAVED_LISTS_SCHEMA_VERSION, wishlist, saved, notify });
+};
+
+const withoutId = (items, id) => items.filter(item => item.id !== id);
+
+const withoutSku = (lines, sku) => lines.filter(line => getSku(line) !== sku);
+
+// Drop the notify flag once an item is on neither list
+const pruneNotify = (state) => {
+  const notify = state.notify.filter(id =>
+    state.wishlist.some(item => item.id === id) || state.saved.some(line => getSku(line) === id)
+  );
+  return notify.length === state.notify.length ? state : { ...state, notify };
+};
+
+// Snapshots pick up the live price and stock; quantities are kept
+const refreshItems = (items, products) => {
+  let changed = false;
+  const refreshed = items.map(item => {
+    const product = item.quantity != null ? resolveLine(item, products) : products.find(p => p.id === item.id);
+    if (!product || (product.price === item.price && product.stock === item.stock)) return item;
+    changed = true;
+    return item.quantity != null ? { ...product, quantity: item.quantity } : { ...product };
+  });
+  return changed ? refreshed : items;
+};
+
+export const savedListsReducer = (state, action) => {
+  switch (action.type) {
+    case 'TOGGLE_WISHLIST': {
+      const { quantity, ...product } = action.product;
+      const wishlist = state.wishlist.some(item => item.id === product.id)
+        ? withoutId(state.wishlist, product.id)
+        : [...state.wishlist, product];
+      return pruneNotify({ ...state, wishlist });
+    }
+
+    // Saving a line that's already parked adds to its quantity
+    case 'SAVE': {
+      const sku = getSku(action.line);
+      const existing = state.saved.find(line => getSku(line) === sku);
+      const saved = existing
+        ? state.saved.map(line =>
+          getSku(line) === sku
+            ? { ...line, quantity: line.quantity + action.line.quantity }
+            : line
+        )
+        : [...state.saved, action.line];
+      return { ...state, saved };
+    }
+
+    case 'REMOVE_SAVED':
+      return pruneNotify({ ...state, saved: withoutSku(state.saved, action.id) });
+
+    // Part of a saved line moved elsewhere; the line goes once nothing is left
+    case 'TAKE_SAVED': {
+      const existing = state.saved.find(line => getSku(line) === action.id);
+      if (!existing) return state;
+      if (action.quantity >= existing.quantity) {
+        return savedListsReducer(state, { type: 'REMOVE_SAVED', id: action.id });
+      }
+      const saved = state.saved.map(line =>
+        getSku(line) === action.id
+          ? { ...line, quantity: line.quantity - action.quantity }
+          : line
+      );
+      return { ...state, saved };
+    }
+
+    case 'TOGGLE_NOTIFY': {
+      const notify = state.notify.includes(action.id)
+        ? state.notify.filter(id => id !== action.id)
+        : [...state.notify, action.id];
+      return { ...state, notify };
+    }
+
+    case 'REFRESH': {
+      const wishlist = refreshItems(state.wishlist, action.products);
+      const saved = refreshItems(state.saved, action.products);
+      return wishlist === state.wishlist && saved === state.saved ? state : { ...state, wishlist, saved };
+    }
+
+    // Wholesale replacement from another tab
+    case 'RESTORE':
+      return action.lists;
+
+    default:
+      throw new Error(`Unknown saved lists action: ${action.type}`);
+  }
+};
+
+const SavedListsContext = createContext(null);
+
+export const SavedListsProvider = ({ children, persist = true }) => {
+  const [state, dispatch] = useReducer(
+    savedListsReducer,
+    initialSavedLists,
+    initial => (persist ? readSavedLists() : initial)
+  );
+
+  useEffect(() => {
+    if (persist) {
+      writeSavedLists(state);
+    }
+  }, [state, persist]);
+
+  useEffect(() => {
+    if (!persist) return undefined;
+    return subscribeToKey(SAVED_LISTS_KEY, saved => dispatch({ type: 'RESTORE', lists: parseSavedLists(saved) }));
+  }, [persist]);
+
+  const value = useMemo(() => ({
+    wishlist: state.wishlist,
+    saved: state.saved,
+    isWishlisted: (id) => state.wishlist.some(item => item.id === id),
+    isNotifying: (id) => state.notify.includes(id),
+    toggleWishlist: (product) => dispatch({ type: 'TOGGLE_WISHLIST', product }),
+    saveForLater: (line) => dispatch({ type: 'SAVE', line }),
+    removeSaved: (id) => dispatch({ type: 'REMOVE_SAVED', id }),
+    takeSaved: (id, quantity) => dispatch({ type: 'TAKE_SAVED', id, quantity }),
+    toggleNotify: (id) => dispatch({ type: 'TOGGLE_NOTIFY', id }),
+    refresh: (products) => dispatch({ type: 'REFRESH', products })
+  }), [state]);
+
+  return <SavedListsContext.Provider value={value}>{children}</SavedListsContext.Provider>;
+};
+
+export const useSavedLists = () => {
+  const context = useContext(SavedListsContext);
+  if (!context) {
+    throw new Error('useSavedLists must be used inside a SavedListsProvider');
+  }
+  return context;
+};
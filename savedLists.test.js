@@ -0,0 +1,28 @@
+import { savedListsReducer, initialSavedLists } from './savedLists';
+
+const mug = { id: 2, title: 'Mug', price: 8, stock: 10 };
+
+describe('savedListsReducer', () => {
+  describe('TAKE_SAVED', () => {
+    const state = savedListsReducer(
+      { ...initialSavedLists, notify: [2] },
+      { type: 'SAVE', line: { ...mug, quantity: 5 } }
+    );
+
+    it('keeps what is left of a partly moved line', () => {
+      const next = savedListsReducer(state, { type: 'TAKE_SAVED', id: 2, quantity: 3 });
+      expect(next.saved).toEqual([{ ...mug, quantity: 2 }]);
+      expect(next.notify).toEqual([2]);
+    });
+
+    it('removes a fully moved line', () => {
+      const next = savedListsReducer(state, { type: 'TAKE_SAVED', id: 2, quantity: 5 });
+      expect(next.saved).toEqual([]);
+      expect(next.notify).toEqual([]);
+    });
+
+    it('ignores unknown lines', () => {
+      expect(savedListsReducer(state, { type: 'TAKE_SAVED', id: 99, quantity: 1 })).toBe(state);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+// Matches in the title count for more than matches in the category or description
+const FIELD_WEIGHTS = { title: 3, category: 2, description: 1 };
+
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.8, fuzzy: 0.6 };
+
+// Letters and digits of any script; accents and other marks are dropped, so
+// "café" and "cafe" are the same word
+const WORD_PATTERN = /[\p{L}\p{N}\p{M}]+/gu;
+
+const foldWord = (word) => word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+export const tokenize = (text) => (String(text || '').match(WORD_PATTERN) || [])
+  .map(foldWord)
+  .filter(Boolean);
+
+// Whether a query has anything to search for; punctuation alone doesn't
+export const hasSearchTerms = (query) => tokenize(query).length > 0;
+
+// Optimal string alignment distance, capped: returns max + 1 once it's exceeded
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      // Swapped neighbours ("bakcpack") count as a single edit
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+  return prev[b.length];
+};
+
+// Short words must match exactly; longer ones tolerate one or two typos
+const allowedTypos = (token) => {
+  if (token.length < 4) return 0;
+  return token.length < 8 ? 1 : 2;
+};
+
+// How well a query token matches an indexed term, 0 when it doesn't
+export const matchTerm = (token, term) => {
+  if (token === term) return MATCH_WEIGHTS.exact;
+  if (token.length >= 2 && term.startsWith(token)) return MATCH_WEIGHTS.prefix;
+
+  const typos = allowedTypos(token);
+  if (typos > 0 && editDistance(token, term, typos) <= typos) return MATCH_WEIGHTS.fuzzy;
+  return 0;
+};
+
+export const buildSearchIndex = (products) => {
+  const terms = new Map();
+
+  products.forEach(product => {
+    Object.keys(FIELD_WEIGHTS).forEach(field => {
+      new Set(tokenize(product[field])).forEach(term => {
+        if (!terms.has(term)) terms.set(term, []);
+        terms.get(term).push({ id: product.id, field });
+      });
+    });
+  });
+
+  return {
+    terms,
+    products: new Map(products.map(product => [product.id, product]))
+  };
+};
+
+// Ranked products matching every word of the query
+export const search = (index, query, { limit = Infinity } = {}) => {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return [];
+
+  const scores = new Map();
+
+  tokens.forEach((token, position) => {
+    const tokenScores = new Map();
+
+    index.terms.forEach((postings, term) => {
+      const match = matchTerm(token, term);
+      if (match === 0) return;
+      postings.forEach(({ id, field }) => {
+        const score = match * FIELD_WEIGHTS[field];
+        tokenScores.set(id, Math.max(tokenScores.get(id) || 0, score));
+      });
+    });
+
+    // Keep only products that matched all earlier words too
+    if (position === 0) {
+      tokenScores.forEach((score, id) => scores.set(id, score));
+    } else {
+      scores.forEach((score, id) => {
+        if (tokenScores.has(id)) {
+          scores.set(id, score + tokenScores.get(id));
+        } else {
+          scores.delete(id);
+        }
+      });
+    }
+  });
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([id, score]) => ({ product: index.products.get(id), score }));
+};
+
+// Character ranges in `text` whose words match the query, for highlighting
+export const getHighlightRanges = (text, query) => {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return [];
+
+  // Words are folded for matching but ranges point into the original text
+  const ranges = [];
+  for (const found of String(text).matchAll(WORD_PATTERN)) {
+    const word = foldWord(found[0]);
+    if (word && tokens.some(token => matchTerm(token, word) > 0)) {
+      ranges.push([found.index, found.index + found[0].length]);
+    }
+  }
+  return ranges;
+};
@@ -0,0 +1,32 @@
+import { buildSearchIndex, getHighlightRanges, hasSearchTerms, search, tokenize } from './search';
+
+const products = [
+  { id: 1, title: 'Café au lait mug', category: 'kitchen', description: '' },
+  { id: 2, title: 'قميص قطني', category: 'clothing', description: '' },
+  { id: 3, title: 'Canvas backpack', category: 'bags', description: '' }
+];
+
+const ids = (query) => search(buildSearchIndex(products), query).map(result => result.product.id);
+
+describe('search', () => {
+  it('folds accents on both sides', () => {
+    expect(tokenize('Café CRÈME')).toEqual(['cafe', 'creme']);
+    expect(ids('cafe')).toEqual([1]);
+    expect(ids('café')).toEqual([1]);
+  });
+
+  it('matches words in non-Latin scripts', () => {
+    expect(ids('قميص')).toEqual([2]);
+  });
+
+  it('treats punctuation-only queries as empty', () => {
+    expect(hasSearchTerms('?!  -')).toBe(false);
+    expect(hasSearchTerms('é')).toBe(true);
+  });
+
+  it('highlights the original, unfolded text', () => {
+    const text = 'Café au lait';
+    expect(getHighlightRanges(text, 'cafe')).toEqual([[0, 4]]);
+    expect(getHighlightRanges('قميص قطني', 'قطني')).toEqual([[5, 9]]);
+  });
+});
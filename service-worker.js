@@ -0,0 +1,77 @@
+// Keeps the storefront usable offline. Must be served from the site root so
+// its scope covers every route. Bump CACHE_VERSION to drop old caches.
+const CACHE_VERSION = 'v1';
+const PAGES_CACHE = `pages-${CACHE_VERSION}`;
+const IMAGES_CACHE = `images-${CACHE_VERSION}`;
+const DATA_CACHE = `data-${CACHE_VERSION}`;
+const MAX_IMAGES = 300;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(PAGES_CACHE).then(cache => cache.add('/')));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [PAGES_CACHE, IMAGES_CACHE, DATA_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => !current.includes(name)).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Oldest entries go first; cache keys come back in insertion order
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+};
+
+// Cross-origin images come back opaque; they're still worth keeping
+const isCacheable = (response) => response.ok || response.type === 'opaque';
+
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (isCacheable(response)) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+    trimCache(cacheName, MAX_IMAGES);
+  }
+  return response;
+};
+
+const networkFirst = async (request, cacheName) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  if (request.mode === 'navigate') {
+    // Client-side routes all boot from the same page
+    event.respondWith(networkFirst(request, PAGES_CACHE).catch(() => caches.match('/')));
+  } else if (request.destination === 'image') {
+    // Product images rarely change, so they're served from the cache once seen
+    event.respondWith(cacheFirst(request, IMAGES_CACHE));
+  } else if (['script', 'style', 'font'].includes(request.destination)) {
+    event.respondWith(networkFirst(request, PAGES_CACHE));
+  } else {
+    // Catalog and product API responses, for product pages opened offline
+    event.respondWith(networkFirst(request, DATA_CACHE));
+  }
+});
@@ -0,0 +1,31 @@
+// '' keeps the incoming order: relevance while searching, catalog order otherwise.
+// The UI labels each option with its `sort.<value>` message.
+export const SORT_OPTIONS = [
+  { value: '' },
+  { value: 'low-high' },
+  { value: 'high-low' },
+  { value: 'rating' },
+  { value: 'popularity' },
+  { value: 'name-asc' },
+  { value: 'name-desc' }
+];
+
+const byTitle = (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' });
+
+const COMPARATORS = {
+  'low-high': (a, b) => a.price - b.price,
+  'high-low': (a, b) => b.price - a.price,
+  // Ties on rating go to the product with more reviews behind it
+  rating: (a, b) => b.rating.rate - a.rating.rate || b.rating.count - a.rating.count,
+  popularity: (a, b) => b.rating.count - a.rating.count,
+  'name-asc': byTitle,
+  'name-desc': (a, b) => byTitle(b, a)
+};
+
+export const isValidSortOrder = (sortOrder) => SORT_OPTIONS.some(option => option.value === sortOrder);
+
+// Array#sort is stable, so equal items keep their relevance order
+export const sortProducts = (products, sortOrder) => {
+  const comparator = COMPARATORS[sortOrder];
+  return comparator ? [...products].sort(comparator) : products;
+};
@@ -0,0 +1,52 @@
+// localStorage can be missing (SSR) or throw (private mode, quota)
+export const getStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const readJson = (key) => {
+  const storage = getStorage();
+  if (!storage) return null;
+
+  try {
+    return JSON.parse(storage.getItem(key));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Returns false when nothing was written, including when the value is unchanged
+export const writeJson = (key, value) => {
+  const storage = getStorage();
+  if (!storage) return false;
+
+  try {
+    const serialized = JSON.stringify(value);
+    if (storage.getItem(key) === serialized) return false;
+    storage.setItem(key, serialized);
+    return true;
+  } catch (error) {
+    console.warn(`Could not save ${key}:`, error);
+    return false;
+  }
+};
+
+// Fires when another tab writes the key; the writing tab itself gets no event
+export const subscribeToKey = (key, callback) => {
+  if (typeof window === 'undefined') return () => {};
+
+  const handleStorage = (event) => {
+    if (event.key !== key) return;
+    try {
+      callback(JSON.parse(event.newValue));
+    } catch (error) {
+      callback(null);
+    }
+  };
+
+  window.addEventListener('storage', handleStorage);
+  return () => window.removeEventListener('storage', handleStorage);
+};
@@ -0,0 +1,51 @@
+import { multiply, percentOf, sum, toMinorUnits } from './money';
+import { getSku } from './variants';
+
+export const DEFAULT_REGION = 'United States';
+
+// Rates per region, with optional overrides for individual product categories
+export const DEFAULT_TAX_RULES = {
+  defaultRate: 0,
+  regions: {
+    'United States': { rate: 0.07 },
+    Canada: { rate: 0.13 },
+    'United Kingdom': { rate: 0.2 },
+    Germany: { rate: 0.19 },
+    France: { rate: 0.2 },
+    India: { rate: 0.18, categories: { "men's clothing": 0.12, "women's clothing": 0.12, jewelery: 0.03 } },
+    Australia: { rate: 0.1 }
+  }
+};
+
+export const getTaxRate = (category, region = DEFAULT_REGION, rules = DEFAULT_TAX_RULES) => {
+  const regionRules = rules.regions[region];
+  if (!regionRules) return rules.defaultRate;
+  return regionRules.categories?.[category] ?? regionRules.rate;
+};
+
+export const getLineTotal = (item) => multiply(toMinorUnits(item.price), item.quantity);
+
+// Tax is rounded per line and charged on the price after discounts, so each
+// line's tax matches what an invoice would show
+export const calculateTotals = (items, {
+  region = DEFAULT_REGION,
+  shipping = 0,
+  discounts = null,
+  rules = DEFAULT_TAX_RULES
+} = {}) => {
+  const subtotal = sum(items.map(getLineTotal));
+  const discountByLine = discounts ? discounts.byLine : {};
+  const discount = discounts ? discounts.total : 0;
+  const tax = sum(items.map(item => percentOf(
+    getLineTotal(item) - (discountByLine[getSku(item)] || 0),
+    getTaxRate(item.category, region, rules)
+  )));
+
+  return {
+    subtotal,
+    discount,
+    tax,
+    shipping,
+    total: subtotal - discount + tax + shipping
+  };
+};
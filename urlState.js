@@ -0,0 +1,85 @@
+import { useEffect, useRef } from 'react';
+import { initialFilters, RATING_OPTIONS } from './filters';
+import { isValidSortOrder } from './sorting';
+
+const toNumber = (value) => {
+  const number = value === null || value === '' ? NaN : Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Read catalog view state from a query string like "?q=bag&category=a&sort=rating"
+export const parseQuery = (queryString) => {
+  const params = new URLSearchParams(queryString);
+  const min = toNumber(params.get('minPrice'));
+  const max = toNumber(params.get('maxPrice'));
+  const rating = toNumber(params.get('rating'));
+  const sort = params.get('sort') || '';
+  const page = toNumber(params.get('page'));
+
+  return {
+    searchTerm: params.get('q') || '',
+    sortOrder: isValidSortOrder(sort) ? sort : '',
+    page: page && page > 0 ? Math.floor(page) : 1,
+    filters: {
+      ...initialFilters,
+      categories: params.getAll('category'),
+      priceRange: min !== null && max !== null && min <= max ? { min, max } : null,
+      minRating: RATING_OPTIONS.includes(rating) ? rating : 0,
+      inStockOnly: params.get('inStock') === '1'
+    }
+  };
+};
+
+// Defaults are left out so the plain catalog keeps a clean URL
+export const buildQuery = ({ searchTerm, sortOrder, page = 1, filters }) => {
+  const params = new URLSearchParams();
+  if (searchTerm.trim()) params.set('q', searchTerm.trim());
+  filters.categories.forEach(category => params.append('category', category));
+  if (filters.priceRange) {
+    params.set('minPrice', filters.priceRange.min);
+    params.set('maxPrice', filters.priceRange.max);
+  }
+  if (filters.minRating > 0) params.set('rating', filters.minRating);
+  if (filters.inStockOnly) params.set('inStock', '1');
+  if (sortOrder) params.set('sort', sortOrder);
+  if (page > 1) params.set('page', page);
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+export const readUrlState = () => {
+  return parseQuery(typeof window !== 'undefined' ? window.location.search : '');
+};
+
+// Push a history entry whenever the view changes, and hand state read from
+// the URL back to the caller on back/forward. Pass `enabled: false` while the
+// state is settling (e.g. a debounced search or price range is pending) to
+// skip the write.
+export const useQueryStringSync = (queryString, { enabled = true, onNavigate }) => {
+  const onNavigateRef = useRef(onNavigate);
+  const hasSynced = useRef(false);
+  onNavigateRef.current = onNavigate;
+
+  useEffect(() => {
+    if (!enabled) return;
+    const isFirstSync = !hasSynced.current;
+    hasSynced.current = true;
+    if (queryString === window.location.search) return;
+    const { pathname, hash } = window.location;
+    const url = `${pathname}${queryString}${hash}`;
+
+    // Tidying the URL we were opened with shouldn't add a history entry
+    if (isFirstSync) {
+      window.history.replaceState(window.history.state, '', url);
+    } else {
+      window.history.pushState(window.history.state, '', url);
+    }
+  }, [queryString, enabled]);
+
+  useEffect(() => {
+    const handlePopState = () => onNavigateRef.current(readUrlState());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+};
@@ -0,0 +1,18 @@
+import { useCurrency } from './currency';
+import { useI18n } from './i18n';
+
+// Translates a `{ key, params }` descriptor, such as a promotion label or a
+// coupon problem, formatting its raw values for the current locale and currency
+export const useDescribeMessage = () => {
+  const { format } = useCurrency();
+  const { t, formatDate, categoryName } = useI18n();
+
+  return ({ key, params }) => {
+    const formatted = { ...params };
+    if (params.amount !== undefined) formatted.amount = format(params.amount);
+    if (params.minSubtotal !== undefined) formatted.minSubtotal = format(params.minSubtotal);
+    if (params.date !== undefined) formatted.date = formatDate(params.date, { dateStyle: 'medium' });
+    if (params.category !== undefined) formatted.category = categoryName(params.category);
+    return t(key, formatted);
+  };
+};
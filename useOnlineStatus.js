@@ -0,0 +1,21 @@
+import { useEffect, useState } from 'react';
+
+// navigator.onLine only knows about the local link, so `true` can still mean
+// requests fail; `false` reliably means they will
+export const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+export const useOnlineStatus = () => {
+  const [online, setOnline] = useState(isOnline);
+
+  useEffect(() => {
+    const update = () => setOnline(isOnline());
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+};
@@ -0,0 +1,95 @@
+// A product with variants lists its `options`, e.g.
+// `[{ name: 'Size', values: ['S', 'M'] }, { name: 'Color', values: ['Red'] }]`,
+// and one variant per SKU: `{ sku, options: { Size: 'M', Color: 'Red' }, price, image, stock }`.
+// Price and image fall back to the product's own.
+
+export const hasVariants = (product) => Array.isArray(product.variants) && product.variants.length > 0;
+
+// Cart lines are keyed by SKU; a product without variants is its own SKU, under its id
+export const getSku = (item) => item.sku ?? item.id;
+
+const toNumber = (value, fallback) => {
+  const number = Number(value);
+  return value != null && Number.isFinite(number) ? number : fallback;
+};
+
+// Option and variant fields of a raw product record; empty when it has none.
+// The product's stock becomes the sum of its variants' when all are tracked.
+export const normalizeVariantFields = (raw, { price, image }) => {
+  if (!Array.isArray(raw.variants) || raw.variants.length === 0) return {};
+
+  const variants = raw.variants.map(variant => ({
+    sku: String(variant.sku),
+    options: { ...variant.options },
+    price: toNumber(variant.price, price),
+    image: variant.image || image,
+    stock: toNumber(variant.stock ?? variant.quantity, null)
+  }));
+  const options = Array.isArray(raw.options)
+    ? raw.options.map(option => ({ name: String(option.name), values: option.values.map(String) }))
+    : [];
+  const tracked = variants.every(variant => variant.stock !== null);
+
+  return {
+    options,
+    variants,
+    stock: tracked ? variants.reduce((sum, variant) => sum + Math.max(variant.stock, 0), 0) : null
+  };
+};
+
+// The variant matching every option in `selection`, or undefined
+export const findVariant = (product, selection) => product.variants.find(variant =>
+  product.options.every(option => variant.options[option.name] === selection[option.name])
+);
+
+const inStock = (variant) => variant.stock === null || variant.stock > 0;
+
+// The first variant that can be bought, else the first one
+export const getDefaultVariant = (product) => product.variants.find(inStock) || product.variants[0];
+
+export const getDefaultSelection = (product) => ({ ...getDefaultVariant(product).options });
+
+// Whether picking `value` for `optionName`, keeping the rest of the selection,
+// leads to a variant that exists and is in stock
+export const isOptionAvailable = (product, selection, optionName, value) => {
+  const variant = findVariant(product, { ...selection, [optionName]: value });
+  return Boolean(variant) && inStock(variant);
+};
+
+// What goes in the cart: the product with the variant's SKU, price, image
+// and stock. The option lists stay with the catalog product.
+export const toPurchasable = (product, variant) => {
+  const { options, variants, ...base } = product;
+  return {
+    ...base,
+    sku: variant.sku,
+    price: variant.price,
+    image: variant.image,
+    stock: variant.stock,
+    selectedOptions: variant.options
+  };
+};
+
+// The live, purchasable form of a cart or saved line: the catalog product,
+// or its variant when the line has a SKU. Undefined when the product isn't
+// loaded or the variant no longer exists.
+export const resolveLine = (line, products) => {
+  const product = products.find(p => p.id === line.id);
+  if (!product) return undefined;
+  // A line must name a variant exactly when its product has them
+  if (!line.sku) return hasVariants(product) ? undefined : product;
+  if (!hasVariants(product)) return undefined;
+  const variant = product.variants.find(v => v.sku === line.sku);
+  return variant ? toPurchasable(product, variant) : undefined;
+};
+
+// e.g. "M / Red"; empty for products without variants
+export const describeVariant = (item) => (
+  item.selectedOptions ? Object.values(item.selectedOptions).join(' / ') : ''
+);
+
+// Title with the variant appended, for messages about a specific line
+export const getLineTitle = (item) => {
+  const variant = describeVariant(item);
+  return variant ? `${item.title} (${variant})` : item.title;
+};